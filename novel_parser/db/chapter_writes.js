@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { chaptersDb, revisionsDb } from './db_init.js';
+import { indexChapter } from './search.js';
+
+// What kind of change produced a revision
+export const CHANGE_KIND = {
+    PARSE: 'parse',
+    REFETCH: 'refetch',
+    REPARSE: 'reparse', // Extracted again from the cached page
+    CLEAN: 'clean',
+    EDIT: 'edit',
+    REVERT: 'revert',
+    IMPORT: 'import'
+};
+
+/**
+ * SHA-256 of chapter content, used to spot identical revisions
+ * @param {string|null} content - Chapter HTML
+ * @returns {string|null} Hex digest
+ */
+export function hashContent(content) {
+    if (content === null || content === undefined) return null;
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Writes a chapter's title/content, records the change in chapter_revisions
+ * and refreshes the search index.
+ * All code that changes chapter content goes through here so history and search stay complete.
+ * A write that leaves title and content untouched only updates the status.
+ * @param {Object} params
+ * @param {number} params.chapterId - Chapter ID
+ * @param {string} params.title - New title
+ * @param {string|null} params.content - New content
+ * @param {number} params.status - Chapter status to store
+ * @param {string} params.kind - One of CHANGE_KIND
+ * @param {string} params.actor - Who made the change: 'parser', 'cleaner:CG', 'user', ...
+ * @returns {number|null} New revision ID, or null if nothing changed
+ */
+export const writeChapterContent = chaptersDb.db.transaction(({ chapterId, title, content, status, kind, actor }) => {
+    const current = chaptersDb.getChapterById.get(chapterId);
+    if (!current) {
+        throw new Error(`Chapter ${chapterId} not found`);
+    }
+
+    chaptersDb.updateChapter.run({
+        id: chapterId,
+        title,
+        content,
+        status
+    });
+
+    if (current.title === title && current.content === content) {
+        return null;
+    }
+
+    indexChapter(chapterId, title, content);
+
+    const result = revisionsDb.insertRevision.run({
+        chapter_id: chapterId,
+        title,
+        content,
+        content_hash: hashContent(content),
+        change_kind: kind,
+        changed_by: actor
+    });
+
+    return Number(result.lastInsertRowid);
+});
+
+/**
+ * Restores a chapter to the title/content of one of its revisions.
+ * The revert itself becomes a new revision, so it can be undone too.
+ * @param {number} chapterId - Chapter ID
+ * @param {number} revisionId - Revision to restore
+ * @param {string} actor - Who asked for the revert
+ * @returns {number|null} Revision ID created by the revert
+ */
+export function revertChapterToRevision(chapterId, revisionId, actor = 'user') {
+    const revision = revisionsDb.getRevisionById.get(revisionId);
+    if (!revision || revision.chapter_id !== chapterId) {
+        throw new Error(`Revision ${revisionId} does not belong to chapter ${chapterId}`);
+    }
+
+    const chapter = chaptersDb.getChapterById.get(chapterId);
+
+    return writeChapterContent({
+        chapterId,
+        title: revision.title,
+        content: revision.content,
+        status: chapter.status,
+        kind: CHANGE_KIND.REVERT,
+        actor
+    });
+}
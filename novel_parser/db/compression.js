@@ -0,0 +1,11 @@
+import zlib from 'zlib';
+
+/**
+ * Gzips HTML for storage in a BLOB column (plain gzip - library exports copy it out as .html.gz files)
+ * @param {string} html - HTML string
+ * @returns {Buffer|null} Compressed bytes or null for empty input
+ */
+export function compressHtml(html) {
+    if (!html) return null;
+    return zlib.gzipSync(Buffer.from(html, 'utf8'));
+}
@@ -0,0 +1,38 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+export const DB_FILE = path.resolve(process.cwd(), 'db', 'novels.sqlite');
+
+/**
+ * Opens the SQLite database with the pragmas the app relies on.
+ * Does not touch the schema - see migrator.js for that.
+ * @param {string} file - Database file path
+ * @returns {Database} better-sqlite3 connection
+ */
+export function openDatabase(file = DB_FILE) {
+    // Ensure folder exists
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+        } catch (error) {
+            console.error('Failed to create database directory:', error);
+            throw error;
+        }
+    }
+
+    const db = new Database(file);
+
+    // Enable WAL mode for better concurrency and performance
+    db.pragma('journal_mode = WAL');
+
+    // Additional pragmas for optimization and safety
+    db.pragma('synchronous = NORMAL'); // Faster writes while maintaining safety in WAL mode
+    db.pragma('foreign_keys = ON'); // Ensure foreign key constraints are enforced
+    db.pragma('busy_timeout = 5000'); // Wait up to 5 seconds if database is locked
+
+    return db;
+}
+
+export default openDatabase;
@@ -1,33 +1,9 @@
-
-import Database from 'better-sqlite3';
-import fs from 'fs';
-import path from 'path';
-
-const DB_FILE = path.resolve(process.cwd(), 'db', 'novels.sqlite');
-
-// Ensure folder exists
-const dir = path.dirname(DB_FILE);
-if (!fs.existsSync(dir)) {
-    try {
-        fs.mkdirSync(dir, { recursive: true });
-    } catch (error) {
-        console.error('Failed to create database directory:', error);
-        throw error;
-    }
-}
+import { openDatabase } from './connection.js';
+import { runMigrations } from './migrator.js';
 
 let db;
 try {
-    db = new Database(DB_FILE);
-
-    // Enable WAL mode for better concurrency and performance
-    db.pragma('journal_mode = WAL');
-
-    // Additional pragmas for optimization and safety
-    db.pragma('synchronous = NORMAL'); // Faster writes while maintaining safety in WAL mode
-    db.pragma('foreign_keys = ON'); // Ensure foreign key constraints are enforced
-    db.pragma('busy_timeout = 5000'); // Wait up to 5 seconds if database is locked
-
+    db = openDatabase();
 } catch (error) {
     console.error('Failed to initialize database:', error);
     throw error;
@@ -55,63 +31,15 @@ process.on('SIGTERM', () => {
     process.exit(0);
 });
 
-// Create novels table
-try {
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS novels (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            url TEXT UNIQUE NOT NULL,
-            title TEXT,
-            raws_title TEXT,
-            author TEXT,
-            description TEXT,
-            total_chapters INTEGER DEFAULT 0,
-            status INTEGER DEFAULT 0,
-            cover_image TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-} catch (error) {
-    console.error('Failed to create novels table:', error);
-    throw error;
-}
-
-// Create chapters table
+// Bring the schema up to date before preparing statements against it
+let appliedMigrations;
 try {
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS chapters (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            novel_id INTEGER NOT NULL,
-            url TEXT UNIQUE NOT NULL,
-            title TEXT,
-            content TEXT,
-            chapter_number INTEGER,
-            status INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (novel_id) REFERENCES novels(id) ON DELETE CASCADE
-        )
-    `);
+    appliedMigrations = runMigrations(db);
 } catch (error) {
-    console.error('Failed to create chapters table:', error);
+    console.error('Failed to apply database migrations:', error);
     throw error;
 }
 
-// Create indexes for better query performance
-try {
-    db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_novels_status ON novels(status);
-        CREATE INDEX IF NOT EXISTS idx_novels_url ON novels(url);
-        CREATE INDEX IF NOT EXISTS idx_chapters_novel_id ON chapters(novel_id);
-        CREATE INDEX IF NOT EXISTS idx_chapters_status ON chapters(status);
-        CREATE INDEX IF NOT EXISTS idx_chapters_url ON chapters(url);
-    `);
-} catch (error) {
-    console.error('Failed to create indexes:', error);
-    // Non-fatal, continue execution
-}
-
 // Wrapper function for safe statement execution
 const safePrepare = (sql, context) => {
     try {
@@ -130,8 +58,69 @@ export const novelsDb = {
 
     getNovelsByStatus: safePrepare('SELECT * FROM novels WHERE status = ?', 'getNovelsByStatus'),
 
+    // Pending novels plus failed ones whose retry time has come
+    getNovelsDueForParse: safePrepare(`
+        SELECT * FROM novels
+        WHERE archived_at IS NULL
+          AND (status = 0
+           OR (status = -1 AND next_attempt_at IS NOT NULL AND next_attempt_at <= CURRENT_TIMESTAMP))
+        ORDER BY priority DESC, id
+    `, 'getNovelsDueForParse'),
+
+    // Parsed ongoing novels whose TOC hasn't been checked for new chapters within their interval
+    getNovelsDueForUpdateCheck: safePrepare(`
+        SELECT * FROM novels
+        WHERE archived_at IS NULL
+          AND ongoing = 1
+          AND status = 1
+          AND datetime(COALESCE(last_update_check_at, updated_at), '+' || COALESCE(update_interval_hours, @default_hours) || ' hours') <= CURRENT_TIMESTAMP
+        ORDER BY COALESCE(last_update_check_at, updated_at)
+    `, 'getNovelsDueForUpdateCheck'),
+
+    // Books the update check for a novel that is still due; 0 changes = another run got it first
+    claimUpdateCheck: safePrepare(`
+        UPDATE novels
+        SET last_update_check_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+          AND archived_at IS NULL
+          AND ongoing = 1
+          AND status = 1
+          AND datetime(COALESCE(last_update_check_at, updated_at), '+' || COALESCE(update_interval_hours, @default_hours) || ' hours') <= CURRENT_TIMESTAMP
+    `, 'claimUpdateCheck'),
+
+    // Gives a booked update check back after it failed, so the novel is due again right away
+    releaseUpdateCheck: safePrepare(`
+        UPDATE novels
+        SET last_update_check_at = @previous
+        WHERE id = @id
+    `, 'releaseUpdateCheck'),
+
+    setNovelTotalChapters: safePrepare(`
+        UPDATE novels
+        SET total_chapters = @total_chapters,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'setNovelTotalChapters'),
+
     getAllNovels: safePrepare('SELECT * FROM novels ORDER BY created_at DESC', 'getAllNovels'),
 
+    // Novel rows plus derived counts, for the API/UI listing
+    listNovels: safePrepare(`
+        SELECT n.*,
+               (SELECT COUNT(*) FROM volumes v WHERE v.novel_id = n.id) AS volume_count,
+               (SELECT COUNT(*) FROM chapters c WHERE c.novel_id = n.id AND c.status = -1) AS failed_chapters,
+               (SELECT COUNT(*) FROM chapters c WHERE c.novel_id = n.id AND c.status = -2) AS dead_chapters,
+               (SELECT COUNT(*) FROM chapters c WHERE c.novel_id = n.id) AS chapter_count,
+               (SELECT COUNT(*) FROM chapters c WHERE c.novel_id = n.id AND c.status = 1) AS parsed_chapters,
+               (SELECT MAX(c.first_seen_at) FROM chapters c WHERE c.novel_id = n.id) AS last_new_chapter_at
+        FROM novels n
+        WHERE (@status IS NULL OR n.status = @status)
+          AND (n.archived_at IS NOT NULL) = @archived
+        ORDER BY n.created_at DESC
+    `, 'listNovels'),
+
+    getNovelByUrl: safePrepare('SELECT * FROM novels WHERE url = ?', 'getNovelByUrl'),
+
     insertNovel: safePrepare(`
         INSERT INTO novels (url, title, raws_title, author, description, total_chapters, status)
         VALUES (@url, @title, @raws_title, @author, @description, @total_chapters, @status)
@@ -155,7 +144,107 @@ export const novelsDb = {
         SET status = ?,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-    `, 'updateNovelStatus')
+    `, 'updateNovelStatus'),
+
+    recordNovelAttempt: safePrepare(`
+        UPDATE novels
+        SET status = COALESCE(@status, status),
+            last_error = @last_error,
+            error_kind = @error_kind,
+            attempt_count = attempt_count + 1,
+            retry_count = CASE WHEN @last_error IS NULL THEN 0 ELSE retry_count + 1 END,
+            last_attempt_at = CURRENT_TIMESTAMP,
+            next_attempt_at = @next_attempt_at,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'recordNovelAttempt'),
+
+    updateNovelSettings: safePrepare(`
+        UPDATE novels
+        SET retry_max_attempts = @retry_max_attempts,
+            retry_base_delay_seconds = @retry_base_delay_seconds,
+            ongoing = @ongoing,
+            update_interval_hours = @update_interval_hours,
+            priority = COALESCE(@priority, 0),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'updateNovelSettings'),
+
+    // Moves a due novel to PROCESSING under a lease; 0 changes = someone else has it
+    claimNovel: safePrepare(`
+        UPDATE novels
+        SET status = 2,
+            lease_owner = @owner,
+            lease_expires_at = datetime('now', '+' || @seconds || ' seconds'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+          AND archived_at IS NULL
+          AND (status = 0 OR (status = -1 AND next_attempt_at IS NOT NULL AND next_attempt_at <= CURRENT_TIMESTAMP))
+          AND (lease_owner IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+    `, 'claimNovel'),
+
+    // Takes a novel's lease without touching its status, for work on a parsed novel (re-parsing, imports);
+    // fails while the novel or any of its chapters is leased. claimChapter skips chapters of a leased novel.
+    holdNovelLease: safePrepare(`
+        UPDATE novels
+        SET lease_owner = @owner,
+            lease_expires_at = datetime('now', '+' || @seconds || ' seconds')
+        WHERE id = @id
+          AND (lease_owner IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+          AND NOT EXISTS (
+              SELECT 1 FROM chapters
+              WHERE novel_id = @id AND lease_expires_at > CURRENT_TIMESTAMP
+          )
+    `, 'holdNovelLease'),
+
+    renewNovelLease: safePrepare(`
+        UPDATE novels
+        SET lease_expires_at = datetime('now', '+' || @seconds || ' seconds')
+        WHERE id = @id AND lease_owner = @owner
+    `, 'renewNovelLease'),
+
+    releaseNovelLease: safePrepare(`
+        UPDATE novels
+        SET lease_owner = NULL,
+            lease_expires_at = NULL
+        WHERE id = @id AND lease_owner = @owner
+    `, 'releaseNovelLease'),
+
+    // PROCESSING rows whose owner stopped heartbeating (or that predate leases) go back to pending
+    reclaimExpiredNovelLeases: safePrepare(`
+        UPDATE novels
+        SET status = 0,
+            lease_owner = NULL,
+            lease_expires_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 2
+          AND (lease_expires_at IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+    `, 'reclaimExpiredNovelLeases'),
+
+    setNovelArchived: safePrepare(`
+        UPDATE novels
+        SET archived_at = CASE WHEN @archived THEN COALESCE(archived_at, CURRENT_TIMESTAMP) END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'setNovelArchived'),
+
+    // Novel or chapters currently held by a running parser
+    countActiveLeasesByNovelId: safePrepare(`
+        SELECT (SELECT COUNT(*) FROM novels WHERE id = @id AND lease_expires_at > CURRENT_TIMESTAMP)
+             + (SELECT COUNT(*) FROM chapters WHERE novel_id = @id AND lease_expires_at > CURRENT_TIMESTAMP) AS count
+    `, 'countActiveLeasesByNovelId'),
+
+    deleteNovel: safePrepare('DELETE FROM novels WHERE id = ?', 'deleteNovel'),
+
+    // Manual "retry now": clears the retry schedule of a novel that failed or was given up on
+    resetNovelRetries: safePrepare(`
+        UPDATE novels
+        SET status = 0,
+            retry_count = 0,
+            next_attempt_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN (-1, -2)
+    `, 'resetNovelRetries')
 };
 
 // Prepared statements for chapters
@@ -168,9 +257,43 @@ export const chaptersDb = {
 
     getChaptersByStatus: safePrepare('SELECT * FROM chapters WHERE status = ?', 'getChaptersByStatus'),
 
+    // Pending chapters plus failed ones whose retry time has come
+    // Queue policy: higher novel priority first; within a priority, chapters released since the
+    // novel's first TOC (found by an update check) before the backlog; then one chapter per novel
+    // in turn (round-robin), each novel's lowest chapter number first
+    getChaptersDueForParse: safePrepare(`
+        WITH due AS (
+            SELECT c.*, n.priority AS novel_priority,
+                   COALESCE(c.first_seen_at > datetime(f.first_seen_at, '+1 hour'), 0) AS new_release
+            FROM chapters c
+            JOIN novels n ON n.id = c.novel_id
+            JOIN (SELECT novel_id, MIN(first_seen_at) AS first_seen_at FROM chapters GROUP BY novel_id) f ON f.novel_id = c.novel_id
+            WHERE n.archived_at IS NULL
+              AND (n.lease_expires_at IS NULL OR n.lease_expires_at <= CURRENT_TIMESTAMP)
+              AND (c.status = 0
+               OR (c.status = -1 AND c.next_attempt_at IS NOT NULL AND c.next_attempt_at <= CURRENT_TIMESTAMP))
+        )
+        SELECT *,
+               ROW_NUMBER() OVER (PARTITION BY novel_id, new_release ORDER BY chapter_number, id) AS queue_turn
+        FROM due
+        ORDER BY novel_priority DESC, new_release DESC, queue_turn, novel_id
+    `, 'getChaptersDueForParse'),
+
+    // Chapter list without content, for UIs that only need titles and state
+    getChapterSummariesByNovelId: safePrepare(`
+        SELECT c.id, c.novel_id, c.url, c.title, c.chapter_number, c.status, c.updated_at, c.first_seen_at,
+               c.volume_id, v.title AS volume_title, v.volume_number,
+               c.last_error, c.error_kind, c.attempt_count, c.retry_count, c.last_attempt_at, c.next_attempt_at,
+               (SELECT COUNT(*) FROM chapter_revisions r WHERE r.chapter_id = c.id) AS revision_count
+        FROM chapters c
+        LEFT JOIN volumes v ON v.id = c.volume_id
+        WHERE c.novel_id = ?
+        ORDER BY c.chapter_number
+    `, 'getChapterSummariesByNovelId'),
+
     insertChapter: safePrepare(`
-        INSERT INTO chapters (novel_id, url, title, content, chapter_number, status)
-        VALUES (@novel_id, @url, @title, @content, @chapter_number, @status)
+        INSERT INTO chapters (novel_id, url, title, content, chapter_number, status, volume_id, first_seen_at)
+        VALUES (@novel_id, @url, @title, @content, @chapter_number, @status, @volume_id, CURRENT_TIMESTAMP)
     `, 'insertChapter'),
 
     updateChapter: safePrepare(`
@@ -187,10 +310,393 @@ export const chaptersDb = {
         SET status = ?,
             updated_at = CURRENT_TIMESTAMP
         WHERE id = ?
-    `, 'updateChapterStatus')
+    `, 'updateChapterStatus'),
+
+    recordChapterAttempt: safePrepare(`
+        UPDATE chapters
+        SET status = COALESCE(@status, status),
+            last_error = @last_error,
+            error_kind = @error_kind,
+            attempt_count = attempt_count + 1,
+            retry_count = CASE WHEN @last_error IS NULL THEN 0 ELSE retry_count + 1 END,
+            last_attempt_at = CURRENT_TIMESTAMP,
+            next_attempt_at = @next_attempt_at,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'recordChapterAttempt'),
+
+    // Moves a due chapter to PROCESSING under a lease; 0 changes = someone else has it
+    claimChapter: safePrepare(`
+        UPDATE chapters
+        SET status = 2,
+            lease_owner = @owner,
+            lease_expires_at = datetime('now', '+' || @seconds || ' seconds'),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+          AND novel_id IN (
+              SELECT id FROM novels
+              WHERE archived_at IS NULL
+                AND (lease_owner IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+          )
+          AND (status = 0 OR (status = -1 AND next_attempt_at IS NOT NULL AND next_attempt_at <= CURRENT_TIMESTAMP))
+          AND (lease_owner IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+    `, 'claimChapter'),
+
+    renewChapterLease: safePrepare(`
+        UPDATE chapters
+        SET lease_expires_at = datetime('now', '+' || @seconds || ' seconds')
+        WHERE id = @id AND lease_owner = @owner
+    `, 'renewChapterLease'),
+
+    releaseChapterLease: safePrepare(`
+        UPDATE chapters
+        SET lease_owner = NULL,
+            lease_expires_at = NULL
+        WHERE id = @id AND lease_owner = @owner
+    `, 'releaseChapterLease'),
+
+    // PROCESSING rows whose owner stopped heartbeating (or that predate leases) go back to pending
+    reclaimExpiredChapterLeases: safePrepare(`
+        UPDATE chapters
+        SET status = 0,
+            lease_owner = NULL,
+            lease_expires_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE status = 2
+          AND (lease_expires_at IS NULL OR lease_expires_at <= CURRENT_TIMESTAMP)
+    `, 'reclaimExpiredChapterLeases'),
+
+    resetChapterRetriesByNovelId: safePrepare(`
+        UPDATE chapters
+        SET status = 0,
+            retry_count = 0,
+            next_attempt_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE novel_id = ? AND status IN (-1, -2)
+    `, 'resetChapterRetriesByNovelId')
+};
+
+// Prepared statements for volumes
+export const volumesDb = {
+    db,
+
+    getVolumesByNovelId: safePrepare('SELECT * FROM volumes WHERE novel_id = ? ORDER BY volume_number', 'getVolumesByNovelId'),
+
+    getVolumeByTitle: safePrepare('SELECT * FROM volumes WHERE novel_id = ? AND title = ?', 'getVolumeByTitle'),
+
+    getMaxVolumeNumber: safePrepare('SELECT COALESCE(MAX(volume_number), 0) AS max FROM volumes WHERE novel_id = ?', 'getMaxVolumeNumber'),
+
+    insertVolume: safePrepare(`
+        INSERT INTO volumes (novel_id, title, volume_number)
+        VALUES (@novel_id, @title, @volume_number)
+    `, 'insertVolume')
+};
+
+// Prepared statements for chapter sources (raw HTML + untouched extraction)
+export const chapterSourcesDb = {
+    db,
+
+    getSourceByChapterId: safePrepare('SELECT * FROM chapter_sources WHERE chapter_id = ?', 'getSourceByChapterId'),
+
+    upsertSource: safePrepare(`
+        INSERT INTO chapter_sources (chapter_id, raw_html, extracted_title, extracted_content, extraction_method, fetched_at)
+        VALUES (@chapter_id, @raw_html, @extracted_title, @extracted_content, @extraction_method, CURRENT_TIMESTAMP)
+        ON CONFLICT(chapter_id) DO UPDATE SET
+            raw_html = excluded.raw_html,
+            extracted_title = excluded.extracted_title,
+            extracted_content = excluded.extracted_content,
+            extraction_method = excluded.extraction_method,
+            fetched_at = excluded.fetched_at
+    `, 'upsertSource')
+};
+
+// Prepared statements for per-site crawling rules, the request log and extraction rules
+export const domainsDb = {
+    db,
+
+    getProfile: safePrepare('SELECT * FROM domain_profiles WHERE domain = ?', 'getProfile'),
+
+    getAllProfiles: safePrepare('SELECT * FROM domain_profiles ORDER BY domain', 'getAllProfiles'),
+
+    // Every site the library points at, for listing sites that have no profile yet
+    getKnownDomains: safePrepare('SELECT url FROM novels', 'getKnownDomains'),
+
+    upsertProfile: safePrepare(`
+        INSERT INTO domain_profiles (domain, min_delay_ms, max_delay_ms, max_concurrency, max_requests_per_hour, allowed_hours, respect_robots, fetch_mode)
+        VALUES (@domain, @min_delay_ms, @max_delay_ms, @max_concurrency, @max_requests_per_hour, @allowed_hours, @respect_robots, @fetch_mode)
+        ON CONFLICT(domain) DO UPDATE SET
+            min_delay_ms = excluded.min_delay_ms,
+            max_delay_ms = excluded.max_delay_ms,
+            max_concurrency = excluded.max_concurrency,
+            max_requests_per_hour = excluded.max_requests_per_hour,
+            allowed_hours = excluded.allowed_hours,
+            respect_robots = excluded.respect_robots,
+            fetch_mode = excluded.fetch_mode,
+            updated_at = CURRENT_TIMESTAMP
+    `, 'upsertProfile'),
+
+    deleteProfile: safePrepare('DELETE FROM domain_profiles WHERE domain = ?', 'deleteProfile'),
+
+    saveRobots: safePrepare(`
+        INSERT INTO domain_profiles (domain, robots_txt, robots_fetched_at)
+        VALUES (@domain, @robots_txt, CURRENT_TIMESTAMP)
+        ON CONFLICT(domain) DO UPDATE SET
+            robots_txt = excluded.robots_txt,
+            robots_fetched_at = excluded.robots_fetched_at
+    `, 'saveRobots'),
+
+    insertRequest: safePrepare('INSERT INTO domain_requests (domain, requested_at) VALUES (?, ?)', 'insertRequest'),
+
+    getLastRequestAt: safePrepare('SELECT MAX(requested_at) AS last FROM domain_requests WHERE domain = ?', 'getLastRequestAt'),
+
+    countRequestsSince: safePrepare('SELECT COUNT(*) AS count, MIN(requested_at) AS oldest FROM domain_requests WHERE domain = ? AND requested_at >= ?', 'countRequestsSince'),
+
+    pruneRequests: safePrepare('DELETE FROM domain_requests WHERE requested_at < ?', 'pruneRequests'),
+
+    getThrottle: safePrepare('SELECT * FROM domain_throttle WHERE domain = ?', 'getThrottle'),
+
+    saveThrottle: safePrepare(`
+        INSERT INTO domain_throttle (domain, delay_multiplier, blocked_until, last_status, throttled_at)
+        VALUES (@domain, @delay_multiplier, @blocked_until, @last_status, @throttled_at)
+        ON CONFLICT(domain) DO UPDATE SET
+            delay_multiplier = excluded.delay_multiplier,
+            blocked_until = excluded.blocked_until,
+            last_status = excluded.last_status,
+            throttled_at = excluded.throttled_at,
+            updated_at = CURRENT_TIMESTAMP
+    `, 'saveThrottle'),
+
+    // Eases off a throttled site after a successful request; the row goes once it's back to normal speed
+    easeThrottle: safePrepare(`
+        UPDATE domain_throttle
+        SET delay_multiplier = MAX(1, delay_multiplier * @factor), updated_at = CURRENT_TIMESTAMP
+        WHERE domain = @domain
+    `, 'easeThrottle'),
+
+    clearThrottle: safePrepare('DELETE FROM domain_throttle WHERE domain = ?', 'clearThrottle'),
+
+    clearRecoveredThrottles: safePrepare(`
+        DELETE FROM domain_throttle
+        WHERE delay_multiplier <= 1 AND (blocked_until IS NULL OR blocked_until <= ?)
+    `, 'clearRecoveredThrottles'),
+
+    getSiteRules: safePrepare('SELECT * FROM site_rules WHERE domain = ?', 'getSiteRules'),
+    getAllSiteRules: safePrepare('SELECT * FROM site_rules ORDER BY domain', 'getAllSiteRules'),
+    upsertSiteRules: safePrepare(`
+        INSERT INTO site_rules (domain, rules, updated_at)
+        VALUES (@domain, @rules, CURRENT_TIMESTAMP)
+        ON CONFLICT(domain) DO UPDATE SET
+            rules = excluded.rules,
+            updated_at = CURRENT_TIMESTAMP
+    `, 'upsertSiteRules'),
+    deleteSiteRules: safePrepare('DELETE FROM site_rules WHERE domain = ?', 'deleteSiteRules'),
+
+    getCookieJar: safePrepare('SELECT * FROM cookie_jars WHERE domain = ?', 'getCookieJar'),
+    getAllCookieJars: safePrepare('SELECT * FROM cookie_jars ORDER BY domain', 'getAllCookieJars'),
+    upsertCookieJar: safePrepare(`
+        INSERT INTO cookie_jars (domain, cookies, source, updated_at)
+        VALUES (@domain, @cookies, @source, CURRENT_TIMESTAMP)
+        ON CONFLICT(domain) DO UPDATE SET
+            cookies = excluded.cookies,
+            source = excluded.source,
+            updated_at = CURRENT_TIMESTAMP
+    `, 'upsertCookieJar'),
+    deleteCookieJar: safePrepare('DELETE FROM cookie_jars WHERE domain = ?', 'deleteCookieJar')
+};
+
+// Prepared statements for parser runs, the pause/cancel controls (see parser/controller.js) and progress events
+export const parserRunsDb = {
+    db,
+
+    getControl: safePrepare('SELECT * FROM parser_control WHERE id = 1', 'getControl'),
+
+    setPaused: safePrepare(`
+        UPDATE parser_control
+        SET paused = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = 1
+    `, 'setPaused'),
+
+    insertRun: safePrepare('INSERT INTO parser_runs (owner, state) VALUES (?, \'running\')', 'insertRun'),
+
+    getRunById: safePrepare('SELECT * FROM parser_runs WHERE id = ?', 'getRunById'),
+
+    getLatestRun: safePrepare('SELECT * FROM parser_runs ORDER BY id DESC LIMIT 1', 'getLatestRun'),
+
+    getUnfinishedRuns: safePrepare('SELECT * FROM parser_runs WHERE finished_at IS NULL ORDER BY id', 'getUnfinishedRuns'),
+
+    heartbeatRun: safePrepare(`
+        UPDATE parser_runs
+        SET heartbeat_at = CURRENT_TIMESTAMP,
+            stage = COALESCE(@stage, stage),
+            items_done = @items_done,
+            bytes_downloaded = @bytes_downloaded
+        WHERE id = @id
+    `, 'heartbeatRun'),
+
+    // Asks every unfinished run to stop at its next checkpoint
+    requestCancel: safePrepare(`
+        UPDATE parser_runs
+        SET state = 'cancelling'
+        WHERE finished_at IS NULL AND state = 'running'
+    `, 'requestCancel'),
+
+    finishRun: safePrepare(`
+        UPDATE parser_runs
+        SET state = @state,
+            error = @error,
+            stop_reason = @stop_reason,
+            items_done = @items_done,
+            bytes_downloaded = @bytes_downloaded,
+            finished_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+    `, 'finishRun'),
+
+    insertEvent: safePrepare(`
+        INSERT INTO parser_events (run_id, type, novel_id, chapter_id, data, created_at)
+        VALUES (@run_id, @type, @novel_id, @chapter_id, @data, @created_at)
+    `, 'insertEvent'),
+
+    getEventsAfter: safePrepare('SELECT * FROM parser_events WHERE id > ? ORDER BY id LIMIT ?', 'getEventsAfter'),
+
+    getLastEventId: safePrepare('SELECT COALESCE(MAX(id), 0) AS id FROM parser_events', 'getLastEventId'),
+
+    pruneEvents: safePrepare('DELETE FROM parser_events WHERE created_at < ?', 'pruneEvents'),
+
+    // Runs whose process died without finishing them (no heartbeat for @seconds)
+    markStaleRunsInterrupted: safePrepare(`
+        UPDATE parser_runs
+        SET state = 'interrupted', finished_at = CURRENT_TIMESTAMP
+        WHERE finished_at IS NULL
+          AND heartbeat_at <= datetime('now', '-' || @seconds || ' seconds')
+    `, 'markStaleRunsInterrupted'),
+
+    // Pages waiting for someone to solve a CAPTCHA (see parser/challenges.js)
+    insertChallenge: safePrepare(`
+        INSERT INTO challenges (domain, url, reason, state, created_at, heartbeat_at)
+        VALUES (@domain, @url, @reason, 'waiting', @now, @now)
+    `, 'insertChallenge'),
+
+    getChallengeById: safePrepare('SELECT * FROM challenges WHERE id = ?', 'getChallengeById'),
+
+    getOpenChallenges: safePrepare(`
+        SELECT * FROM challenges
+        WHERE state = 'waiting' AND heartbeat_at >= ?
+        ORDER BY id
+    `, 'getOpenChallenges'),
+
+    countOpenChallengesForDomain: safePrepare(`
+        SELECT COUNT(*) AS count FROM challenges
+        WHERE state = 'waiting' AND domain = ? AND heartbeat_at >= ?
+    `, 'countOpenChallengesForDomain'),
+
+    heartbeatChallenge: safePrepare('UPDATE challenges SET heartbeat_at = ? WHERE id = ?', 'heartbeatChallenge'),
+
+    // Only a waiting challenge can be resolved, so a late click doesn't undo a timeout
+    resolveChallenge: safePrepare(`
+        UPDATE challenges
+        SET state = @state, resolved_at = @now
+        WHERE id = @id AND state = 'waiting'
+    `, 'resolveChallenge'),
+
+    expireStaleChallenges: safePrepare(`
+        UPDATE challenges
+        SET state = 'expired', resolved_at = @now
+        WHERE state = 'waiting' AND heartbeat_at < @before
+    `, 'expireStaleChallenges'),
+
+    pruneChallenges: safePrepare('DELETE FROM challenges WHERE state != \'waiting\' AND created_at < ?', 'pruneChallenges')
+};
+
+// Prepared statements for the parse attempt log
+export const attemptsDb = {
+    db,
+
+    insertAttempt: safePrepare(`
+        INSERT INTO parse_attempts (item_type, item_id, novel_id, attempt_number, outcome, error_kind, error_message, duration_ms, started_at)
+        VALUES (@item_type, @item_id, @novel_id, @attempt_number, @outcome, @error_kind, @error_message, @duration_ms, @started_at)
+    `, 'insertAttempt'),
+
+    getAttemptsByNovelId: safePrepare(`
+        SELECT * FROM parse_attempts
+        WHERE novel_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+    `, 'getAttemptsByNovelId'),
+
+    getAttemptsForItem: safePrepare(`
+        SELECT * FROM parse_attempts
+        WHERE item_type = ? AND item_id = ?
+        ORDER BY id DESC
+    `, 'getAttemptsForItem')
+};
+
+// Prepared statements for chapter revisions
+export const revisionsDb = {
+    db,
+
+    getRevisionById: safePrepare('SELECT * FROM chapter_revisions WHERE id = ?', 'getRevisionById'),
+
+    getRevisionsByChapterId: safePrepare(`
+        SELECT id, chapter_id, title, content_hash, change_kind, changed_by, created_at, LENGTH(content) AS content_length
+        FROM chapter_revisions
+        WHERE chapter_id = ?
+        ORDER BY id DESC
+    `, 'getRevisionsByChapterId'),
+
+    getPreviousRevision: safePrepare(`
+        SELECT * FROM chapter_revisions
+        WHERE chapter_id = ? AND id < ?
+        ORDER BY id DESC
+        LIMIT 1
+    `, 'getPreviousRevision'),
+
+    insertRevision: safePrepare(`
+        INSERT INTO chapter_revisions (chapter_id, title, content, content_hash, change_kind, changed_by)
+        VALUES (@chapter_id, @title, @content, @content_hash, @change_kind, @changed_by)
+    `, 'insertRevision')
+};
+
+export const responseCacheDb = {
+    db,
+
+    getResponse: safePrepare('SELECT * FROM response_cache WHERE url = ?', 'getResponse'),
+
+    upsertResponse: safePrepare(`
+        INSERT INTO response_cache (url, final_url, status, headers, content_hash, size, fetched_at)
+        VALUES (@url, @final_url, @status, @headers, @content_hash, @size, @fetched_at)
+        ON CONFLICT(url) DO UPDATE SET
+            final_url = excluded.final_url,
+            status = excluded.status,
+            headers = excluded.headers,
+            content_hash = excluded.content_hash,
+            size = excluded.size,
+            fetched_at = excluded.fetched_at
+    `, 'upsertResponse'),
+
+    deleteResponse: safePrepare('DELETE FROM response_cache WHERE url = ?', 'deleteResponse'),
+
+    deleteResponsesOlderThan: safePrepare('DELETE FROM response_cache WHERE fetched_at < ?', 'deleteResponsesOlderThan'),
+
+    getOldestResponses: safePrepare(`
+        SELECT url, content_hash, size FROM response_cache
+        ORDER BY fetched_at ASC
+        LIMIT ?
+    `, 'getOldestResponses'),
+
+    // Bodies are shared between URLs with identical content, so each one counts once
+    getStoredSize: safePrepare(`
+        SELECT COALESCE(SUM(size), 0) AS total FROM (SELECT DISTINCT content_hash, size FROM response_cache)
+    `, 'getStoredSize'),
+
+    countByHash: safePrepare('SELECT COUNT(*) AS count FROM response_cache WHERE content_hash = ?', 'countByHash'),
+
+    getAllHashes: safePrepare('SELECT DISTINCT content_hash FROM response_cache', 'getAllHashes')
 };
 
 // Export close function for manual cleanup if needed
 export const closeDb = closeDatabase;
 
-export default { novelsDb, chaptersDb, db, closeDb };
\ No newline at end of file
+// Migrations applied while this module was loading (empty if the schema was current)
+export { appliedMigrations };
+
+export default { novelsDb, chaptersDb, volumesDb, chapterSourcesDb, revisionsDb, attemptsDb, domainsDb, parserRunsDb, responseCacheDb, db, closeDb };
\ No newline at end of file
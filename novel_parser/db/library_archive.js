@@ -0,0 +1,418 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import JSZip from 'jszip';
+import { novelsDb, volumesDb, chapterSourcesDb } from './db_init.js';
+import { writeChapterContent, CHANGE_KIND } from './chapter_writes.js';
+import { indexChapter } from './search.js';
+import { COVERS_DIR, FONTS_DIR, FONT_EXTENSIONS } from './novel_assets.js';
+
+const db = novelsDb.db;
+
+export const LIBRARY_FORMAT = 'novel-parser-library';
+export const LIBRARY_FORMAT_VERSION = 1;
+
+// Machine-local bookkeeping that must not follow a row to another instance
+const LOCAL_COLUMNS = new Set(['id', 'novel_id', 'chapter_id', 'volume_id', 'lease_owner', 'lease_expires_at']);
+
+const exportStatements = {
+    chapters: db.prepare('SELECT * FROM chapters WHERE novel_id = ? ORDER BY chapter_number, id'),
+    revisions: db.prepare(`
+        SELECT r.* FROM chapter_revisions r
+        JOIN chapters c ON c.id = r.chapter_id
+        WHERE c.novel_id = ?
+        ORDER BY r.id
+    `),
+    sources: db.prepare(`
+        SELECT s.* FROM chapter_sources s
+        JOIN chapters c ON c.id = s.chapter_id
+        WHERE c.novel_id = ?
+    `)
+};
+
+const getNovelByUrl = db.prepare('SELECT * FROM novels WHERE url = ?');
+const getChapterByUrl = db.prepare('SELECT * FROM chapters WHERE url = ?');
+const updateNovelCover = db.prepare('UPDATE novels SET cover_image = ? WHERE id = ?');
+const fillNovelDetails = db.prepare(`
+    UPDATE novels
+    SET title = COALESCE(title, @title),
+        raws_title = COALESCE(raws_title, @raws_title),
+        author = COALESCE(author, @author),
+        description = COALESCE(description, @description),
+        total_chapters = MAX(COALESCE(total_chapters, 0), (SELECT COUNT(*) FROM chapters WHERE novel_id = @id)),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+`);
+
+/**
+ * Lists files under a directory, relative to it
+ * @param {string} dir - Directory to walk
+ * @param {Function} [filter] - Called with the file name; false skips the file
+ * @returns {string[]} Relative paths using forward slashes
+ */
+function listFiles(dir, filter = () => true) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile() && filter(entry.name))
+        .map(entry => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'));
+}
+
+/**
+ * Reads one novel and everything hanging off it.
+ * Runs in a transaction so the snapshot is consistent even while the parser writes.
+ */
+const readNovel = db.transaction((novel) => ({
+    novel,
+    volumes: volumesDb.getVolumesByNovelId.all(novel.id),
+    chapters: exportStatements.chapters.all(novel.id),
+    revisions: exportStatements.revisions.all(novel.id),
+    sources: exportStatements.sources.all(novel.id)
+}));
+
+/**
+ * Packages the whole library into a zip archive:
+ *   manifest.json                 - format, counts and an index of novels and files
+ *   novels/<id>.json              - novel row, volumes, chapters, revisions, extraction results
+ *   raw/<chapterId>.html.gz       - raw chapter HTML as stored (gzip)
+ *   covers/..., fonts/...         - copies of public/covers and the font files in public/fonts
+ * The data is read through SQLite, never by copying novels.sqlite, so WAL files are not an issue.
+ * @param {string} outputPath - Where to write the .zip
+ * @returns {Promise<Object>} The manifest
+ */
+export async function exportLibrary(outputPath) {
+    const tempPath = `${outputPath}.${Date.now()}.tmp`;
+    const output = fs.createWriteStream(tempPath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+
+    const manifest = {
+        format: LIBRARY_FORMAT,
+        format_version: LIBRARY_FORMAT_VERSION,
+        schema_version: db.pragma('user_version', { simple: true }),
+        exported_at: new Date().toISOString(),
+        novels: [],
+        covers: listFiles(COVERS_DIR),
+        fonts: listFiles(FONTS_DIR, name => FONT_EXTENSIONS.has(path.extname(name).toLowerCase()))
+    };
+
+    try {
+        for (const { id } of novelsDb.getAllNovels.all()) {
+            const novel = novelsDb.getNovelById.get(id);
+            if (!novel) continue; // Deleted while exporting
+
+            const { sources, ...data } = readNovel(novel);
+
+            for (const source of sources) {
+                if (source.raw_html) {
+                    archive.append(source.raw_html, { name: `raw/${source.chapter_id}.html.gz`, store: true });
+                }
+            }
+
+            const file = `novels/${novel.id}.json`;
+            archive.append(JSON.stringify({
+                ...data,
+                sources: sources.map(({ raw_html, ...source }) => ({ ...source, has_raw_html: !!raw_html }))
+            }), { name: file });
+
+            manifest.novels.push({
+                id: novel.id,
+                url: novel.url,
+                title: novel.title,
+                file,
+                chapters: data.chapters.length,
+                revisions: data.revisions.length
+            });
+        }
+
+        for (const file of manifest.covers) {
+            archive.file(path.join(COVERS_DIR, file), { name: `covers/${file}` });
+        }
+        for (const file of manifest.fonts) {
+            archive.file(path.join(FONTS_DIR, file), { name: `fonts/${file}` });
+        }
+
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        await archive.finalize();
+        await finished;
+
+        fs.renameSync(tempPath, outputPath);
+    } catch (error) {
+        archive.abort();
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+        throw error;
+    }
+
+    return manifest;
+}
+
+const tableColumns = new Map();
+const insertStatements = new Map();
+
+/**
+ * Inserts the columns a row and the local table have in common,
+ * so archives from older or newer schema versions still import.
+ * @returns {number} New row ID
+ */
+function insertRow(table, row, overrides) {
+    if (!tableColumns.has(table)) {
+        tableColumns.set(table, db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+    }
+
+    const columns = tableColumns.get(table).filter(name => !LOCAL_COLUMNS.has(name) && name in row);
+    const values = { ...Object.fromEntries(columns.map(c => [c, row[c]])), ...overrides };
+    const names = Object.keys(values);
+
+    const key = `${table}:${names.join(',')}`;
+    if (!insertStatements.has(key)) {
+        insertStatements.set(key, db.prepare(`
+            INSERT INTO ${table} (${names.join(', ')})
+            VALUES (${names.map(n => `@${n}`).join(', ')})
+        `));
+    }
+
+    return Number(insertStatements.get(key).run(values).lastInsertRowid);
+}
+
+/**
+ * Resolves an archive-supplied relative path inside a directory, refusing anything that escapes it
+ * @returns {string|null} Absolute path, or null if the name is unsafe
+ */
+function safeJoin(dir, name) {
+    const target = path.resolve(dir, name);
+    return target.startsWith(dir + path.sep) ? target : null;
+}
+
+/**
+ * Writes a file from the archive unless the target already exists
+ * @returns {Promise<boolean>} Whether the file was written
+ */
+async function extractFile(zip, name, target) {
+    const entry = zip.file(name);
+    if (!entry || fs.existsSync(target)) return false;
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, await entry.async('nodebuffer'));
+    return true;
+}
+
+/**
+ * Merges one exported novel into the library.
+ * Novels and chapters are matched by URL: new ones are inserted with their history,
+ * existing ones only gain what they are missing (details, content of unparsed chapters).
+ */
+const mergeNovel = db.transaction((data, rawHtml, stats) => {
+    const existing = getNovelByUrl.get(data.novel.url);
+    let novelId;
+
+    if (existing) {
+        novelId = existing.id;
+        stats.novelsMerged++;
+    } else {
+        novelId = insertRow('novels', data.novel, {
+            // Covers are renamed after the new ID once the files are extracted
+            cover_image: null,
+            status: data.novel.status === 2 ? 0 : data.novel.status
+        });
+        stats.novelsCreated++;
+    }
+
+    // Volumes by title
+    const volumeIds = new Map();
+    let nextVolumeNumber = volumesDb.getMaxVolumeNumber.get(novelId).max + 1;
+    for (const volume of data.volumes) {
+        const local = volumesDb.getVolumeByTitle.get(novelId, volume.title);
+        const id = local
+            ? local.id
+            : Number(volumesDb.insertVolume.run({ novel_id: novelId, title: volume.title, volume_number: nextVolumeNumber++ }).lastInsertRowid);
+        volumeIds.set(volume.id, id);
+    }
+
+    const revisionsByChapter = new Map();
+    for (const revision of data.revisions) {
+        if (!revisionsByChapter.has(revision.chapter_id)) revisionsByChapter.set(revision.chapter_id, []);
+        revisionsByChapter.get(revision.chapter_id).push(revision);
+    }
+    const sourcesByChapter = new Map(data.sources.map(s => [s.chapter_id, s]));
+
+    for (const chapter of data.chapters) {
+        const local = getChapterByUrl.get(chapter.url);
+        const source = sourcesByChapter.get(chapter.id);
+
+        if (!local) {
+            const chapterId = insertRow('chapters', chapter, {
+                novel_id: novelId,
+                volume_id: volumeIds.get(chapter.volume_id) ?? null,
+                status: chapter.status === 2 ? 0 : chapter.status,
+                // Archives from before update checks don't carry it
+                first_seen_at: chapter.first_seen_at ?? chapter.created_at ?? null
+            });
+
+            for (const revision of revisionsByChapter.get(chapter.id) || []) {
+                insertRow('chapter_revisions', revision, { chapter_id: chapterId });
+                stats.revisionsAdded++;
+            }
+            if (source) {
+                insertRow('chapter_sources', source, { chapter_id: chapterId, raw_html: rawHtml.get(chapter.id) ?? null });
+            }
+            if (chapter.content) {
+                indexChapter(chapterId, chapter.title, chapter.content);
+            }
+
+            stats.chaptersAdded++;
+        } else if (!local.content && chapter.content) {
+            // Parsed over there but not here yet - take it, recorded as a revision
+            writeChapterContent({
+                chapterId: local.id,
+                title: chapter.title,
+                content: chapter.content,
+                status: chapter.status,
+                kind: CHANGE_KIND.IMPORT,
+                actor: 'import'
+            });
+            if (source && !chapterSourcesDb.getSourceByChapterId.get(local.id)) {
+                insertRow('chapter_sources', source, { chapter_id: local.id, raw_html: rawHtml.get(chapter.id) ?? null });
+            }
+
+            stats.chaptersUpdated++;
+        } else {
+            stats.chaptersSkipped++;
+        }
+    }
+
+    fillNovelDetails.run({
+        id: novelId,
+        title: data.novel.title,
+        raws_title: data.novel.raws_title,
+        author: data.novel.author,
+        description: data.novel.description
+    });
+
+    return { novelId, created: !existing };
+});
+
+/**
+ * Reads a novel's file from a library archive
+ * @param {JSZip} zip - The archive
+ * @param {Object} entry - Its manifest entry, { id, file }
+ * @returns {Promise<Object>} { novel, volumes, chapters, revisions, sources }
+ * @throws {Error} "Not a library archive" when the file is missing, unreadable or lacks a part
+ */
+async function readNovelFile(zip, entry) {
+    const file = entry?.file && zip.file(entry.file);
+    if (!file) {
+        throw new Error(`Not a library archive: ${entry?.file || 'a novel file'} is missing`);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await file.async('string'));
+    } catch (error) {
+        throw new Error(`Not a library archive: ${entry.file} is not valid JSON (${error.message})`);
+    }
+
+    const complete = typeof data?.novel?.url === 'string'
+        && ['volumes', 'chapters', 'revisions', 'sources'].every(part => Array.isArray(data[part]))
+        && data.chapters.every(chapter => typeof chapter?.url === 'string');
+    if (!complete) {
+        throw new Error(`Not a library archive: ${entry.file} is incomplete`);
+    }
+    return data;
+}
+
+/**
+ * Merges a library archive produced by exportLibrary into this instance
+ * @param {Buffer} buffer - The .zip contents
+ * @returns {Promise<Object>} Counts of what was created, merged and skipped
+ */
+export async function importLibrary(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const manifestEntry = zip.file('manifest.json');
+    if (!manifestEntry) {
+        throw new Error('Not a library archive: manifest.json is missing');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestEntry.async('string'));
+    } catch (error) {
+        throw new Error(`Not a library archive: manifest.json is not valid JSON (${error.message})`);
+    }
+    if (manifest.format !== LIBRARY_FORMAT) {
+        throw new Error(`Not a library archive (format "${manifest.format}")`);
+    }
+    if (manifest.format_version > LIBRARY_FORMAT_VERSION) {
+        throw new Error(`Archive format version ${manifest.format_version} is newer than this app supports (${LIBRARY_FORMAT_VERSION})`);
+    }
+
+    // Every novel file is read and checked before anything is merged, so a broken archive leaves the library untouched
+    if (!Array.isArray(manifest.novels)) {
+        throw new Error('Not a library archive: the manifest lists no novels');
+    }
+    const novels = [];
+    for (const entry of manifest.novels) {
+        novels.push({ entry, data: await readNovelFile(zip, entry) });
+    }
+
+    const stats = {
+        novelsCreated: 0,
+        novelsMerged: 0,
+        chaptersAdded: 0,
+        chaptersUpdated: 0,
+        chaptersSkipped: 0,
+        revisionsAdded: 0,
+        filesWritten: 0
+    };
+
+    // Shared fonts are keyed by name; per-novel fonts (fonts/used/<id>/) follow the novel's new ID
+    const novelFontPrefix = /^used\/(\d+)\//;
+    const novelIds = new Map();
+
+    for (const { entry, data } of novels) {
+        // Raw HTML is read up front - the merge itself is one synchronous transaction
+        const rawHtml = new Map();
+        for (const source of data.sources.filter(s => s.has_raw_html)) {
+            const file = zip.file(`raw/${source.chapter_id}.html.gz`);
+            if (file) rawHtml.set(source.chapter_id, await file.async('nodebuffer'));
+        }
+
+        const { novelId, created } = mergeNovel(data, rawHtml, stats);
+        novelIds.set(entry.id, novelId);
+
+        const cover = data.novel.cover_image;
+        const local = novelsDb.getNovelById.get(novelId);
+        if (cover && !local.cover_image) {
+            const fileName = `novel_${novelId}${path.extname(cover).replace(/[^.a-z0-9]/gi, '')}`;
+            if (await extractFile(zip, `covers/${cover}`, path.join(COVERS_DIR, fileName))) {
+                stats.filesWritten++;
+            }
+            if (fs.existsSync(path.join(COVERS_DIR, fileName))) {
+                updateNovelCover.run(fileName, novelId);
+            }
+        }
+
+        console.log(`${created ? 'Imported' : 'Merged'} novel ${data.novel.title || data.novel.url}`);
+    }
+
+    for (const file of manifest.fonts || []) {
+        const match = file.match(novelFontPrefix);
+        const target = match
+            ? novelIds.has(Number(match[1])) && file.replace(novelFontPrefix, `used/${novelIds.get(Number(match[1]))}/`)
+            : file;
+
+        const targetPath = target && safeJoin(FONTS_DIR, target);
+        if (targetPath && await extractFile(zip, `fonts/${file}`, targetPath)) {
+            stats.filesWritten++;
+        }
+    }
+
+    return stats;
+}
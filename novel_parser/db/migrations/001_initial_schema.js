@@ -0,0 +1,47 @@
+/**
+ * Baseline novels and chapters tables.
+ * IF NOT EXISTS lets databases created before migrations existed adopt this as version 1.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS novels (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT UNIQUE NOT NULL,
+            title TEXT,
+            raws_title TEXT,
+            author TEXT,
+            description TEXT,
+            total_chapters INTEGER DEFAULT 0,
+            status INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS chapters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            novel_id INTEGER NOT NULL,
+            url TEXT UNIQUE NOT NULL,
+            title TEXT,
+            content TEXT,
+            chapter_number INTEGER,
+            status INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (novel_id) REFERENCES novels(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_novels_status ON novels(status);
+        CREATE INDEX IF NOT EXISTS idx_novels_url ON novels(url);
+        CREATE INDEX IF NOT EXISTS idx_chapters_novel_id ON chapters(novel_id);
+        CREATE INDEX IF NOT EXISTS idx_chapters_status ON chapters(status);
+        CREATE INDEX IF NOT EXISTS idx_chapters_url ON chapters(url);
+    `);
+}
+
+const migration = { version: 1, name: 'initial_schema', up };
+
+export default migration;
@@ -0,0 +1,13 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * cover_image was added to the CREATE TABLE after some databases already existed,
+ * so those never got the column.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'novels', 'cover_image', 'TEXT');
+}
+
+const migration = { version: 2, name: 'novel_cover_image', up };
+
+export default migration;
@@ -0,0 +1,31 @@
+/**
+ * Keeps what was fetched apart from what the cleaners produce.
+ * chapters.content stays the current (possibly cleaned) text; chapter_sources holds
+ * the gzip-compressed page HTML and the untouched extraction so cleaning can be redone.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS chapter_sources (
+            chapter_id INTEGER PRIMARY KEY,
+            raw_html BLOB,
+            extracted_title TEXT,
+            extracted_content TEXT,
+            extraction_method TEXT,
+            fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (chapter_id) REFERENCES chapters(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Existing chapters only have chapters.content; keep it as their source so cleaners
+    // stop compounding on top of it. It may already be cleaned, hence 'legacy'.
+    db.exec(`
+        INSERT OR IGNORE INTO chapter_sources (chapter_id, extracted_title, extracted_content, extraction_method, fetched_at)
+        SELECT id, title, content, 'legacy', updated_at
+        FROM chapters
+        WHERE content IS NOT NULL
+    `);
+}
+
+const migration = { version: 3, name: 'chapter_sources', up };
+
+export default migration;
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+
+/**
+ * History of every write to chapters.title / chapters.content so a bad cleaning pass
+ * or edit can be inspected and reverted.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS chapter_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            chapter_id INTEGER NOT NULL,
+            title TEXT,
+            content TEXT,
+            content_hash TEXT,
+            change_kind TEXT NOT NULL,
+            changed_by TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (chapter_id) REFERENCES chapters(id) ON DELETE CASCADE
+        )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_chapter_revisions_chapter_id ON chapter_revisions(chapter_id, id)');
+
+    // Snapshot what chapters look like today so there is something to revert to
+    const chapters = db.prepare('SELECT id, title, content, updated_at FROM chapters WHERE content IS NOT NULL').all();
+    const insert = db.prepare(`
+        INSERT INTO chapter_revisions (chapter_id, title, content, content_hash, change_kind, changed_by, created_at)
+        VALUES (?, ?, ?, ?, 'baseline', 'migration', ?)
+    `);
+
+    for (const chapter of chapters) {
+        const hash = crypto.createHash('sha256').update(chapter.content).digest('hex');
+        insert.run(chapter.id, chapter.title, chapter.content, hash, chapter.updated_at);
+    }
+}
+
+const migration = { version: 4, name: 'chapter_revisions', up };
+
+export default migration;
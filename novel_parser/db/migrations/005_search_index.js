@@ -0,0 +1,56 @@
+import { htmlToPlainText } from '../../parser/textProcessing/plain_text.js';
+
+/**
+ * FTS5 full-text index over chapter plain text and novel metadata.
+ * novels_fts mirrors the novels table through triggers; chapters_fts stores plain text
+ * (content is HTML, which SQL can't strip) and is written by db/search.js.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS novels_fts USING fts5(
+            title, author, description,
+            content='novels', content_rowid='id',
+            tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS novels_fts_insert AFTER INSERT ON novels BEGIN
+            INSERT INTO novels_fts (rowid, title, author, description)
+            VALUES (new.id, new.title, new.author, new.description);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS novels_fts_delete AFTER DELETE ON novels BEGIN
+            INSERT INTO novels_fts (novels_fts, rowid, title, author, description)
+            VALUES ('delete', old.id, old.title, old.author, old.description);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS novels_fts_update AFTER UPDATE OF title, author, description ON novels BEGIN
+            INSERT INTO novels_fts (novels_fts, rowid, title, author, description)
+            VALUES ('delete', old.id, old.title, old.author, old.description);
+            INSERT INTO novels_fts (rowid, title, author, description)
+            VALUES (new.id, new.title, new.author, new.description);
+        END;
+
+        INSERT INTO novels_fts (novels_fts) VALUES ('rebuild');
+    `);
+
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS chapters_fts USING fts5(
+            title, body,
+            tokenize='unicode61 remove_diacritics 2'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS chapters_fts_delete AFTER DELETE ON chapters BEGIN
+            DELETE FROM chapters_fts WHERE rowid = old.id;
+        END;
+    `);
+
+    const chapters = db.prepare('SELECT id, title, content FROM chapters WHERE content IS NOT NULL').all();
+    const insert = db.prepare('INSERT INTO chapters_fts (rowid, title, body) VALUES (?, ?, ?)');
+    for (const chapter of chapters) {
+        insert.run(chapter.id, chapter.title, htmlToPlainText(chapter.content));
+    }
+}
+
+const migration = { version: 5, name: 'search_index', up };
+
+export default migration;
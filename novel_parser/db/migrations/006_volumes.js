@@ -0,0 +1,30 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Volumes/arcs detected in a novel's table of contents.
+ * Chapters keep their flat chapter_number order; volume_id only groups them.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS volumes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            novel_id INTEGER NOT NULL,
+            title TEXT NOT NULL,
+            volume_number INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (novel_id, title),
+            FOREIGN KEY (novel_id) REFERENCES novels(id) ON DELETE CASCADE
+        )
+    `);
+
+    addColumnIfMissing(db, 'chapters', 'volume_id', 'INTEGER REFERENCES volumes(id) ON DELETE SET NULL');
+
+    db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_volumes_novel_id ON volumes(novel_id);
+        CREATE INDEX IF NOT EXISTS idx_chapters_volume_id ON chapters(volume_id);
+    `);
+}
+
+const migration = { version: 6, name: 'volumes', up };
+
+export default migration;
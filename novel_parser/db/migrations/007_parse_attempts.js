@@ -0,0 +1,39 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Why and when items failed, instead of a bare status = -1.
+ * Per-item columns hold the latest state; parse_attempts keeps the full history.
+ */
+export function up(db) {
+    for (const table of ['novels', 'chapters']) {
+        addColumnIfMissing(db, table, 'last_error', 'TEXT');
+        addColumnIfMissing(db, table, 'error_kind', 'TEXT');
+        addColumnIfMissing(db, table, 'attempt_count', 'INTEGER DEFAULT 0');
+        addColumnIfMissing(db, table, 'last_attempt_at', 'DATETIME');
+        addColumnIfMissing(db, table, 'next_attempt_at', 'DATETIME');
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS parse_attempts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            item_type TEXT NOT NULL,
+            item_id INTEGER NOT NULL,
+            novel_id INTEGER NOT NULL,
+            attempt_number INTEGER NOT NULL,
+            outcome TEXT NOT NULL,
+            error_kind TEXT,
+            error_message TEXT,
+            duration_ms INTEGER,
+            started_at DATETIME,
+            finished_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (novel_id) REFERENCES novels(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_parse_attempts_item ON parse_attempts(item_type, item_id);
+        CREATE INDEX IF NOT EXISTS idx_parse_attempts_novel_id ON parse_attempts(novel_id, id);
+    `);
+}
+
+const migration = { version: 7, name: 'parse_attempts', up };
+
+export default migration;
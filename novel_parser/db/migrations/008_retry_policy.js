@@ -0,0 +1,23 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Retry bookkeeping: a consecutive-failure counter per item (attempt_count keeps the
+ * lifetime total) and per-novel policy overrides (NULL = defaults in parser/retry_policy.js).
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'novels', 'retry_count', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'chapters', 'retry_count', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'novels', 'retry_max_attempts', 'INTEGER');
+    addColumnIfMissing(db, 'novels', 'retry_base_delay_seconds', 'INTEGER');
+
+    // Items that failed before retries existed get one more go on the next run
+    db.exec(`
+        UPDATE novels SET next_attempt_at = CURRENT_TIMESTAMP WHERE status = -1 AND next_attempt_at IS NULL;
+        UPDATE chapters SET next_attempt_at = CURRENT_TIMESTAMP WHERE status = -1 AND next_attempt_at IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_chapters_status_next_attempt ON chapters(status, next_attempt_at);
+    `);
+}
+
+const migration = { version: 8, name: 'retry_policy', up };
+
+export default migration;
@@ -0,0 +1,16 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Processing leases: whoever moves an item to PROCESSING owns it until lease_expires_at,
+ * and keeps extending it while working. An expired lease means the owner died.
+ */
+export function up(db) {
+    for (const table of ['novels', 'chapters']) {
+        addColumnIfMissing(db, table, 'lease_owner', 'TEXT');
+        addColumnIfMissing(db, table, 'lease_expires_at', 'DATETIME');
+    }
+}
+
+const migration = { version: 9, name: 'leases', up };
+
+export default migration;
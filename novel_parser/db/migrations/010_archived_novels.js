@@ -0,0 +1,12 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Soft delete: archived novels stay in the library but are hidden and never parsed.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'novels', 'archived_at', 'DATETIME');
+}
+
+const migration = { version: 10, name: 'archived_novels', up };
+
+export default migration;
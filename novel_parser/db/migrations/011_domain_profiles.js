@@ -0,0 +1,35 @@
+/**
+ * Per-site crawling rules (NULL column = use the default from parser/politeness.js),
+ * the cached robots.txt, and a request log used for the hourly cap.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS domain_profiles (
+            domain TEXT PRIMARY KEY,
+            min_delay_ms INTEGER,
+            max_delay_ms INTEGER,
+            max_concurrency INTEGER,
+            max_requests_per_hour INTEGER,
+            allowed_hours TEXT,
+            respect_robots INTEGER,
+            robots_txt TEXT,
+            robots_fetched_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS domain_requests (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            domain TEXT NOT NULL,
+            requested_at INTEGER NOT NULL
+        )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_domain_requests_domain ON domain_requests(domain, requested_at)');
+}
+
+const migration = { version: 11, name: 'domain_profiles', up };
+
+export default migration;
@@ -0,0 +1,20 @@
+/**
+ * Adaptive throttling state per site, set when a site answers 429/503:
+ * how much slower to go than its profile, and when it may be requested again.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS domain_throttle (
+            domain TEXT PRIMARY KEY,
+            delay_multiplier REAL NOT NULL DEFAULT 1,
+            blocked_until INTEGER,
+            last_status INTEGER,
+            throttled_at INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+const migration = { version: 12, name: 'domain_throttle', up };
+
+export default migration;
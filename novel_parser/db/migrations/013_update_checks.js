@@ -0,0 +1,21 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Update checks for ongoing novels: the flag, how often to look at the TOC again and when it was last done,
+ * plus when each chapter first showed up in a TOC.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'novels', 'ongoing', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'novels', 'update_interval_hours', 'INTEGER');
+    addColumnIfMissing(db, 'novels', 'last_update_check_at', 'DATETIME');
+    addColumnIfMissing(db, 'chapters', 'first_seen_at', 'DATETIME');
+
+    // Existing chapters were seen when they were inserted
+    db.exec('UPDATE chapters SET first_seen_at = created_at WHERE first_seen_at IS NULL');
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_chapters_novel_first_seen ON chapters(novel_id, first_seen_at)');
+}
+
+const migration = { version: 13, name: 'update_checks', up };
+
+export default migration;
@@ -0,0 +1,12 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * Parse queue priority per novel: higher goes first, 0 is normal.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'novels', 'priority', 'INTEGER NOT NULL DEFAULT 0');
+}
+
+const migration = { version: 14, name: 'novel_priority', up };
+
+export default migration;
@@ -0,0 +1,34 @@
+/**
+ * Parser runs and the pause switch, kept in the database because the parser (server.js)
+ * and the API routes that control it live in different processes.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS parser_control (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            paused INTEGER NOT NULL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.exec('INSERT OR IGNORE INTO parser_control (id, paused) VALUES (1, 0)');
+
+    // state: running | cancelling | completed | cancelled | failed | interrupted
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS parser_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner TEXT NOT NULL,
+            state TEXT NOT NULL DEFAULT 'running',
+            stage TEXT,
+            error TEXT,
+            started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            heartbeat_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME
+        )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_parser_runs_unfinished ON parser_runs(finished_at)');
+}
+
+const migration = { version: 15, name: 'parser_runs', up };
+
+export default migration;
@@ -0,0 +1,23 @@
+/**
+ * Parser progress events, written by the parser and tailed by the SSE endpoint (another process).
+ * Only a short history is kept.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS parser_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER,
+            type TEXT NOT NULL,
+            novel_id INTEGER,
+            chapter_id INTEGER,
+            data TEXT,
+            created_at INTEGER NOT NULL
+        )
+    `);
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_parser_events_created ON parser_events(created_at)');
+}
+
+const migration = { version: 16, name: 'parser_events', up };
+
+export default migration;
@@ -0,0 +1,14 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * What a parser run used of its budget, and why it stopped early (budget reached) if it did.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'parser_runs', 'items_done', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'parser_runs', 'bytes_downloaded', 'INTEGER NOT NULL DEFAULT 0');
+    addColumnIfMissing(db, 'parser_runs', 'stop_reason', 'TEXT');
+}
+
+const migration = { version: 17, name: 'run_budgets', up };
+
+export default migration;
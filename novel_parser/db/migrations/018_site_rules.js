@@ -0,0 +1,17 @@
+/**
+ * Declarative extraction rules per site (see parser/sites/rules.js), kept as JSON
+ * so they can be edited from the settings page without touching the code adapters.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS site_rules (
+            domain TEXT PRIMARY KEY,
+            rules TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+const migration = { version: 18, name: 'site_rules', up };
+
+export default migration;
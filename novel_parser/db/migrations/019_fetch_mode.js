@@ -0,0 +1,13 @@
+import { addColumnIfMissing } from './helpers.js';
+
+/**
+ * How a site's pages are loaded: auto, http or browser (see parser/browserComponents/http_fetch.js).
+ * NULL leaves it to the site adapter and the PARSER_FETCH_MODE default.
+ */
+export function up(db) {
+    addColumnIfMissing(db, 'domain_profiles', 'fetch_mode', 'TEXT');
+}
+
+const migration = { version: 19, name: 'fetch_mode', up };
+
+export default migration;
@@ -0,0 +1,24 @@
+/**
+ * Index of the on-disk response cache (see parser/response_cache.js): the last response per URL.
+ * Bodies are stored as files named by their content hash, so identical pages share one file.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS response_cache (
+            url TEXT PRIMARY KEY,
+            final_url TEXT,
+            status INTEGER,
+            headers TEXT,
+            content_hash TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            fetched_at INTEGER NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_response_cache_fetched ON response_cache(fetched_at);
+        CREATE INDEX IF NOT EXISTS idx_response_cache_hash ON response_cache(content_hash);
+    `);
+}
+
+const migration = { version: 20, name: 'response_cache', up };
+
+export default migration;
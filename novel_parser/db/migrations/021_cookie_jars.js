@@ -0,0 +1,18 @@
+/**
+ * Cookies per site (see parser/cookies.js), so pages behind a login can be parsed.
+ * Filled from an imported cookies.txt or an interactive login; kept up to date by the parser.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS cookie_jars (
+            domain TEXT PRIMARY KEY,
+            cookies TEXT NOT NULL,
+            source TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+const migration = { version: 21, name: 'cookie_jars', up };
+
+export default migration;
@@ -0,0 +1,25 @@
+/**
+ * Pages stuck on a CAPTCHA or bot check until someone solves it in the parser's browser window
+ * (see parser/challenges.js). The waiting fetch refreshes heartbeat_at; a row without a recent
+ * heartbeat belongs to a process that is gone.
+ */
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS challenges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            domain TEXT NOT NULL,
+            url TEXT NOT NULL,
+            reason TEXT,
+            state TEXT NOT NULL DEFAULT 'waiting',
+            created_at INTEGER NOT NULL,
+            heartbeat_at INTEGER NOT NULL,
+            resolved_at INTEGER
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_challenges_state ON challenges(state, domain);
+    `);
+}
+
+const migration = { version: 22, name: 'challenges', up };
+
+export default migration;
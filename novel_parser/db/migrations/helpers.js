@@ -0,0 +1,14 @@
+/**
+ * Adds a column unless it already exists.
+ * Databases created before migrations existed may or may not have late columns.
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+export function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
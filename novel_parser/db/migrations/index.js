@@ -0,0 +1,53 @@
+/**
+ * Ordered registry of schema migrations.
+ * To change the schema add a new numbered file and append it here - never edit an applied one.
+ */
+import initialSchema from './001_initial_schema.js';
+import novelCoverImage from './002_novel_cover_image.js';
+import chapterSources from './003_chapter_sources.js';
+import chapterRevisions from './004_chapter_revisions.js';
+import searchIndex from './005_search_index.js';
+import volumes from './006_volumes.js';
+import parseAttempts from './007_parse_attempts.js';
+import retryPolicy from './008_retry_policy.js';
+import leases from './009_leases.js';
+import archivedNovels from './010_archived_novels.js';
+import domainProfiles from './011_domain_profiles.js';
+import domainThrottle from './012_domain_throttle.js';
+import updateChecks from './013_update_checks.js';
+import novelPriority from './014_novel_priority.js';
+import parserRuns from './015_parser_runs.js';
+import parserEvents from './016_parser_events.js';
+import runBudgets from './017_run_budgets.js';
+import siteRules from './018_site_rules.js';
+import fetchMode from './019_fetch_mode.js';
+import responseCache from './020_response_cache.js';
+import cookieJars from './021_cookie_jars.js';
+import challenges from './022_challenges.js';
+
+export const migrations = [
+    initialSchema,
+    novelCoverImage,
+    chapterSources,
+    chapterRevisions,
+    searchIndex,
+    volumes,
+    parseAttempts,
+    retryPolicy,
+    leases,
+    archivedNovels,
+    domainProfiles,
+    domainThrottle,
+    updateChecks,
+    novelPriority,
+    parserRuns,
+    parserEvents,
+    runBudgets,
+    siteRules,
+    fetchMode,
+    responseCache,
+    cookieJars,
+    challenges,
+];
+
+export default migrations;
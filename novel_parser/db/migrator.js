@@ -0,0 +1,88 @@
+import { migrations } from './migrations/index.js';
+
+/**
+ * Creates the bookkeeping table that records applied migrations
+ * @param {Database} db - better-sqlite3 connection
+ */
+function ensureMigrationsTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Makes sure the registry is ordered and has no duplicate versions
+ */
+function validateRegistry() {
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version <= migrations[i - 1].version) {
+            throw new Error(`Migration registry out of order at version ${migrations[i].version}`);
+        }
+    }
+}
+
+/**
+ * Lists migrations already applied to the database
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<{version: number, name: string, applied_at: string}>}
+ */
+export function getAppliedMigrations(db) {
+    ensureMigrationsTable(db);
+    return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Lists registered migrations that have not been applied yet
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<Object>} Pending migration modules, in order
+ */
+export function getPendingMigrations(db) {
+    validateRegistry();
+
+    const applied = getAppliedMigrations(db);
+    const appliedVersions = new Set(applied.map(m => m.version));
+    const knownVersions = new Set(migrations.map(m => m.version));
+
+    // A database touched by a newer build must not be run by an older one
+    const unknown = applied.filter(m => !knownVersions.has(m.version));
+    if (unknown.length > 0) {
+        throw new Error(`Database has migrations this build does not know about: ${unknown.map(m => `${m.version}_${m.name}`).join(', ')}`);
+    }
+
+    return migrations.filter(m => !appliedVersions.has(m.version));
+}
+
+/**
+ * Applies every pending migration, each one inside its own transaction
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {Array<{version: number, name: string}>} Migrations applied by this call
+ */
+export function runMigrations(db) {
+    const pending = getPendingMigrations(db);
+    const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+    const applied = [];
+
+    for (const migration of pending) {
+        const apply = db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name);
+            // Mirror the version for tools that only look at user_version
+            db.pragma(`user_version = ${migration.version}`);
+        });
+
+        try {
+            apply();
+        } catch (error) {
+            console.error(`Migration ${migration.version}_${migration.name} failed:`, error);
+            throw error;
+        }
+
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+}
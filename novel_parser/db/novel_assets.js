@@ -0,0 +1,106 @@
+import fs from 'fs';
+import path from 'path';
+import { novelsDb, chaptersDb } from './db_init.js';
+import { detectCustomFonts, fontFileBaseName } from '../parser/textProcessing/font_families.js';
+
+const db = novelsDb.db;
+
+// Files that belong to novels but live outside the database
+export const COVERS_DIR = path.resolve(process.cwd(), 'public', 'covers');
+export const FONTS_DIR = path.resolve(process.cwd(), 'public', 'fonts');
+export const EPUBS_DIR = path.resolve(process.cwd(), 'public', 'epubs');
+
+// public/fonts also holds the font tooling scripts - only these are actual fonts
+export const FONT_EXTENSIONS = new Set(['.ttf', '.otf', '.woff', '.woff2']);
+
+const getExtractedContentByNovelId = db.prepare(`
+    SELECT s.extracted_content AS content
+    FROM chapter_sources s
+    JOIN chapters c ON c.id = s.chapter_id
+    WHERE c.novel_id = ?
+`);
+
+// Whether any chapter (current content or original extraction) still mentions a font family
+const isFontFamilyReferenced = db.prepare(`
+    SELECT EXISTS (SELECT 1 FROM chapters WHERE instr(content, @family) > 0)
+        OR EXISTS (SELECT 1 FROM chapter_sources WHERE instr(extracted_content, @family) > 0) AS referenced
+`).pluck();
+
+/**
+ * File name the EPUB generator writes a novel to (in public/epubs)
+ * @param {Object} novel - Novel row
+ * @returns {string}
+ */
+export function getEpubFilename(novel) {
+    const name = novel.title || `novel_${novel.id}`;
+    return `${name.replace(/[^a-z0-9\-_. ]/gi, '_').replace(/_{2,}/g, '_')}.epub`;
+}
+
+function removeFile(filePath, removed) {
+    try {
+        fs.rmSync(filePath, { recursive: true, force: true });
+        removed.push(path.relative(process.cwd(), filePath));
+    } catch (error) {
+        console.error(`Failed to remove ${filePath}:`, error.message);
+    }
+}
+
+/**
+ * Deletes a novel with everything that belongs to it.
+ * Chapters, sources, revisions, volumes and attempts go through ON DELETE CASCADE;
+ * then the cover, the novel's generated EPUBs and the fonts no other novel uses are removed.
+ * Callers must make sure no parser holds a lease on the novel (countActiveLeasesByNovelId).
+ * @param {number} novelId - Novel ID
+ * @returns {{removedFiles: string[]}|null} null if the novel does not exist
+ */
+export function deleteNovel(novelId) {
+    const novel = novelsDb.getNovelById.get(novelId);
+    if (!novel) return null;
+
+    // Fonts have to be collected while the chapters still exist
+    const fontFamilies = detectCustomFonts([
+        ...chaptersDb.getChaptersByNovelId.all(novelId),
+        ...getExtractedContentByNovelId.all(novelId)
+    ]);
+
+    novelsDb.deleteNovel.run(novelId);
+
+    const removed = [];
+
+    if (novel.cover_image) {
+        const coverPath = path.join(COVERS_DIR, path.basename(novel.cover_image));
+        if (fs.existsSync(coverPath)) removeFile(coverPath, removed);
+    }
+
+    // Decoded fonts moved aside by the cleaners for this novel
+    const usedFontsDir = path.join(FONTS_DIR, 'used', String(novelId));
+    if (fs.existsSync(usedFontsDir)) removeFile(usedFontsDir, removed);
+
+    // Downloaded fonts are shared by name, so only drop those nothing else refers to
+    if (fs.existsSync(FONTS_DIR)) {
+        const unused = new Set(fontFamilies
+            .filter(family => !isFontFamilyReferenced.get({ family }))
+            .map(fontFileBaseName));
+
+        for (const file of fs.readdirSync(FONTS_DIR)) {
+            const ext = path.extname(file).toLowerCase();
+            if (FONT_EXTENSIONS.has(ext) && unused.has(path.basename(file, ext).toLowerCase())) {
+                removeFile(path.join(FONTS_DIR, file), removed);
+            }
+        }
+    }
+
+    // EPUBs are named after the title, which another novel may share
+    if (fs.existsSync(EPUBS_DIR)) {
+        const epubName = getEpubFilename(novel);
+        const sharedName = novelsDb.getAllNovels.all().some(other => getEpubFilename(other) === epubName);
+
+        for (const file of fs.readdirSync(EPUBS_DIR)) {
+            if ((file === epubName && !sharedName) || (file.startsWith(`${novelId}_`) && file.endsWith('.tmp'))) {
+                removeFile(path.join(EPUBS_DIR, file), removed);
+            }
+        }
+    }
+
+    return { removedFiles: removed };
+}
@@ -0,0 +1,114 @@
+import { novelsDb } from './db_init.js';
+import { htmlToPlainText } from '../parser/textProcessing/plain_text.js';
+
+const db = novelsDb.db;
+
+// Control characters FTS5 wraps matches in; swapped for <mark> after HTML-escaping the snippet
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const deleteChapterStmt = db.prepare('DELETE FROM chapters_fts WHERE rowid = ?');
+const insertChapterStmt = db.prepare('INSERT INTO chapters_fts (rowid, title, body) VALUES (?, ?, ?)');
+
+const searchChaptersStmt = db.prepare(`
+    SELECT c.id, c.novel_id, c.title, c.chapter_number,
+           n.title AS novel_title,
+           snippet(chapters_fts, 1, '${MARK_START}', '${MARK_END}', '…', 24) AS snippet
+    FROM chapters_fts
+    JOIN chapters c ON c.id = chapters_fts.rowid
+    JOIN novels n ON n.id = c.novel_id
+    WHERE chapters_fts MATCH @query
+      AND (@novelId IS NULL OR c.novel_id = @novelId)
+      AND (@chapterFrom IS NULL OR c.chapter_number >= @chapterFrom)
+      AND (@chapterTo IS NULL OR c.chapter_number <= @chapterTo)
+    ORDER BY bm25(chapters_fts, 5.0, 1.0)
+    LIMIT @limit OFFSET @offset
+`);
+
+const searchNovelsStmt = db.prepare(`
+    SELECT n.id, n.title, n.author,
+           highlight(novels_fts, 0, '${MARK_START}', '${MARK_END}') AS title_highlight,
+           snippet(novels_fts, 2, '${MARK_START}', '${MARK_END}', '…', 24) AS snippet
+    FROM novels_fts
+    JOIN novels n ON n.id = novels_fts.rowid
+    WHERE novels_fts MATCH @query
+      AND (@novelId IS NULL OR n.id = @novelId)
+    ORDER BY bm25(novels_fts, 10.0, 5.0, 1.0)
+    LIMIT @limit
+`);
+
+/**
+ * (Re)indexes one chapter. Called from writeChapterContent so the index follows every write.
+ * @param {number} chapterId - Chapter ID (used as the FTS rowid)
+ * @param {string} title - Chapter title
+ * @param {string|null} html - Chapter HTML content
+ */
+export function indexChapter(chapterId, title, html) {
+    deleteChapterStmt.run(chapterId);
+    if (html) {
+        insertChapterStmt.run(chapterId, title || '', htmlToPlainText(html));
+    }
+}
+
+/**
+ * Turns free user input into a safe FTS5 query: "quoted phrases" are kept,
+ * every other word is quoted so operators and punctuation can't cause syntax errors.
+ * @param {string} input - Raw search box text
+ * @returns {string} FTS5 MATCH expression (terms are ANDed)
+ */
+export function toFtsQuery(input) {
+    const terms = [];
+    const tokenRegex = /"([^"]+)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenRegex.exec(input || '')) !== null) {
+        const term = (match[1] || match[2]).replace(/"/g, '""').trim();
+        if (term) terms.push(`"${term}"`);
+    }
+
+    return terms.join(' ');
+}
+
+/**
+ * HTML-escapes a snippet and turns the match markers into <mark> tags
+ */
+function markSnippet(text) {
+    if (!text) return '';
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replaceAll(MARK_START, '<mark>')
+        .replaceAll(MARK_END, '</mark>');
+}
+
+/**
+ * Searches chapter text and novel metadata
+ * @param {Object} params
+ * @param {string} params.query - User search text
+ * @param {number|null} params.novelId - Only search this novel
+ * @param {number|null} params.chapterFrom - Lowest chapter number to include
+ * @param {number|null} params.chapterTo - Highest chapter number to include
+ * @param {'all'|'novels'|'chapters'} params.type - Which result kinds to return
+ * @param {number} params.limit - Max chapter results
+ * @param {number} params.offset - Chapter results to skip
+ * @returns {{novels: Array, chapters: Array}} Results with HTML-safe snippets
+ */
+export function searchLibrary({ query, novelId = null, chapterFrom = null, chapterTo = null, type = 'all', limit = 20, offset = 0 }) {
+    const ftsQuery = toFtsQuery(query);
+    if (!ftsQuery) {
+        return { novels: [], chapters: [] };
+    }
+
+    const novels = type === 'chapters' ? [] : searchNovelsStmt.all({ query: ftsQuery, novelId, limit: 10 })
+        .map(n => ({
+            ...n,
+            title_highlight: markSnippet(n.title_highlight || n.title),
+            snippet: markSnippet(n.snippet)
+        }));
+
+    const chapters = type === 'novels' ? [] : searchChaptersStmt.all({ query: ftsQuery, novelId, chapterFrom, chapterTo, limit, offset })
+        .map(c => ({ ...c, snippet: markSnippet(c.snippet) }));
+
+    return { novels, chapters };
+}
@@ -0,0 +1,19 @@
+/**
+ * SQLite CURRENT_TIMESTAMP format ('YYYY-MM-DD HH:MM:SS', UTC), so values computed in JS
+ * compare correctly with the ones SQLite writes.
+ * @param {Date|number} date - Date or epoch milliseconds
+ * @returns {string} UTC timestamp string
+ */
+export function toSqlTimestamp(date) {
+    return new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Parses a timestamp written by SQLite (UTC, no zone suffix)
+ * @param {string|null} value - Timestamp string
+ * @returns {Date|null}
+ */
+export function fromSqlTimestamp(value) {
+    if (!value) return null;
+    return new Date(value.replace(' ', 'T') + 'Z');
+}
@@ -0,0 +1,99 @@
+import { novelsDb, chaptersDb, attemptsDb } from '../db/db_init.js';
+import { toSqlTimestamp } from '../db/timestamps.js';
+import { classifyError } from './error_kinds.js';
+import { getRetryPolicy, planRetry } from './retry_policy.js';
+
+export const ITEM_TYPE = {
+    NOVEL: 'novel',
+    CHAPTER: 'chapter'
+};
+
+const recordStatements = {
+    [ITEM_TYPE.NOVEL]: { get: novelsDb.getNovelById, record: novelsDb.recordNovelAttempt },
+    [ITEM_TYPE.CHAPTER]: { get: chaptersDb.getChapterById, record: chaptersDb.recordChapterAttempt }
+};
+
+/**
+ * Records the outcome of one parse attempt: updates the item's error/attempt columns
+ * and appends a row to parse_attempts.
+ * @param {Object} params
+ * @param {string} params.itemType - ITEM_TYPE.NOVEL or ITEM_TYPE.CHAPTER
+ * @param {number} params.itemId - Novel or chapter ID
+ * @param {number} params.novelId - Owning novel ID
+ * @param {number} params.startedAt - Epoch ms when the attempt began
+ * @param {boolean} params.success - Whether the attempt succeeded
+ * @param {Error|string} [params.error] - Failure reason
+ * @param {string} [params.errorKind] - Known error kind; classified from error otherwise
+ * @param {number} [params.status] - Status to store; omitted leaves status as is
+ * @param {string|null} [params.nextAttemptAt] - When the item may be tried again
+ * @returns {{attemptNumber: number, errorKind: string|null}}
+ */
+export const recordAttempt = novelsDb.db.transaction(({ itemType, itemId, novelId, startedAt, success, error, errorKind, status, nextAttemptAt = null }) => {
+    const statements = recordStatements[itemType];
+    const item = statements.get.get(itemId);
+    const attemptNumber = (item?.attempt_count || 0) + 1;
+
+    const message = success ? null : (typeof error === 'string' ? error : error?.message) || 'Unknown error';
+    const kind = success ? null : errorKind || classifyError(error || message);
+
+    statements.record.run({
+        id: itemId,
+        status: status ?? null,
+        last_error: message,
+        error_kind: kind,
+        next_attempt_at: nextAttemptAt
+    });
+
+    attemptsDb.insertAttempt.run({
+        item_type: itemType,
+        item_id: itemId,
+        novel_id: novelId,
+        attempt_number: attemptNumber,
+        outcome: success ? 'success' : 'error',
+        error_kind: kind,
+        error_message: message,
+        duration_ms: Date.now() - startedAt,
+        started_at: toSqlTimestamp(startedAt)
+    });
+
+    return { attemptNumber, errorKind: kind };
+});
+
+/**
+ * Records a failed attempt and schedules the retry (or marks the item dead)
+ * according to the owning novel's retry policy. Backoff grows with the item's
+ * consecutive failures (retry_count), which a success or a manual retry resets.
+ * @param {Object} params
+ * @param {string} params.itemType - ITEM_TYPE.NOVEL or ITEM_TYPE.CHAPTER
+ * @param {number} params.itemId - Novel or chapter ID
+ * @param {number} params.novelId - Owning novel ID
+ * @param {number} params.startedAt - Epoch ms when the attempt began
+ * @param {Error|string} params.error - Failure reason
+ * @param {string} [params.errorKind] - Known error kind; classified from error otherwise
+ * @returns {{attemptNumber: number, errorKind: string, status: number, nextAttemptAt: string|null, reason: string}}
+ */
+export const recordFailure = novelsDb.db.transaction(({ itemType, itemId, novelId, startedAt, error, errorKind }) => {
+    const item = recordStatements[itemType].get.get(itemId);
+    const kind = errorKind || classifyError(error);
+    const attemptNumber = (item?.attempt_count || 0) + 1;
+
+    const plan = planRetry({
+        failures: (item?.retry_count || 0) + 1,
+        errorKind: kind,
+        policy: getRetryPolicy(novelsDb.getNovelById.get(novelId))
+    });
+
+    recordAttempt({
+        itemType,
+        itemId,
+        novelId,
+        startedAt,
+        success: false,
+        error,
+        errorKind: kind,
+        status: plan.status,
+        nextAttemptAt: plan.nextAttemptAt
+    });
+
+    return { attemptNumber, errorKind: kind, ...plan };
+});
@@ -2,6 +2,8 @@ import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import RecaptchaPlugin from 'puppeteer-extra-plugin-recaptcha';
 import UserAgent from 'user-agents';
+import { emitEvent, EVENT } from '../events.js';
+import { applyCookieJars } from '../cookies.js';
 
 // Add stealth plugin to evade detection
 puppeteer.use(StealthPlugin());
@@ -18,8 +20,9 @@ puppeteer.use(StealthPlugin());
 // );
 
 let browserInstance = null;
-const pagePool = new Map(); // Map to track page usage count
-const MAX_PAGES = 3; // Reduced for better resource management
+let browserLaunch = null; // Pending launch, while one is in progress
+const pagePool = new Map(); // Map to track page usage count and which pages are checked out
+export const MAX_PAGES = parseInt(process.env.PARSER_MAX_PAGES) || 3; // Reduced for better resource management
 const MAX_PAGE_USES = Math.floor(Math.random() * 6) + 10; // 10-15 uses per page
 
 /**
@@ -74,6 +77,17 @@ export async function initBrowser() {
         return browserInstance;
     }
 
+    // Parallel workers asking at the same time share one launch
+    if (!browserLaunch) {
+        browserLaunch = launchBrowser().finally(() => {
+            browserLaunch = null;
+        });
+    }
+
+    return browserLaunch;
+}
+
+async function launchBrowser() {
     try {
         const fingerprint = generateFingerprint();
 
@@ -118,6 +132,28 @@ export async function initBrowser() {
     }
 }
 
+/**
+ * Launches a separate visible browser for logging in to a site by hand (see login_session.js):
+ * no page pool and no request filtering, so the site behaves as in a normal browser
+ * @returns {Promise<Browser>} Puppeteer browser instance; the caller closes it
+ */
+export async function launchLoginBrowser() {
+    const fingerprint = generateFingerprint();
+
+    return puppeteer.launch({
+        headless: false,
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--no-first-run',
+            '--window-size=1280,900',
+            `--user-agent=${fingerprint.userAgent}`,
+            `--lang=${fingerprint.languages[0]}`
+        ],
+        defaultViewport: null
+    });
+}
+
 /**
  * Applies anti-detection measures to a page
  * @param {Page} page - Puppeteer page object
@@ -243,7 +279,9 @@ export async function simulateHumanBehavior(page) {
 }
 
 /**
- * Gets or creates a new page with fresh fingerprint
+ * Gets or creates a new page with fresh fingerprint.
+ * The page is checked out to the caller until releasePage(), so parallel
+ * workers never share a page.
  * @param {boolean} forceNew - Force creation of new page
  * @returns {Promise<Page>} Puppeteer page object
  */
@@ -251,32 +289,40 @@ export async function getPage(forceNew = false) {
     const browser = await initBrowser();
 
     try {
+        // Saved logins (see cookies.js); cookies are shared by every page of the browser
+        await applyCookieJars(browser);
+
         // Check if we need to recycle any pages
         if (!forceNew) {
             for (const [page, data] of pagePool.entries()) {
-                if (data.uses < MAX_PAGE_USES) {
+                if (!data.inUse && data.uses < MAX_PAGE_USES) {
                     data.uses++;
+                    data.inUse = true;
                     console.log(`Reusing page (${data.uses}/${MAX_PAGE_USES} uses)`);
                     return page;
                 }
             }
         }
 
-        // Recycle old pages that exceeded usage limit
+        // Recycle idle pages that exceeded usage limit
         for (const [page, data] of pagePool.entries()) {
-            if (data.uses >= MAX_PAGE_USES) {
+            if (!data.inUse && data.uses >= MAX_PAGE_USES) {
                 console.log(`Recycling page after ${data.uses} uses`);
-                await page.close().catch(console.error);
                 pagePool.delete(page);
+                await page.close().catch(console.error);
             }
         }
 
-        // Limit the number of open pages
+        // Limit the number of open pages - only idle ones can be closed
         if (pagePool.size >= MAX_PAGES) {
-            const oldestPage = pagePool.keys().next().value;
-            console.log('Max pages reached, closing oldest page');
-            await oldestPage.close().catch(console.error);
-            pagePool.delete(oldestPage);
+            const oldestIdle = [...pagePool.entries()].find(([, data]) => !data.inUse)?.[0];
+            if (oldestIdle) {
+                console.log('Max pages reached, closing oldest idle page');
+                pagePool.delete(oldestIdle);
+                await oldestIdle.close().catch(console.error);
+            } else {
+                console.warn(`All ${pagePool.size} pages are checked out, opening one more`);
+            }
         }
 
         // Create new page with fresh fingerprint
@@ -341,6 +387,7 @@ export async function getPage(forceNew = false) {
         // Track page usage
         pagePool.set(page, {
             uses: 1,
+            inUse: true,
             created: Date.now(),
             fingerprint: fingerprint
         });
@@ -384,6 +431,12 @@ export async function handleCaptcha(page) {
             return true;
         }
 
+        // Only with the reCAPTCHA plugin enabled above; otherwise fetchPage asks someone to solve it
+        if (typeof page.solveRecaptchas !== 'function') {
+            console.log('No CAPTCHA solver configured');
+            return false;
+        }
+
         // Attempt to solve reCAPTCHA using the plugin
         try {
             const { solved, error } = await page.solveRecaptchas();
@@ -412,6 +465,7 @@ export async function handleCaptcha(page) {
  */
 export async function recyclePage(page) {
     console.log('Recycling page with fresh browser fingerprint...');
+    emitEvent(EVENT.PAGE_RECYCLED, { uses: pagePool.get(page)?.uses ?? null });
 
     if (pagePool.has(page)) {
         pagePool.delete(page);
@@ -426,6 +480,17 @@ export async function recyclePage(page) {
     return await getPage(true);
 }
 
+/**
+ * Returns a page obtained from getPage() to the pool for other workers
+ * @param {Page} page - Page to release
+ */
+export function releasePage(page) {
+    const data = pagePool.get(page);
+    if (data) {
+        data.inUse = false;
+    }
+}
+
 /**
  * Gets page usage statistics
  * @param {Page} page - Page to check
@@ -476,6 +541,7 @@ function delay(ms) {
 export default {
     initBrowser,
     getPage,
+    releasePage,
     closeBrowser,
     handleCaptcha,
     recyclePage,
@@ -1,24 +1,90 @@
 
-import { handleCaptcha, recyclePage, getPageStats, simulateHumanBehavior } from './browser_init.js';
+import { handleCaptcha, recyclePage, getPageStats, simulateHumanBehavior, getPage } from './browser_init.js';
+import { fetchStatic, usesPlainHttp, resolveFetchMode, detectBlockPage, FETCH_MODE } from './http_fetch.js';
+import { createStaticPage } from './static_page.js';
+import { ERROR_KIND } from '../error_kinds.js';
+import { waitForDomainTurn, throttleDomain, easeDomainThrottle, parseRetryAfter } from '../politeness.js';
+import { emitEvent, EVENT } from '../events.js';
+import { recordDownloadedBytes } from '../controller.js';
+import { storeResponse, getCachedResponse } from '../response_cache.js';
+import { storeSessionCookies } from '../cookies.js';
+import { waitForHuman, isHumanSolvingEnabled } from '../challenges.js';
+
+// How fetchPage uses the response cache: store every fetched page, or serve pages
+// from it without touching the network (re-parsing)
+export const CACHE_MODE = {
+    STORE: 'store',
+    ONLY: 'only'
+};
 
 /**
- * Fetches a page using Puppeteer with retries, CAPTCHA handling, and anti-detection
+ * Fetches a page - over plain HTTP when the site's fetch mode allows it (see http_fetch.js),
+ * otherwise using Puppeteer with retries, CAPTCHA handling, and anti-detection.
+ * Without a page, a browser page is only opened when the browser is needed; the caller then owns it.
+ * Fetched pages go to the response cache (response_cache.js); with cacheMode 'only' they come from it.
+ * Given savedPages (parser/saved_pages), pages come from those files instead, with their stylesheets and fonts.
+ * A CAPTCHA or bot check the browser can't pass waits for someone to solve it in the window (challenges.js).
  * @param {string} url - The URL to fetch
- * @param {Page} page - Puppeteer page object
- * @param {number} retries - Number of retry attempts
- * @returns {Promise<Object>} { html, page, recycled } - HTML content and potentially recycled page
+ * @param {Page|null} page - Puppeteer page object, or null
+ * @param {Object} [options]
+ * @param {number} [options.retries=3] - Number of retry attempts
+ * @param {string} [options.cacheMode] - CACHE_MODE value, STORE by default
+ * @param {Object} [options.savedPages] - Collection from readSavedPages; nothing is downloaded
+ * @returns {Promise<Object>} { html, page, view, recycled } - HTML content, the (potentially recycled or new)
+ *   browser page, and the page to extract from: the browser page or a static page over the HTML
  */
-export async function fetchPage(url, page, retries = 3) {
+export async function fetchPage(url, page, { retries = 3, cacheMode = CACHE_MODE.STORE, savedPages = null } = {}) {
     if (!url || typeof url !== 'string') {
         throw new Error('Invalid URL provided');
     }
 
-    if (!page) {
-        throw new Error('Page object is required');
+    if (savedPages || cacheMode === CACHE_MODE.ONLY) {
+        const saved = savedPages ? savedPages.get(url) : getCachedResponse(url);
+        if (!saved) {
+            const missing = new Error(`Page not in the ${savedPages ? 'saved pages' : 'response cache'}: ${url}`);
+            missing.noRetry = true;
+            missing.page = page;
+            throw missing;
+        }
+
+        const view = savedPages
+            ? createStaticPage(saved.html, saved.finalUrl, { getResource: savedPages.getResource, resourceBase: saved.resourceBase })
+            : createStaticPage(saved.html, saved.finalUrl);
+        return { html: saved.html, page, view, recycled: false };
+    }
+
+    if (usesPlainHttp(url)) {
+        let fetched;
+        try {
+            console.log(`Fetching ${url} over plain HTTP`);
+            fetched = await fetchStatic(url);
+        } catch (error) {
+            // Same outcome as in the browser - no point in loading it there
+            if (error.noRetry || error.kind === ERROR_KIND.RATE_LIMITED || resolveFetchMode(url) === FETCH_MODE.HTTP) {
+                error.page = page;
+                // The site is throttled now (throttleDomain) - that slows it down, the item isn't at fault
+                if (error.kind === ERROR_KIND.RATE_LIMITED) error.deferred = true;
+                throw error;
+            }
+            fetched = { fallback: error.message };
+        }
+
+        if (fetched.html) {
+            storeResponse(url, fetched);
+            return { html: fetched.html, page, view: fetched.view, recycled: false };
+        }
+
+        if (resolveFetchMode(url) === FETCH_MODE.HTTP) {
+            const failure = new Error(`Plain HTTP fetch of ${url} failed: ${fetched.fallback}`);
+            failure.kind = fetched.kind;
+            failure.page = page;
+            throw failure;
+        }
+        console.log(`Plain HTTP fetch of ${url} failed (${fetched.fallback}), using the browser`);
     }
 
     let lastError;
-    let currentPage = page;
+    let currentPage = page || await getPage();
     let wasRecycled = false;
 
     // Check if page should be recycled before fetching
@@ -33,9 +99,8 @@ export async function fetchPage(url, page, retries = 3) {
         try {
             console.log(`Fetching ${url} (attempt ${attempt + 1}/${retries})`);
 
-            // Random delay before navigation (human-like behavior)
-            const preNavigationDelay = Math.random() * 1000 + 500;
-            await delay(preNavigationDelay);
+            // Per-site politeness: spacing after the last request, allowed hours, hourly cap, robots.txt
+            await waitForDomainTurn(url);
 
             // Navigate to page
             const response = await currentPage.goto(url, {
@@ -47,8 +112,9 @@ export async function fetchPage(url, page, retries = 3) {
 
             // Check if we are in the waiting room
             let title = await currentPage.title();
+            const challenged = title.includes('Just a moment') || title.includes('DDoS-Guard') || title.includes('Cloudflare');
 
-            if (title.includes('Just a moment') || title.includes('DDoS-Guard') || title.includes('Cloudflare')) {
+            if (challenged) {
                 console.log('Cloudflare challenge detected. Waiting for redirection...');
 
                 // Wait up to 20 seconds for the title to change (indicating redirect happened)
@@ -60,6 +126,9 @@ export async function fetchPage(url, page, retries = 3) {
                     console.log('Cloudflare challenge passed!');
                 } catch (e) {
                     console.warn('Timeout waiting for Cloudflare challenge to finish.');
+                    if (isHumanSolvingEnabled() && !(await waitForHuman(url, currentPage, 'Cloudflare check'))) {
+                        throw unsolvedChallenge(`Cloudflare challenge not solved: ${url}`, ERROR_KIND.CHALLENGE);
+                    }
                 }
             }
 
@@ -71,8 +140,20 @@ export async function fetchPage(url, page, retries = 3) {
             console.log(`Response status: ${status}`);
 
             // Handle different status codes
-            if (status === 404) {
-                throw new Error(`Page not found: ${url}`);
+            if (status === 404 || status === 410) {
+                const notFound = new Error(`Page not found (${status}): ${url}`);
+                notFound.kind = ERROR_KIND.NOT_FOUND;
+                notFound.noRetry = true;
+                throw notFound;
+            }
+
+            // The site asks us to slow down - throttle it for every worker and run (the challenge
+            // page also answers 503, so that one doesn't count), then retry through waitForDomainTurn
+            if ((status === 429 || status === 503) && !challenged) {
+                throttleDomain(url, { status, retryAfterMs: parseRetryAfter(response.headers()['retry-after']) });
+                const limited = new Error(`Rate limited (${status}): ${url}`);
+                limited.kind = ERROR_KIND.RATE_LIMITED;
+                throw limited;
             }
 
             if (status === 403) {
@@ -86,8 +167,15 @@ export async function fetchPage(url, page, retries = 3) {
             // Wait for page to settle
             await delay(Math.random() * 1000 + 1000);
 
-            // Check for and handle CAPTCHAs
-            const captchaSolved = await handleCaptcha(currentPage);
+            // Check for and handle CAPTCHAs - one the solver can't handle waits for someone
+            // to solve it in the browser window, then the same page goes on
+            let captchaSolved = await handleCaptcha(currentPage);
+            while (!captchaSolved && isHumanSolvingEnabled()) {
+                if (!(await waitForHuman(url, currentPage, 'CAPTCHA'))) {
+                    throw unsolvedChallenge(`CAPTCHA detected but not solved: ${url}`, ERROR_KIND.CAPTCHA);
+                }
+                captchaSolved = await handleCaptcha(currentPage);
+            }
             if (!captchaSolved) {
                 throw new Error('CAPTCHA detected but could not be solved');
             }
@@ -110,34 +198,26 @@ export async function fetchPage(url, page, retries = 3) {
             }
 
             // Check for common anti-bot messages
-            const bodyText = await currentPage.evaluate(() => document.body.innerText.toLowerCase());
+            const bodyText = await currentPage.evaluate(() => document.body.innerText);
 
-            if (bodyText.includes('Enable JavaScript and cookies to continue')) {
+            if (bodyText.toLowerCase().includes('enable javascript and cookies to continue')) {
                 throw new Error('Cloudflare challenge failed (JS disabled or detected)');
             }
 
-            const isBlocked = (
-                // Use more specific blocked phrases
-                bodyText.includes('access denied for your ip') ||
-                bodyText.includes('your request was blocked') ||
-                bodyText.includes('rate limit exceeded') ||
-                bodyText.includes('too many requests from your ip') ||
-
-                // General phrases, but require them only if the content is relatively small,
-                // suggesting a pure error page rather than a fully loaded site with a false positive keyword.
-                (html.length < 5000 && (
-                    bodyText.includes('access denied') ||
-                    bodyText.includes('blocked')
-                ))
-            );
+            const { blocked: isBlocked, rateLimited: isRateLimited } = detectBlockPage(bodyText, html.length);
 
             if (isBlocked) {
                 console.warn('Possible rate limiting or blocking detected');
 
+                if (isRateLimited) {
+                    throttleDomain(url, { status });
+                }
+
                 // If blocked, wait longer and recycle page
                 if (attempt < retries - 1) {
                     const blockDelay = (attempt + 1) * 5000 + Math.random() * 5000;
                     console.log(`Waiting ${blockDelay}ms before retry due to potential block...`);
+                    emitEvent(EVENT.WAITING, { url, ms: Math.round(blockDelay), reason: 'blocked' });
                     await delay(blockDelay);
 
                     // Recycle page with new fingerprint
@@ -145,13 +225,25 @@ export async function fetchPage(url, page, retries = 3) {
                     wasRecycled = true;
                     continue;
                 }
+
+                // Still blocked on the last attempt - the block page is no chapter, and the site stays throttled
+                const blocked = new Error(isRateLimited ? `Rate limit page: ${url}` : `Blocked page: ${url}`);
+                blocked.kind = isRateLimited ? ERROR_KIND.RATE_LIMITED : ERROR_KIND.FORBIDDEN;
+                throw blocked;
             }
 
             console.log(`✓ Successfully fetched ${url} (${html.length} bytes)`);
+            easeDomainThrottle(url);
+            recordDownloadedBytes(Buffer.byteLength(html));
+            // Past the challenge and block checks - a re-parse from the cache must not replay a block page
+            storeResponse(url, { html, status, headers: response.headers(), finalUrl: currentPage.url() });
+            // Renewed login cookies outlive this browser
+            await storeSessionCookies(url, currentPage.browser());
 
             return {
                 html,
                 page: currentPage,
+                view: currentPage,
                 recycled: wasRecycled
             };
 
@@ -159,6 +251,12 @@ export async function fetchPage(url, page, retries = 3) {
             lastError = error;
             console.error(`Attempt ${attempt + 1} failed for ${url}:`, error.message);
 
+            // A missing page stays missing, a closed site stays closed - leave it to the retry policy
+            if (error.noRetry) {
+                error.page = currentPage;
+                throw error;
+            }
+
             // Check if it's a timeout or network error
             if (error.message.includes('timeout') || error.message.includes('net::')) {
                 console.log('Network or timeout error, will retry...');
@@ -171,6 +269,7 @@ export async function fetchPage(url, page, retries = 3) {
                 const totalDelay = baseDelay + jitter;
 
                 console.log(`Waiting ${Math.round(totalDelay)}ms before retry...`);
+                emitEvent(EVENT.WAITING, { url, ms: Math.round(totalDelay), reason: 'retry' });
                 await delay(totalDelay);
 
                 // On second failure, try recycling the page
@@ -183,7 +282,23 @@ export async function fetchPage(url, page, retries = 3) {
         }
     }
 
-    throw new Error(`Failed to fetch ${url} after ${retries} attempts: ${lastError.message}`);
+    const failure = new Error(`Failed to fetch ${url} after ${retries} attempts: ${lastError.message}`);
+    failure.kind = lastError.kind;
+    failure.page = currentPage; // May have been recycled - the caller still owns it
+    // Rate limited to the end: the site is throttled, the item goes back to pending (see waitForDomainTurn)
+    failure.deferred = lastError.kind === ERROR_KIND.RATE_LIMITED;
+    throw failure;
+}
+
+/**
+ * Error for a check nobody solved: skipped, timed out or the run was cancelled.
+ * Not retried here - the page would ask again; the retry policy tries later.
+ */
+function unsolvedChallenge(message, kind) {
+    const error = new Error(message);
+    error.kind = kind;
+    error.noRetry = true;
+    return error;
 }
 
 /**
@@ -0,0 +1,178 @@
+import { createStaticPage } from './static_page.js';
+import { ERROR_KIND } from '../error_kinds.js';
+import { getDomainProfile, waitForDomainTurn, throttleDomain, easeDomainThrottle, parseRetryAfter } from '../politeness.js';
+import { recordDownloadedBytes } from '../controller.js';
+import { getSiteAdapter } from '../sites/index.js';
+import { domainOf } from '../worker_pool.js';
+import { cookieHeaderFor } from '../cookies.js';
+
+// How pages of a site are loaded:
+// auto - plain HTTP first, the browser when the site answers with a challenge or an empty page
+// http - plain HTTP only; browser - always the browser (sites that need scripts or their fonts)
+export const FETCH_MODE = {
+    AUTO: 'auto',
+    HTTP: 'http',
+    BROWSER: 'browser'
+};
+
+export const DEFAULT_FETCH_MODE = Object.values(FETCH_MODE).includes(process.env.PARSER_FETCH_MODE)
+    ? process.env.PARSER_FETCH_MODE
+    : FETCH_MODE.AUTO;
+
+// After a challenge or an empty page, an auto site goes straight to the browser for this long
+const ESCALATION_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+// Less visible text than this means the content is rendered by scripts
+const MIN_TEXT_LENGTH = 200;
+
+const CHALLENGE_TITLE = /just a moment|ddos-guard|cloudflare|attention required/i;
+const CHALLENGE_BODY = /enable javascript and cookies to continue|checking your browser/i;
+
+/**
+ * Recognizes a block or rate limit page served in place of the content
+ * @param {string} text - The page's visible text
+ * @param {number} htmlLength - Length of its HTML; general phrases only count on small pages,
+ *   a fully loaded page may just mention them
+ * @returns {{blocked: boolean, rateLimited: boolean}}
+ */
+export function detectBlockPage(text, htmlLength) {
+    const bodyText = text.toLowerCase();
+
+    const rateLimited = (
+        bodyText.includes('rate limit exceeded') ||
+        bodyText.includes('too many requests from your ip')
+    );
+
+    const blocked = (
+        bodyText.includes('access denied for your ip') ||
+        bodyText.includes('your request was blocked') ||
+        rateLimited ||
+        (htmlLength < 5000 && (
+            bodyText.includes('access denied') ||
+            bodyText.includes('blocked')
+        ))
+    );
+
+    return { blocked, rateLimited };
+}
+
+const HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9'
+};
+
+const escalatedUntil = new Map(); // domain -> ms; auto sites sent to the browser in this process
+
+/**
+ * Fetch mode of a site: its profile, else its site adapter's fetchMode, else DEFAULT_FETCH_MODE
+ * @param {string} url - Page URL
+ * @returns {string} FETCH_MODE value
+ */
+export function resolveFetchMode(url) {
+    return getDomainProfile(domainOf(url)).fetch_mode || getSiteAdapter(url).fetchMode || DEFAULT_FETCH_MODE;
+}
+
+/**
+ * Whether the next request for a URL should try plain HTTP before the browser
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function usesPlainHttp(url) {
+    const mode = resolveFetchMode(url);
+    if (mode === FETCH_MODE.HTTP) return true;
+    if (mode === FETCH_MODE.BROWSER) return false;
+
+    return (escalatedUntil.get(domainOf(url)) || 0) <= Date.now();
+}
+
+/**
+ * Remembers that an auto site needs the browser, for ESCALATION_MS
+ * @param {string} url - Page URL
+ * @param {string} reason - For the log
+ */
+function escalateToBrowser(url, reason) {
+    const domain = domainOf(url);
+    if (resolveFetchMode(url) === FETCH_MODE.AUTO) {
+        console.log(`${domain} answered plain HTTP with ${reason} - using the browser for it for the next ${ESCALATION_MS / 3600000} hours`);
+        escalatedUntil.set(domain, Date.now() + ESCALATION_MS);
+    }
+}
+
+/**
+ * Fetches a page with a plain HTTP request, under the same politeness rules as the browser.
+ * A challenge page, an error status the browser might get past, a block page, or a page without text
+ * comes back as { fallback: reason, kind } instead of a result.
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} { html, view, status, headers, finalUrl } with view a static page (static_page.js),
+ *   or { fallback, kind }
+ * @throws Not found (noRetry) and rate limited errors, like the browser fetch; network errors
+ */
+export async function fetchStatic(url) {
+    await waitForDomainTurn(url);
+
+    const cookie = cookieHeaderFor(url);
+    const response = await fetch(url, {
+        headers: cookie ? { ...HEADERS, Cookie: cookie } : HEADERS,
+        redirect: 'follow',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const status = response.status;
+    const html = await response.text();
+    console.log(`Plain HTTP response status: ${status}`);
+
+    if (status === 404 || status === 410) {
+        const notFound = new Error(`Page not found (${status}): ${url}`);
+        notFound.kind = ERROR_KIND.NOT_FOUND;
+        notFound.noRetry = true;
+        throw notFound;
+    }
+
+    const view = createStaticPage(html, response.url || url);
+    const title = await view.title();
+
+    if (CHALLENGE_TITLE.test(title) || CHALLENGE_BODY.test(html) || response.headers.get('cf-mitigated') === 'challenge') {
+        escalateToBrowser(url, 'a challenge page');
+        return { fallback: 'challenge page', kind: ERROR_KIND.CHALLENGE };
+    }
+
+    if (status === 429 || status === 503) {
+        throttleDomain(url, { status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) });
+        const limited = new Error(`Rate limited (${status}): ${url}`);
+        limited.kind = ERROR_KIND.RATE_LIMITED;
+        throw limited;
+    }
+
+    if (status === 403) {
+        escalateToBrowser(url, 'HTTP 403');
+        return { fallback: 'access forbidden (403)', kind: ERROR_KIND.FORBIDDEN };
+    }
+
+    if (status >= 400) {
+        return { fallback: status >= 500 ? `server error (${status})` : `HTTP ${status}`, kind: status >= 500 ? ERROR_KIND.SERVER : ERROR_KIND.UNKNOWN };
+    }
+
+    const text = await view.evaluate(() => document.body?.innerText || '');
+    if (text.length < MIN_TEXT_LENGTH) {
+        escalateToBrowser(url, 'a page without content');
+        return { fallback: 'page without content', kind: ERROR_KIND.EMPTY_CONTENT };
+    }
+
+    const { blocked, rateLimited } = detectBlockPage(text, html.length);
+    if (rateLimited) {
+        throttleDomain(url, { status });
+        const limited = new Error(`Rate limit page: ${url}`);
+        limited.kind = ERROR_KIND.RATE_LIMITED;
+        throw limited;
+    }
+    if (blocked) {
+        escalateToBrowser(url, 'a block page');
+        return { fallback: 'block page', kind: ERROR_KIND.FORBIDDEN };
+    }
+
+    console.log(`✓ Fetched ${url} over plain HTTP (${html.length} bytes)`);
+    easeDomainThrottle(url);
+    recordDownloadedBytes(Buffer.byteLength(html));
+
+    return { html, view, status, headers: response.headers, finalUrl: response.url || url };
+}
@@ -0,0 +1,109 @@
+import { launchLoginBrowser } from './browser_init.js';
+import { getCookieJar, saveCookieJar, cookieBelongsToSite, COOKIE_SOURCE } from '../cookies.js';
+
+// Interactive logins: a visible browser window opens on the site, the user logs in by hand,
+// and on "done" the window's cookies become the site's cookie jar (cookies.js).
+// One window per site; an abandoned one closes by itself.
+const SESSION_TIMEOUT_MS = 15 * 60 * 1000;
+
+const sessions = new Map(); // domain -> { browser, url, startedAt, timer }
+
+async function closeSession(domain) {
+    const session = sessions.get(domain);
+    if (!session) return;
+
+    sessions.delete(domain);
+    clearTimeout(session.timer);
+    await session.browser.close().catch(error => console.error(`Failed to close the login window of ${domain}:`, error.message));
+}
+
+/**
+ * Opens a login window on a site, with its saved cookies loaded (to refresh an expired login)
+ * @param {string} domain - Site hostname
+ * @param {string} [url] - Page to open, e.g. the site's login page
+ * @returns {Promise<{domain: string, url: string, startedAt: number}>}
+ * @throws {Error} When the address is not on the site
+ */
+export async function startLoginSession(domain, url = `https://${domain}/`) {
+    if (!cookieBelongsToSite({ domain: new URL(url).hostname }, domain)) {
+        throw new Error(`${url} is not on ${domain}`);
+    }
+
+    // Starting over replaces the open window
+    await closeSession(domain);
+
+    const browser = await launchLoginBrowser();
+    const session = {
+        browser,
+        url,
+        startedAt: Date.now(),
+        timer: setTimeout(() => {
+            console.log(`Login window of ${domain} left open for too long, closing it`);
+            closeSession(domain);
+        }, SESSION_TIMEOUT_MS)
+    };
+    sessions.set(domain, session);
+
+    // Closing the window by hand cancels the login
+    browser.on('disconnected', () => {
+        if (sessions.get(domain) === session) {
+            sessions.delete(domain);
+            clearTimeout(session.timer);
+        }
+    });
+
+    try {
+        const saved = getCookieJar(domain);
+        if (saved.length > 0) {
+            await browser.setCookie(...saved);
+        }
+
+        const [page] = await browser.pages();
+        await (page || await browser.newPage()).goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    } catch (error) {
+        // A slow site is still usable - the user sees the window either way
+        console.warn(`Login window of ${domain}: ${error.message}`);
+    }
+
+    console.log(`Login window opened for ${domain}`);
+    return { domain, url, startedAt: session.startedAt };
+}
+
+/**
+ * Saves the login window's cookies for the site and closes it.
+ * The window stays open when it has no cookies for the site, so the user can finish logging in.
+ * @param {string} domain - Site hostname
+ * @returns {Promise<number>} Cookies saved
+ * @throws {Error} When no login window is open or it holds no cookies for the site
+ */
+export async function finishLoginSession(domain) {
+    const session = sessions.get(domain);
+    if (!session) {
+        throw new Error(`No login window is open for ${domain}`);
+    }
+
+    const count = saveCookieJar(domain, await session.browser.cookies(), COOKIE_SOURCE.LOGIN);
+    await closeSession(domain);
+
+    console.log(`Saved ${count} cookie(s) for ${domain}`);
+    return count;
+}
+
+/**
+ * Closes a site's login window without saving anything
+ * @param {string} domain - Site hostname
+ * @returns {Promise<boolean>} Whether a window was open
+ */
+export async function cancelLoginSession(domain) {
+    const open = sessions.has(domain);
+    await closeSession(domain);
+    return open;
+}
+
+/**
+ * Open login windows
+ * @returns {Array<{domain: string, url: string, startedAt: number}>}
+ */
+export function getLoginSessions() {
+    return [...sessions.entries()].map(([domain, { url, startedAt }]) => ({ domain, url, startedAt }));
+}
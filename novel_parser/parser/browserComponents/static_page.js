@@ -0,0 +1,141 @@
+import { JSDOM } from 'jsdom';
+
+// Elements whose text starts on a new line in innerText
+const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION',
+    'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+    'SECTION', 'TABLE', 'TR', 'UL']);
+
+/**
+ * Puppeteer-like page over HTML that is already downloaded (plain HTTP fetch, saved pages).
+ * It offers what the extractors use - url, title, content, $eval, $$eval and evaluate - and runs
+ * their page functions in a jsdom window instead of a browser. The page's own scripts never run
+ * and external stylesheets aren't loaded, so fonts declared there are not found - unless the
+ * stylesheets come with the page (`getResource`, saved pages): those are inlined, and the page
+ * offers `getResource` for the fonts they declare.
+ * @param {string} html - Page HTML
+ * @param {string} url - Address the HTML came from; relative links resolve against it
+ * @param {Object} [options]
+ * @param {Function} [options.getResource] - url => { body, type } | null, files saved with the page
+ * @param {string} [options.resourceBase] - Where the page's relative stylesheet and font links point, if not at url
+ * @returns {Object} Page stand-in; `isStatic` is true
+ */
+export function createStaticPage(html, url, { getResource = null, resourceBase = null } = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only' });
+    const { window } = dom;
+
+    if (getResource) {
+        inlineSavedStylesheets(window.document, resourceBase || url, getResource);
+    }
+
+    // jsdom has no layout, so innerText is approximated from the text and block elements
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        configurable: true,
+        get() {
+            let text = '';
+            const walk = (node) => {
+                for (const child of node.childNodes) {
+                    if (child.nodeType === 3) {
+                        text += child.textContent.replace(/\s+/g, ' ');
+                    } else if (child.nodeType === 1 && !['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(child.tagName)) {
+                        const block = BLOCK_TAGS.has(child.tagName);
+                        if (block) text += '\n';
+                        walk(child);
+                        if (block) text += '\n';
+                    }
+                }
+            };
+            walk(this);
+            return text.replace(/ *\n[\n ]*/g, '\n').trim();
+        }
+    });
+
+    // Page functions run from their source text, as in Puppeteer, so they see the window's globals
+    const run = (fn, args) => {
+        window.__staticPageArgs = args;
+        try {
+            return window.eval(`(${fn.toString()})(...window.__staticPageArgs)`);
+        } finally {
+            delete window.__staticPageArgs;
+        }
+    };
+
+    // Results leave the page as plain data, like they do from a browser
+    const serialize = async (result) => {
+        const value = await result;
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    };
+
+    return {
+        isStatic: true,
+        ...(getResource && { getResource }),
+        url: () => url,
+        title: async () => window.document.title,
+        content: async () => dom.serialize(),
+        evaluate: async (fn, ...args) => serialize(run(fn, args)),
+
+        async $(selector) {
+            return window.document.querySelector(selector);
+        },
+
+        async $eval(selector, fn, ...args) {
+            const element = window.document.querySelector(selector);
+            if (!element) {
+                throw new Error(`Error: failed to find element matching selector "${selector}"`);
+            }
+            return serialize(run(fn, [element, ...args]));
+        },
+
+        async $$eval(selector, fn, ...args) {
+            return serialize(run(fn, [[...window.document.querySelectorAll(selector)], ...args]));
+        },
+
+        async close() {
+            window.close();
+        }
+    };
+}
+
+/**
+ * Makes the url() references of a stylesheet absolute, so they still resolve once it is inlined
+ * @param {string} css - Stylesheet text
+ * @param {string} base - Address of the stylesheet
+ * @returns {string}
+ */
+function absoluteCssUrls(css, base) {
+    return css.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (match, quote, ref) => {
+        if (/^(data:|#)/i.test(ref)) return match;
+        try {
+            return `url("${new URL(ref, base).href}")`;
+        } catch {
+            return match;
+        }
+    });
+}
+
+/**
+ * Replaces <link rel="stylesheet"> with the saved stylesheet's text, so @font-face rules are visible
+ * @param {Document} document - jsdom document
+ * @param {string} base - Address relative links resolve against
+ * @param {Function} getResource - url => { body, type } | null
+ */
+function inlineSavedStylesheets(document, base, getResource) {
+    for (const style of document.querySelectorAll('style')) {
+        style.textContent = absoluteCssUrls(style.textContent, base);
+    }
+
+    for (const link of document.querySelectorAll('link[rel~="stylesheet"][href]')) {
+        let cssUrl;
+        try {
+            cssUrl = new URL(link.getAttribute('href'), base).href;
+        } catch {
+            continue;
+        }
+
+        const saved = getResource(cssUrl);
+        if (!saved) continue;
+
+        const style = document.createElement('style');
+        style.textContent = absoluteCssUrls(saved.body.toString('utf8'), cssUrl);
+        link.replaceWith(style);
+    }
+}
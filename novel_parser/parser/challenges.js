@@ -0,0 +1,139 @@
+import { parserRunsDb } from '../db/db_init.js';
+import { emitEvent, EVENT } from './events.js';
+import { isRunCancelled } from './controller.js';
+import { domainOf } from './worker_pool.js';
+
+// CAPTCHAs and bot checks the parser can't get past by itself wait for someone to solve them
+// in the (visible) browser window. The fetch keeps its page open and polls the challenges
+// table; "Continue" or "Skip" comes from the API (another process), like pause and cancel.
+// Other pages of the same site wait in waitForDomainTurn meanwhile.
+
+export const CHALLENGE_STATE = {
+    WAITING: 'waiting',
+    CONTINUED: 'continued', // Solved - the fetch goes on with the same page
+    SKIPPED: 'skipped', // Given up by the user (or a cancelled run) - the item fails and is retried later
+    EXPIRED: 'expired' // Nobody came within the timeout, or the waiting process is gone
+};
+
+// What the UI may do with a waiting challenge
+export const CHALLENGE_ACTIONS = {
+    continue: CHALLENGE_STATE.CONTINUED,
+    skip: CHALLENGE_STATE.SKIPPED
+};
+
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// How long a page waits for someone; 0 fails on a CAPTCHA right away, as before
+export const CHALLENGE_TIMEOUT_MS = envLimit('PARSER_CHALLENGE_TIMEOUT_MINUTES', 30) * 60 * 1000;
+
+const POLL_MS = 2000;
+// A waiting challenge without a heartbeat for this long belongs to a process that is gone
+const STALE_MS = 30 * 1000;
+// Resolved challenges are only kept for the activity log
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+// After "Continue", the page may still be loading where the check sent it
+const SETTLE_TIMEOUT_MS = 10 * 1000;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function isHumanSolvingEnabled() {
+    return CHALLENGE_TIMEOUT_MS > 0;
+}
+
+/**
+ * Waits for someone to solve a CAPTCHA or bot check on a page and press Continue in the app.
+ * The page stays open and checked out to the caller, so the fetch goes on with it afterwards.
+ * @param {string} url - Address being fetched
+ * @param {Page} page - Puppeteer page showing the check
+ * @param {string} reason - What is in the way ('CAPTCHA', 'Cloudflare check')
+ * @returns {Promise<boolean>} true once continued; false when skipped, timed out or the run was cancelled
+ */
+export async function waitForHuman(url, page, reason) {
+    const domain = domainOf(url);
+    const startedAt = Date.now();
+    const id = Number(parserRunsDb.insertChallenge.run({ domain, url, reason, now: startedAt }).lastInsertRowid);
+
+    console.log(`🧩 ${reason} on ${url} - solve it in the browser window, then press Continue in the app`);
+    emitEvent(EVENT.NEEDS_HUMAN, { challengeId: id, domain, url, reason });
+    await page.bringToFront().catch(() => {});
+
+    // Only a waiting challenge changes state, so the first of the user, the timeout and a cancel wins
+    const settle = (state) => {
+        parserRunsDb.resolveChallenge.run({ id, state, now: Date.now() });
+        return parserRunsDb.getChallengeById.get(id).state;
+    };
+
+    let state = CHALLENGE_STATE.WAITING;
+    try {
+        while (state === CHALLENGE_STATE.WAITING) {
+            await delay(POLL_MS);
+            state = parserRunsDb.getChallengeById.get(id)?.state ?? CHALLENGE_STATE.EXPIRED;
+            if (state !== CHALLENGE_STATE.WAITING) break;
+
+            if (isRunCancelled()) {
+                state = settle(CHALLENGE_STATE.SKIPPED);
+            } else if (Date.now() - startedAt >= CHALLENGE_TIMEOUT_MS) {
+                state = settle(CHALLENGE_STATE.EXPIRED);
+            } else {
+                parserRunsDb.heartbeatChallenge.run(Date.now(), id);
+            }
+        }
+    } finally {
+        // Leaving early (page closed, process stopping) must not hold the site up
+        if (state === CHALLENGE_STATE.WAITING) settle(CHALLENGE_STATE.EXPIRED);
+    }
+
+    console.log(`🧩 ${reason} on ${url}: ${state}`);
+    emitEvent(EVENT.HUMAN_RESOLVED, { challengeId: id, domain, url, state });
+
+    if (state !== CHALLENGE_STATE.CONTINUED) return false;
+
+    await page.waitForNetworkIdle({ idleTime: 500, timeout: SETTLE_TIMEOUT_MS }).catch(() => {});
+    return true;
+}
+
+/**
+ * Waits while a page of the site waits for someone, so its other pages don't run into the same check
+ * @param {string} domain - Hostname
+ */
+export async function waitWhileDomainChallenged(domain) {
+    let logged = false;
+
+    while (!isRunCancelled() && parserRunsDb.countOpenChallengesForDomain.get(domain, Date.now() - STALE_MS).count > 0) {
+        if (!logged) {
+            console.log(`Waiting for the CAPTCHA on ${domain} to be solved...`);
+            logged = true;
+        }
+        await delay(POLL_MS);
+    }
+}
+
+/**
+ * Pages waiting for someone right now, oldest first
+ * @returns {Array<Object>} { id, domain, url, reason, state, created_at, heartbeat_at, resolved_at }
+ */
+export function getOpenChallenges() {
+    const now = Date.now();
+    parserRunsDb.expireStaleChallenges.run({ now, before: now - STALE_MS });
+    return parserRunsDb.getOpenChallenges.all(now - STALE_MS);
+}
+
+/**
+ * Continues or skips a waiting challenge (from the UI)
+ * @param {number} id - Challenge ID
+ * @param {string} action - Key of CHALLENGE_ACTIONS
+ * @returns {Object|null} The challenge after the change (its state tells whether it still was waiting), or null if unknown
+ */
+export function resolveChallenge(id, action) {
+    parserRunsDb.resolveChallenge.run({ id, state: CHALLENGE_ACTIONS[action], now: Date.now() });
+    return parserRunsDb.getChallengeById.get(id) || null;
+}
+
+export function pruneChallenges() {
+    parserRunsDb.pruneChallenges.run(Date.now() - RETENTION_MS);
+}
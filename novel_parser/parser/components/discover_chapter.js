@@ -1,65 +1,94 @@
 import { fetchPage } from '../browserComponents/fetch_page.js';
 import { parseWithReadability } from '../textProcessing/readability.js';
+import { classifyError, ERROR_KIND } from '../error_kinds.js';
 import { storeCustomFonts, restoreAllStyles } from '../textProcessing/font_decoding.js';
+import { htmlToPlainText } from '../textProcessing/plain_text.js';
+import { getSiteAdapter, runAdapterStep, prepareSitePage } from '../sites/index.js';
+
+// Parts followed through the site's next-page link, the first page included
+const MAX_CHAPTER_PAGES = 20;
 
 /**
- * Discovers and parses a chapter
+ * Discovers and parses a chapter.
+ * The site's adapter or rules (see parser/sites) may pick the content itself; otherwise Readability does.
+ * A chapter split over several pages is followed through the adapter's nextPageSelector.
+ * `page` may be null: fetchPage opens a browser page only when the site needs the browser.
+ * `options.cacheMode` and `options.savedPages` are passed to fetchPage (re-extracting from the
+ * response cache, importing saved pages).
  */
-export async function discoverChapter(chapterObj, page) {
+export async function discoverChapter(chapterObj, page, { cacheMode, savedPages } = {}) {
     if (!chapterObj || !chapterObj.url) {
         throw new Error('Invalid chapter object: URL is required');
     }
 
-    if (!page) {
-        throw new Error('Page object is required');
-    }
+    let currentPage = page;
 
     try {
         console.log(`Discovering chapter: ${chapterObj.url}`);
 
-        // 1. Fetch the page HTML
-        const { page: updatedPage } = await fetchPage(chapterObj.url, page);
-
-        // 2. Store custom fonts AND preserve styles in data-attributes
-        const { storedFonts, fontMetadata } = await storeCustomFonts(updatedPage);
-
-        // 3. Get the cleaned HTML from the DOM (contains data-preserved-style)
-        const cleanedHtml = await updatedPage.content();
+        const adapter = getSiteAdapter(chapterObj.url);
 
-        // 4. Parse with Readability
-        const parsed = parseWithReadability(cleanedHtml);
+        // 1. Fetch the page HTML (kept as-is so the chapter can be re-extracted later;
+        // for split chapters only the first page is kept)
+        const fetched = await fetchPage(chapterObj.url, page, { cacheMode, savedPages });
+        const rawHtml = fetched.html;
+        currentPage = fetched.page;
+        let view = fetched.view;
 
-        if (!parsed) {
-            console.warn(`Readability failed to parse ${chapterObj.url}`);
-            const fallbackContent = await extractContentFallback(updatedPage);
-
-            // Restore styles even in fallback
-            const restoredContent = restoreAllStyles(fallbackContent, fontMetadata);
+        // 2. Extract the chapter text
+        const first = await extractChapterPart(view, adapter);
 
+        if (!first.content) {
+            console.warn(`No content found on ${chapterObj.url}`);
             return {
-                success: !!fallbackContent,
+                success: false,
+                error: 'No content found by Readability or fallback selectors',
+                errorKind: ERROR_KIND.EMPTY_CONTENT,
                 title: chapterObj.title || 'Untitled Chapter',
-                content: restoredContent || '',
-                textContent: fallbackContent || '',
-                method: 'fallback',
-                page: updatedPage,
-                fonts: storedFonts
+                content: '',
+                textContent: '',
+                rawHtml,
+                method: first.method,
+                page: currentPage,
+                fonts: first.fonts
             };
         }
 
-        // 5. Restore ALL styles (Readability likely stripped style="", but kept data-preserved-style="")
-        const restoredContent = restoreAllStyles(parsed.content, fontMetadata);
+        const parts = [first];
+
+        // 3. Follow the rest of a chapter split over several pages
+        const visited = new Set([chapterObj.url]);
+        while (adapter.nextPageSelector && parts.length < MAX_CHAPTER_PAGES) {
+            const nextUrl = await view.$eval(adapter.nextPageSelector, el => el.href).catch(() => null);
+            if (!nextUrl || visited.has(nextUrl)) break;
+            visited.add(nextUrl);
+
+            const next = await fetchPage(nextUrl, currentPage, { cacheMode, savedPages });
+            currentPage = next.page;
+            view = next.view;
+
+            const part = await extractChapterPart(view, adapter);
+            if (!part.content) break;
+            parts.push(part);
+        }
+
+        if (parts.length > 1) {
+            console.log(`Chapter ${chapterObj.url} spans ${parts.length} pages`);
+        }
+
+        const textContent = parts.map(part => part.textContent).join('\n');
 
         return {
             success: true,
-            title: parsed.title || chapterObj.title || 'Untitled Chapter',
-            content: restoredContent,
-            textContent: parsed.textContent,
-            length: parsed.length,
-            excerpt: parsed.excerpt,
-            method: 'readability',
-            page: updatedPage,
-            fonts: storedFonts
+            title: first.title || chapterObj.title || 'Untitled Chapter',
+            content: parts.map(part => part.content).join('\n'),
+            textContent,
+            length: textContent.length,
+            excerpt: first.excerpt,
+            rawHtml,
+            method: first.method,
+            page: currentPage,
+            fonts: parts.flatMap(part => part.fonts)
         };
 
     } catch (error) {
@@ -67,6 +96,9 @@ export async function discoverChapter(chapterObj, page) {
         return {
             success: false,
             error: error.message,
+            errorKind: classifyError(error),
+            deferred: !!error.deferred,
+            page: error.page || currentPage,
             title: chapterObj.title || 'Error',
             content: '',
             textContent: '',
@@ -75,6 +107,56 @@ export async function discoverChapter(chapterObj, page) {
     }
 }
 
+/**
+ * Extracts the chapter text from the page that is loaded now
+ * @param {Page} page - Browser or static page with the chapter (or one part of it) loaded
+ * @param {Object} adapter - From getSiteAdapter
+ * @returns {Promise<Object>} { content, textContent, title, excerpt, method, fonts }; content is '' when nothing was found
+ */
+async function extractChapterPart(page, adapter) {
+    // Drop what the site's rules say to remove
+    await prepareSitePage(page, adapter);
+
+    // Store custom fonts AND preserve styles in data-attributes
+    const { storedFonts, fontMetadata } = await storeCustomFonts(page);
+
+    // Content picked by the site's adapter, if it knows where the chapter text is
+    const siteContent = await runAdapterStep(adapter, 'extractContent', page);
+    if (siteContent) {
+        return {
+            content: restoreAllStyles(siteContent, fontMetadata),
+            textContent: htmlToPlainText(siteContent),
+            method: `adapter:${adapter.name}`,
+            fonts: storedFonts
+        };
+    }
+
+    // Otherwise parse the cleaned HTML from the DOM (contains data-preserved-style) with Readability
+    const parsed = parseWithReadability(await page.content());
+
+    if (!parsed) {
+        const fallbackContent = await extractContentFallback(page);
+
+        // Restore styles even in fallback
+        return {
+            content: fallbackContent ? restoreAllStyles(fallbackContent, fontMetadata) : '',
+            textContent: fallbackContent || '',
+            method: 'fallback',
+            fonts: storedFonts
+        };
+    }
+
+    // Readability likely stripped style="", but kept data-preserved-style=""
+    return {
+        content: restoreAllStyles(parsed.content, fontMetadata),
+        textContent: parsed.textContent,
+        title: parsed.title,
+        excerpt: parsed.excerpt,
+        method: 'readability',
+        fonts: storedFonts
+    };
+}
+
 /**
  * Fallback method
  */
@@ -91,4 +173,4 @@ async function extractContentFallback(page) {
     } catch (error) {
         return '';
     }
-}
\ No newline at end of file
+}
@@ -1,6 +1,9 @@
-import { fetchPage } from '../browserComponents/fetch_page.js';
+import { fetchPage, CACHE_MODE } from '../browserComponents/fetch_page.js';
 import { parseWithReadability } from '../textProcessing/readability.js';
+import { classifyError, ERROR_KIND } from '../error_kinds.js';
 import { novelsDb } from '../../db/db_init.js';
+import { getSiteAdapter, runAdapterStep, prepareSitePage } from '../sites/index.js';
+import { cookieHeaderFor } from '../cookies.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,19 +13,23 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Discovers and parses a novel's main page
+ * Discovers and parses a novel's main page.
+ * Each extraction step comes from the site's adapter (see parser/sites), falling back to the generic one.
  * @param {number} bookId - Novel ID from database
- * @param {Page} page - Puppeteer page object
- * @returns {Promise<Object>} Parsed novel data
+ * @param {Page|null} page - Puppeteer page object; null until a fetch needs the browser
+ * @param {Object} [options]
+ * @param {string} [options.cacheMode] - fetchPage's cache mode; from the cache only (re-parsing),
+ *   the cover is kept and a failure doesn't mark the novel as failed
+ * @param {Object} [options.savedPages] - Read the page from saved files (fetchPage); the cover too, if saved
+ * @returns {Promise<Object>} Parsed novel data, with the page to keep using
  */
-export async function discoverNovel(bookId, page) {
+export async function discoverNovel(bookId, page, { cacheMode, savedPages } = {}) {
     if (!bookId) {
         throw new Error('Book ID is required');
     }
 
-    if (!page) {
-        throw new Error('Page object is required');
-    }
+    let currentPage = page;
+    const offline = cacheMode === CACHE_MODE.ONLY || !!savedPages;
 
     try {
         // Fetch novel data from database
@@ -34,8 +41,17 @@ export async function discoverNovel(bookId, page) {
 
         console.log(`Discovering novel: ${novel.url}`);
 
-        // Fetch the page HTML
-        const html = await fetchPage(novel.url, page);
+        const adapter = getSiteAdapter(novel.url);
+
+        // Fetch the page HTML (the page may have been recycled or opened on the way)
+        const fetched = await fetchPage(novel.url, page, { cacheMode, savedPages });
+        currentPage = fetched.page;
+        const view = fetched.view;
+
+        // Elements the site's rules say to drop go before Readability sees the page
+        const html = await prepareSitePage(view, adapter) > 0
+            ? await view.content()
+            : fetched.html;
 
         // Parse with Readability for basic info
         const parsed = parseWithReadability(html);
@@ -51,22 +67,25 @@ export async function discoverNovel(bookId, page) {
         };
 
         // 1. Extract Metadata
-        novelData.title = await extractTitle(page, parsed);
-        novelData.author = await extractAuthor(page, parsed);
-        novelData.description = await extractDescription(page, parsed);
-
-        // 2. Handle Cover Image
-        const coverUrl = await extractCoverUrl(page, parsed);
-        if (coverUrl) {
-            // Download and save to public/covers
-            const fileName = await downloadCover(coverUrl, bookId);
-            if (fileName) {
-                novelData.cover_image = fileName;
+        novelData.title = await runAdapterStep(adapter, 'extractTitle', view, parsed);
+        novelData.author = await runAdapterStep(adapter, 'extractAuthor', view, parsed);
+        novelData.description = await runAdapterStep(adapter, 'extractDescription', view, parsed);
+
+        // 2. Handle Cover Image (images aren't in the response cache - re-parsing keeps the stored cover)
+        novelData.cover_image = novel.cover_image;
+        if (!offline || savedPages) {
+            const coverUrl = await runAdapterStep(adapter, 'extractCoverUrl', view, parsed);
+            if (coverUrl) {
+                // Download (or copy from the saved files) and save to public/covers
+                const fileName = await downloadCover(coverUrl, bookId, savedPages);
+                if (fileName) {
+                    novelData.cover_image = fileName;
+                }
             }
         }
 
         // 3. Extract Table of Contents
-        const chaptersData = await extractTableOfContents(page, novel.url);
+        const chaptersData = await runAdapterStep(adapter, 'extractTableOfContents', view, novel.url);
         novelData.chapters = chaptersData;
         novelData.totalChapters = chaptersData.length;
 
@@ -86,18 +105,72 @@ export async function discoverNovel(bookId, page) {
 
         return {
             success: true,
-            ...novelData
+            ...novelData,
+            page: currentPage
         };
 
     } catch (error) {
         console.error(`Error discovering novel ${bookId}:`, error);
 
-        // Update status to error (-1)
-        novelsDb.updateNovelStatus.run(-1, bookId);
+        // Update status to error (-1) - a page missing from the cache or a site closed to us
+        // for now says nothing about the novel
+        if (!offline && !error.deferred) {
+            novelsDb.updateNovelStatus.run(-1, bookId);
+        }
 
         return {
             success: false,
-            error: error.message
+            error: error.message,
+            errorKind: classifyError(error),
+            deferred: !!error.deferred,
+            page: error.page || currentPage
+        };
+    }
+}
+
+/**
+ * Re-reads the table of contents of an already parsed novel, for update checks on ongoing novels.
+ * Metadata, cover and status are left as they are.
+ * @param {number} bookId - Novel ID from database
+ * @param {Page|null} page - Puppeteer page object; null until a fetch needs the browser
+ * @param {Object} [options]
+ * @param {string} [options.cacheMode] - fetchPage's cache mode
+ * @returns {Promise<Object>} { success, chapters, page } or { success: false, error, errorKind, page }
+ */
+export async function discoverNewChapters(bookId, page, { cacheMode } = {}) {
+    const novel = novelsDb.getNovelById.get(bookId);
+    if (!novel || !novel.url) {
+        throw new Error(`Novel with ID ${bookId} not found or has no URL`);
+    }
+
+    let currentPage = page;
+
+    try {
+        console.log(`Checking for new chapters: ${novel.url}`);
+
+        const adapter = getSiteAdapter(novel.url);
+        const fetched = await fetchPage(novel.url, page, { cacheMode });
+        currentPage = fetched.page;
+
+        await prepareSitePage(fetched.view, adapter);
+        const chapters = await runAdapterStep(adapter, 'extractTableOfContents', fetched.view, novel.url);
+
+        // An empty TOC means the page changed or didn't load - don't take it as "no chapters"
+        if (chapters.length === 0) {
+            return { success: false, error: 'No chapters found in table of contents', errorKind: ERROR_KIND.PARSE, page: currentPage };
+        }
+
+        return { success: true, chapters, page: currentPage };
+
+    } catch (error) {
+        console.error(`Error checking novel ${bookId} for new chapters:`, error);
+
+        return {
+            success: false,
+            error: error.message,
+            errorKind: classifyError(error),
+            deferred: !!error.deferred,
+            page: error.page || currentPage
         };
     }
 }
@@ -106,12 +179,13 @@ export async function discoverNovel(bookId, page) {
  * Downloads the cover image and saves it locally
  * @param {string} url - The remote URL of the image
  * @param {number} bookId - The ID of the book (used for naming)
+ * @param {Object|null} [savedPages] - Take the image from these saved files instead of downloading it
  * @returns {Promise<string|null>} The saved filename or null
  */
-async function downloadCover(url, bookId) {
+async function downloadCover(url, bookId, savedPages = null) {
     try {
         // Clean URL (handle relative URLs if necessary, though usually extractors get absolute)
-        if (!url.startsWith('http')) return null;
+        if (!savedPages && !url.startsWith('http')) return null;
 
         // Determine extension
         let extension = path.extname(new URL(url).pathname);
@@ -130,17 +204,24 @@ async function downloadCover(url, bookId) {
 
         const filePath = path.join(publicDir, filename);
 
-        // Fetch the image
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            }
-        });
+        let buffer;
+        if (savedPages) {
+            buffer = savedPages.getResource(url)?.body;
+            if (!buffer) throw new Error(`${url} is not in the saved pages`);
+        } else {
+            // Fetch the image - with the site's cookies, for covers behind a login
+            const cookie = cookieHeaderFor(url);
+            const response = await fetch(url, {
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                    ...(cookie && { Cookie: cookie })
+                }
+            });
 
-        if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
+            if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
 
-        const arrayBuffer = await response.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
+            buffer = Buffer.from(await response.arrayBuffer());
+        }
 
         fs.writeFileSync(filePath, buffer);
         console.log(`Cover saved: ${filename}`);
@@ -153,239 +234,4 @@ async function downloadCover(url, bookId) {
     }
 }
 
-/**
- * Extracts the cover image URL from the page
- */
-async function extractCoverUrl(page, parsed) {
-    try {
-        // 1. Try Meta Tags (Best Source)
-        const metaImage = await page.$eval('meta[property="og:image"]', el => el.content).catch(() => null);
-        if (metaImage) return metaImage;
-
-        const twitterImage = await page.$eval('meta[name="twitter:image"]', el => el.content).catch(() => null);
-        if (twitterImage) return twitterImage;
-
-        // 2. Try Readability
-        if (parsed?.lead_image_url) {
-            return parsed.lead_image_url;
-        }
-
-        // 3. Try Common Selectors
-        const selectors = [
-            '.book-img img',
-            '.cover img',
-            '.detail-info-cover img',
-            '.novel-cover img',
-            '[class*="cover"] img',
-            '.img-box img'
-        ];
-
-        for (const selector of selectors) {
-            try {
-                const src = await page.$eval(selector, el => el.src || el.dataset.src);
-                if (src && src.startsWith('http')) {
-                    return src;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        return null;
-    } catch (error) {
-        console.error('Error extracting cover URL:', error);
-        return null;
-    }
-}
-
-/**
- * Extracts the title from the page
- */
-async function extractTitle(page, parsed) {
-    try {
-        // Try readability first
-        if (parsed?.title) {
-            return parsed.title;
-        }
-
-        // Try meta tags
-        const metaTitle = await page.$eval('meta[property="og:title"]', el => el.content)
-            .catch(() => null);
-        if (metaTitle) return metaTitle;
-
-        // Try common selectors
-        const selectors = ['h1', '.title', '[class*="title"]', '.novel-title'];
-        for (const selector of selectors) {
-            try {
-                const title = await page.$eval(selector, el => el.innerText.trim());
-                if (title && title.length > 0 && title.length < 200) {
-                    return title;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        // Fallback to page title
-        return await page.title();
-    } catch (error) {
-        console.error('Error extracting title:', error);
-        return '';
-    }
-}
-
-/**
- * Extracts the author name from the page
- */
-async function extractAuthor(page, parsed) {
-    try {
-        // Try readability byline
-        if (parsed?.byline) {
-            return parsed.byline;
-        }
-
-        // Try meta tags
-        const metaAuthor = await page.$eval('meta[name="author"]', el => el.content)
-            .catch(() => null);
-        if (metaAuthor) return metaAuthor;
-
-        // Try common selectors
-        const selectors = [
-            '.author',
-            '[class*="author"]',
-            '[itemprop="author"]',
-            '.by-line',
-            '.byline'
-        ];
-
-        for (const selector of selectors) {
-            try {
-                const author = await page.$eval(selector, el => el.innerText.trim());
-                if (author && author.length > 0 && author.length < 100) {
-                    return author.replace(/^by\s+/i, '');
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        return '';
-    } catch (error) {
-        console.error('Error extracting author:', error);
-        return '';
-    }
-}
-
-/**
- * Extracts the description from the page
- */
-async function extractDescription(page, parsed) {
-    try {
-        // Try meta description
-        const metaDesc = await page.$eval('meta[property="og:description"]', el => el.content)
-            .catch(() => null);
-        if (metaDesc && metaDesc.length > 50) return metaDesc;
-
-        const metaDescAlt = await page.$eval('meta[name="description"]', el => el.content)
-            .catch(() => null);
-        if (metaDescAlt && metaDescAlt.length > 50) return metaDescAlt;
-
-        // Try readability excerpt
-        if (parsed?.excerpt && parsed.excerpt.length > 50) {
-            return parsed.excerpt;
-        }
-
-        // Try common selectors
-        const selectors = [
-            '.description',
-            '[class*="description"]',
-            '.summary',
-            '[class*="summary"]',
-            '.synopsis',
-            '[itemprop="description"]',
-            'story__summary', //LoTV
-        ];
-
-        for (const selector of selectors) {
-            try {
-                const desc = await page.$eval(selector, el => el.innerText.trim());
-                if (desc && desc.length > 50 && desc.length < 5000) {
-                    return desc;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        return '';
-    } catch (error) {
-        console.error('Error extracting description:', error);
-        return '';
-    }
-}
-
-/**
- * Extracts table of contents / chapter links
- */
-async function extractTableOfContents(page, baseUrl) {
-    try {
-        // Look for chapter lists
-        const chapters = await page.evaluate(() => {
-            const links = [];
-
-            // Try to find chapter container
-            const containerSelectors = [
-                '.chapter-list',
-                '[class*="chapter"]',
-                '.table-of-contents',
-                '[id*="chapter"]',
-                'ul',
-                'ol'
-            ];
-
-            let container = null;
-            for (const selector of containerSelectors) {
-                const el = document.querySelector(selector);
-                if (el && el.querySelectorAll('a').length > 5) {
-                    container = el;
-                    break;
-                }
-            }
-
-            // Extract links
-            const linkElements = container
-                ? container.querySelectorAll('a')
-                : document.querySelectorAll('a[href*="chapter"]');
-
-            linkElements.forEach((link, index) => {
-                const href = link.href;
-                const text = link.innerText.trim();
-
-                if (href && text && !href.includes('#') && href !== window.location.href) {
-                    links.push({
-                        url: href,
-                        title: text,
-                        order: index + 1
-                    });
-                }
-            });
-
-            return links;
-        });
-
-        // Filter and validate chapter links
-        const validChapters = chapters.filter((ch, index) => {
-            // Remove duplicates
-            return chapters.findIndex(c => c.url === ch.url) === index;
-        });
-
-        console.log(`Found ${validChapters.length} chapters`);
-        return validChapters;
-
-    } catch (error) {
-        console.error('Error extracting table of contents:', error);
-        return [];
-    }
-}
-
 export default discoverNovel;
\ No newline at end of file
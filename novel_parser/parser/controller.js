@@ -0,0 +1,248 @@
+import { parserRunsDb } from '../db/db_init.js';
+import { LEASE_OWNER } from './leases.js';
+import { emitEvent, setEventRun, pruneEvents, EVENT } from './events.js';
+
+export const RUN_STATE = {
+    RUNNING: 'running',
+    CANCELLING: 'cancelling', // cancel requested, stops at the next checkpoint
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted' // the process died mid-run
+};
+
+// Per-run limits so scheduled runs stay short and predictable; 0 = no limit.
+// A run that reaches one stops taking items and leaves the rest pending for the next run.
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+export const DEFAULT_RUN_BUDGET = {
+    maxItems: envLimit('PARSER_RUN_MAX_ITEMS', 200),
+    maxSeconds: envLimit('PARSER_RUN_MAX_SECONDS', 240),
+    maxBytes: envLimit('PARSER_RUN_MAX_MB', 100) * 1024 * 1024
+};
+
+const HEARTBEAT_MS = 15 * 1000;
+// A run without a heartbeat for this long belongs to a process that is gone
+const STALE_RUN_SECONDS = 60;
+const PAUSE_POLL_MS = 2000;
+
+// Handle of the run going on in this process, for fetchPage's byte count
+let activeRun = null;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Closes runs left unfinished by a process that died
+ * @returns {number} Runs marked interrupted
+ */
+export function markStaleRuns() {
+    return parserRunsDb.markStaleRunsInterrupted.run({ seconds: STALE_RUN_SECONDS }).changes;
+}
+
+/**
+ * Registers a parser run and returns its control handle. The parser calls
+ * `checkpoint()` between items: it waits there while the parser is paused and
+ * returns false once the run has been cancelled or has used up its budget, so the
+ * caller stops before the next item. Items already in flight always finish.
+ * Pause and cancel come from the API (another process), so the state is read from the database.
+ * @param {Object} [options]
+ * @param {Object} [options.budget] - Overrides for DEFAULT_RUN_BUDGET
+ * @returns {Object|null} { id, checkpoint, isCancelled, isStopped, countItem, addBytes, setStage, finish }, or null while paused
+ */
+export function startParserRun({ budget = {} } = {}) {
+    markStaleRuns();
+
+    if (parserRunsDb.getControl.get().paused) {
+        return null;
+    }
+
+    const id = Number(parserRunsDb.insertRun.run(LEASE_OWNER).lastInsertRowid);
+    pruneEvents();
+    setEventRun(id);
+    emitEvent(EVENT.RUN_STARTED);
+    const limits = { ...DEFAULT_RUN_BUDGET, ...budget };
+    const startedAt = Date.now();
+    const used = { items: 0, bytes: 0 };
+    let stopReason = null;
+    let cancelled = false;
+    let cancelLogged = false;
+    let pauseLogged = false; // workers wait in checkpoint() together - log once
+
+    const progress = (stage = null) => ({ id, stage, items_done: used.items, bytes_downloaded: used.bytes });
+
+    const heartbeat = setInterval(() => {
+        try {
+            parserRunsDb.heartbeatRun.run(progress());
+        } catch (error) {
+            console.error(`Failed to update parser run ${id}:`, error.message);
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    const isCancelled = () => {
+        if (!cancelled) {
+            cancelled = parserRunsDb.getRunById.get(id)?.state !== RUN_STATE.RUNNING;
+        }
+        return cancelled;
+    };
+
+    // Sets stopReason once any limit is used up
+    const isOverBudget = () => {
+        if (stopReason) return true;
+
+        if (limits.maxItems > 0 && used.items >= limits.maxItems) {
+            stopReason = `item budget reached (${limits.maxItems} items)`;
+        } else if (limits.maxSeconds > 0 && Date.now() - startedAt >= limits.maxSeconds * 1000) {
+            stopReason = `time budget reached (${limits.maxSeconds}s)`;
+        } else if (limits.maxBytes > 0 && used.bytes >= limits.maxBytes) {
+            stopReason = `download budget reached (${Math.round(limits.maxBytes / 1024 / 1024)} MB)`;
+        }
+
+        if (stopReason) {
+            console.log(`⏹  Parser run ${id}: ${stopReason} - leaving the rest for the next run`);
+            emitEvent(EVENT.BUDGET_REACHED, { reason: stopReason, items: used.items, bytes: used.bytes });
+        }
+        return !!stopReason;
+    };
+
+    const handle = {
+        id,
+        isCancelled,
+
+        /**
+         * @returns {boolean} true once the run was cancelled or used up its budget
+         */
+        isStopped: () => isCancelled() || isOverBudget(),
+
+        /**
+         * Counts a processed item (novel, update check or chapter) against the budget
+         */
+        countItem() {
+            used.items++;
+        },
+
+        /**
+         * @param {number} bytes - Downloaded page size
+         */
+        addBytes(bytes) {
+            used.bytes += bytes;
+        },
+
+        /**
+         * @param {string} stage - What the run is doing now (novels, updates, chapters)
+         * @param {number} total - Items in this stage
+         */
+        setStage(stage, total) {
+            parserRunsDb.heartbeatRun.run(progress(stage));
+            emitEvent(EVENT.STAGE, { stage, total });
+        },
+
+        /**
+         * Waits while paused
+         * @returns {Promise<boolean>} false when the run has been cancelled or is over budget
+         */
+        async checkpoint() {
+            while (!isCancelled() && !isOverBudget() && parserRunsDb.getControl.get().paused) {
+                if (!pauseLogged) {
+                    console.log('⏸  Parser paused - waiting to be resumed...');
+                    emitEvent(EVENT.PAUSED);
+                    pauseLogged = true;
+                }
+                await delay(PAUSE_POLL_MS);
+            }
+
+            if (pauseLogged && !cancelled && !stopReason) {
+                console.log('▶  Parser resumed');
+                emitEvent(EVENT.RESUMED);
+                pauseLogged = false;
+            }
+            if (cancelled && !cancelLogged) {
+                console.log('⏹  Parser run cancelled - finishing the items in progress');
+                cancelLogged = true;
+            }
+            return !cancelled && !stopReason;
+        },
+
+        /**
+         * @param {string} state - One of the final RUN_STATE values
+         * @param {string|null} [error]
+         */
+        finish(state, error = null) {
+            clearInterval(heartbeat);
+            const { items_done, bytes_downloaded } = progress();
+            parserRunsDb.finishRun.run({ id, state, error, stop_reason: stopReason, items_done, bytes_downloaded });
+            emitEvent(EVENT.RUN_FINISHED, { state, error, stopReason, items: items_done, bytes: bytes_downloaded });
+            setEventRun(null);
+            if (activeRun === handle) activeRun = null;
+        }
+    };
+
+    activeRun = handle;
+    return handle;
+}
+
+/**
+ * Counts a downloaded page against the budget of the run going on in this process
+ * @param {number} bytes
+ */
+export function recordDownloadedBytes(bytes) {
+    activeRun?.addBytes(bytes);
+}
+
+/**
+ * Whether the run going on in this process has been cancelled, for waits inside an item
+ * @returns {boolean}
+ */
+export function isRunCancelled() {
+    return activeRun?.isCancelled() ?? false;
+}
+
+/**
+ * Current parser state for the UI/API
+ * @returns {{state: string, paused: boolean, run: Object|null}} state is idle, running, paused or cancelling
+ */
+export function getParserStatus() {
+    markStaleRuns();
+
+    const paused = !!parserRunsDb.getControl.get().paused;
+    const run = parserRunsDb.getLatestRun.get() || null;
+    const active = run && !run.finished_at;
+
+    let state = paused ? 'paused' : 'idle';
+    if (active) {
+        state = run.state === RUN_STATE.CANCELLING ? 'cancelling' : (paused ? 'paused' : 'running');
+    }
+
+    return { state, paused, run };
+}
+
+/**
+ * Pauses the running parser at its next checkpoint; while paused no new run starts
+ */
+export function pauseParser() {
+    parserRunsDb.setPaused.run(1);
+    return getParserStatus();
+}
+
+/**
+ * Lets a paused run continue and new runs start again
+ */
+export function resumeParser() {
+    parserRunsDb.setPaused.run(0);
+    return getParserStatus();
+}
+
+/**
+ * Stops the running parser at its next checkpoint. Items already being fetched finish
+ * (and release their leases) first, so nothing is left in PROCESSING.
+ * @returns {{cancelled: number}} Runs asked to stop, plus the status
+ */
+export function cancelParser() {
+    const cancelled = parserRunsDb.requestCancel.run().changes;
+    return { cancelled, ...getParserStatus() };
+}
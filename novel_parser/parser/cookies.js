@@ -0,0 +1,270 @@
+import { domainsDb } from '../db/db_init.js';
+
+/**
+ * Cookie jars per site, for sites that only show chapters to logged-in users.
+ * A jar holds the site's cookies (its subdomains and parent domains included), stored in
+ * cookie_jars. They go into the parser's browser (getPage) and into plain HTTP requests
+ * (fetchStatic, covers); cookies the site renews while the parser browses are saved back,
+ * so the session lasts as long as the site lets it.
+ */
+
+// Where a jar's cookies came from
+export const COOKIE_SOURCE = {
+    IMPORT: 'import', // A cookies.txt file
+    LOGIN: 'login' // The interactive login window
+};
+
+const JARS_CACHE_MS = 30 * 1000; // Imports and logins from the settings page apply within this time
+
+let jarsCache = null; // { jars: Map domain -> cookies, loadedAt }
+const appliedToBrowser = new WeakMap(); // browser -> key of the cookies it was given
+
+/**
+ * Whether a cookie belongs to a site: same host, a subdomain, or a parent domain of it
+ * @param {Object} cookie - { domain }
+ * @param {string} domain - Site hostname
+ * @returns {boolean}
+ */
+export function cookieBelongsToSite(cookie, domain) {
+    const cookieDomain = (cookie.domain || '').replace(/^\./, '').toLowerCase();
+    return !!cookieDomain && (cookieDomain === domain || domain.endsWith(`.${cookieDomain}`) || cookieDomain.endsWith(`.${domain}`));
+}
+
+/**
+ * Cookie in the shape Puppeteer takes (setCookie); expires is in seconds, -1 for a session cookie
+ * @param {Object} cookie - From a cookies.txt file, Puppeteer or the DB
+ * @returns {Object}
+ */
+function normalizeCookie(cookie) {
+    return {
+        name: String(cookie.name),
+        value: String(cookie.value ?? ''),
+        domain: cookie.domain.toLowerCase(),
+        path: cookie.path || '/',
+        expires: cookie.expires > 0 ? Math.floor(cookie.expires) : -1,
+        httpOnly: !!cookie.httpOnly,
+        secure: !!cookie.secure,
+        ...(cookie.sameSite && { sameSite: cookie.sameSite })
+    };
+}
+
+const isExpired = (cookie, now = Date.now()) => cookie.expires > 0 && cookie.expires * 1000 <= now;
+
+const cookieKey = (cookie) => `${cookie.name}|${cookie.domain}|${cookie.path}`;
+
+/**
+ * Reads a Netscape cookies.txt file (what "cookies.txt" browser extensions, curl and yt-dlp export)
+ * @param {string} text - File contents
+ * @returns {Object[]} Cookies
+ * @throws {Error} When the file holds no cookies
+ */
+export function parseCookiesTxt(text) {
+    const cookies = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+
+        // HttpOnly cookies are written as comments with a prefix
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        } else if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) continue;
+
+        const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+        cookies.push(normalizeCookie({
+            // Cookies for subdomains carry the leading dot, as browsers write them
+            domain: includeSubdomains === 'TRUE' && !domain.startsWith('.') ? `.${domain}` : domain,
+            path,
+            secure: secure === 'TRUE',
+            expires: parseInt(expires) || -1,
+            name,
+            value: value.join('\t'),
+            httpOnly
+        }));
+    }
+
+    if (cookies.length === 0) {
+        throw new Error('No cookies found - is this a cookies.txt file in the Netscape format?');
+    }
+    return cookies;
+}
+
+/**
+ * All saved jars, without expired cookies
+ * @returns {Map<string, Object[]>} domain -> cookies
+ */
+function loadJars() {
+    if (jarsCache && Date.now() - jarsCache.loadedAt < JARS_CACHE_MS) {
+        return jarsCache.jars;
+    }
+
+    const jars = new Map();
+    for (const row of domainsDb.getAllCookieJars.all()) {
+        try {
+            jars.set(row.domain, JSON.parse(row.cookies).filter(cookie => !isExpired(cookie)));
+        } catch (error) {
+            console.error(`Ignoring cookies of ${row.domain}:`, error.message);
+        }
+    }
+
+    jarsCache = { jars, loadedAt: Date.now() };
+    return jars;
+}
+
+/**
+ * Drops the cached jars so the next lookup reads the DB again
+ */
+export function invalidateCookieJars() {
+    jarsCache = null;
+}
+
+/**
+ * Cookies saved for a site
+ * @param {string} domain - Site hostname
+ * @returns {Object[]}
+ */
+export function getCookieJar(domain) {
+    return loadJars().get(domain) || [];
+}
+
+/**
+ * Replaces a site's jar with the given cookies - only those that belong to the site and haven't expired
+ * @param {string} domain - Site hostname
+ * @param {Object[]} cookies - From parseCookiesTxt or Puppeteer
+ * @param {string} source - COOKIE_SOURCE value
+ * @returns {number} Cookies saved
+ * @throws {Error} When none of the cookies belong to the site
+ */
+export function saveCookieJar(domain, cookies, source) {
+    const kept = cookies
+        .filter(cookie => cookieBelongsToSite(cookie, domain) && !isExpired(cookie))
+        .map(normalizeCookie);
+
+    if (kept.length === 0) {
+        throw new Error(`None of the cookies are for ${domain}`);
+    }
+
+    domainsDb.upsertCookieJar.run({ domain, cookies: JSON.stringify(kept), source });
+    invalidateCookieJars();
+    return kept.length;
+}
+
+/**
+ * Forgets a site's cookies (logs the parser out)
+ * @param {string} domain - Site hostname
+ */
+export function clearCookieJar(domain) {
+    domainsDb.deleteCookieJar.run(domain);
+    invalidateCookieJars();
+}
+
+/**
+ * Sites with a jar that an address belongs to
+ * @param {string} url - Page address
+ * @returns {string[]} Jar domains
+ */
+function jarsForUrl(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch {
+        return [];
+    }
+    return [...loadJars().keys()].filter(domain => cookieBelongsToSite({ domain }, host));
+}
+
+/**
+ * Cookie header for a plain HTTP request, from every jar - with the browser's matching rules
+ * (domain, path, secure)
+ * @param {string} url - Request address
+ * @returns {string|null} null when no saved cookie applies
+ */
+export function cookieHeaderFor(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return null;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    const matching = [];
+
+    for (const cookies of loadJars().values()) {
+        for (const cookie of cookies) {
+            const domain = cookie.domain.replace(/^\./, '');
+            const domainMatches = cookie.domain.startsWith('.')
+                ? host === domain || host.endsWith(`.${domain}`)
+                : host === domain;
+
+            if (domainMatches && parsed.pathname.startsWith(cookie.path) && (!cookie.secure || parsed.protocol === 'https:')) {
+                matching.push(cookie);
+            }
+        }
+    }
+
+    if (matching.length === 0) return null;
+
+    // The most specific path goes first, like browsers send them
+    matching.sort((a, b) => b.path.length - a.path.length);
+    return matching.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * Gives the browser every saved cookie; a no-op while the jars haven't changed since the last call
+ * @param {Browser} browser - Puppeteer browser
+ */
+export async function applyCookieJars(browser) {
+    const cookies = [...loadJars().values()].flat();
+    const key = JSON.stringify(cookies);
+    if (appliedToBrowser.get(browser) === key) return;
+
+    if (cookies.length > 0) {
+        await browser.setCookie(...cookies);
+    }
+    appliedToBrowser.set(browser, key);
+}
+
+/**
+ * Saves the cookies the site set or renewed while the parser browsed it into the site's jar.
+ * Sites without a jar are left alone - the parser doesn't start collecting cookies by itself.
+ * @param {string} url - Address just fetched
+ * @param {Browser} browser - Puppeteer browser that fetched it
+ */
+export async function storeSessionCookies(url, browser) {
+    const domains = jarsForUrl(url);
+    if (domains.length === 0) return;
+
+    try {
+        const current = (await browser.cookies()).filter(cookie => !isExpired(cookie));
+
+        for (const domain of domains) {
+            const jar = new Map(getCookieJar(domain).map(cookie => [cookieKey(cookie), cookie]));
+            let changed = false;
+
+            for (const cookie of current.filter(c => cookieBelongsToSite(c, domain)).map(normalizeCookie)) {
+                const saved = jar.get(cookieKey(cookie));
+                if (!saved || saved.value !== cookie.value || saved.expires !== cookie.expires) {
+                    jar.set(cookieKey(cookie), cookie);
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                const row = domainsDb.getCookieJar.get(domain);
+                domainsDb.upsertCookieJar.run({ domain, cookies: JSON.stringify([...jar.values()]), source: row?.source || null });
+                invalidateCookieJars();
+                // The browser has these already
+                appliedToBrowser.set(browser, JSON.stringify([...loadJars().values()].flat()));
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to save the session cookies of ${url}:`, error.message);
+    }
+}
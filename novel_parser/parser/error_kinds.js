@@ -0,0 +1,50 @@
+// Coarse failure categories stored in error_kind, so failures can be grouped and retried sensibly
+export const ERROR_KIND = {
+    NOT_FOUND: 'not_found',
+    DISALLOWED: 'disallowed', // robots.txt
+    FORBIDDEN: 'forbidden',
+    CAPTCHA: 'captcha',
+    CHALLENGE: 'challenge',
+    RATE_LIMITED: 'rate_limited',
+    SERVER: 'server_error',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    EMPTY_CONTENT: 'empty_content',
+    PARSE: 'parse_error',
+    UNKNOWN: 'unknown'
+};
+
+// Checked in order; fetchPage wraps the last attempt's message, so patterns match anywhere.
+// Status codes only count in "(404)" form - bare numbers also appear in chapter URLs.
+const MESSAGE_PATTERNS = [
+    [/page not found|\((404|410)\)/i, ERROR_KIND.NOT_FOUND],
+    [/robots\.txt/i, ERROR_KIND.DISALLOWED],
+    [/captcha/i, ERROR_KIND.CAPTCHA],
+    [/cloudflare|challenge/i, ERROR_KIND.CHALLENGE],
+    [/rate limit|too many requests|\(429\)/i, ERROR_KIND.RATE_LIMITED],
+    [/forbidden|\(403\)|blocked|access denied/i, ERROR_KIND.FORBIDDEN],
+    [/server error|\(5\d\d\)/i, ERROR_KIND.SERVER],
+    [/timeout|timed out/i, ERROR_KIND.TIMEOUT],
+    [/net::|fetch failed|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|no response received/i, ERROR_KIND.NETWORK],
+    [/too short or empty|no content/i, ERROR_KIND.EMPTY_CONTENT],
+    [/readability|parse/i, ERROR_KIND.PARSE]
+];
+
+/**
+ * Works out the error kind for a failure
+ * @param {Error|string} error - Thrown error (may carry a .kind) or its message
+ * @returns {string} One of ERROR_KIND
+ */
+export function classifyError(error) {
+    if (error && typeof error === 'object' && error.kind) {
+        return error.kind;
+    }
+
+    const message = (typeof error === 'string' ? error : error?.message || '')
+        .replace(/https?:\/\/\S+/g, ''); // URLs can contain words like "challenge"
+    for (const [pattern, kind] of MESSAGE_PATTERNS) {
+        if (pattern.test(message)) return kind;
+    }
+
+    return ERROR_KIND.UNKNOWN;
+}
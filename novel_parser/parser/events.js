@@ -0,0 +1,75 @@
+import { parserRunsDb } from '../db/db_init.js';
+
+// What the parser reports while it works; streamed to the UI by GET /api/parser/events
+export const EVENT = {
+    RUN_STARTED: 'run_started',
+    RUN_FINISHED: 'run_finished',
+    STAGE: 'stage',
+    PAUSED: 'paused',
+    RESUMED: 'resumed',
+    BUDGET_REACHED: 'budget_reached',
+    NOVEL_DISCOVERED: 'novel_discovered',
+    NOVEL_FAILED: 'novel_failed',
+    NOVEL_CHECKED: 'novel_checked', // update check of an ongoing novel
+    CHAPTER_STARTED: 'chapter_started',
+    CHAPTER_SUCCEEDED: 'chapter_succeeded',
+    CHAPTER_FAILED: 'chapter_failed',
+    PAGE_RECYCLED: 'page_recycled',
+    WAITING: 'waiting',
+    NEEDS_HUMAN: 'needs_human', // a CAPTCHA waits for someone (see challenges.js)
+    HUMAN_RESOLVED: 'human_resolved'
+};
+
+// Events are only for watching live progress - keep a day of them
+const EVENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+let currentRunId = null;
+
+/**
+ * Tags the events that follow with a parser run (null once it is over)
+ * @param {number|null} runId
+ */
+export function setEventRun(runId) {
+    currentRunId = runId;
+}
+
+/**
+ * Records a progress event. Never throws - progress reporting must not break parsing.
+ * @param {string} type - One of EVENT
+ * @param {Object} [details] - novelId / chapterId plus any data for the UI
+ */
+export function emitEvent(type, { novelId = null, chapterId = null, ...data } = {}) {
+    try {
+        parserRunsDb.insertEvent.run({
+            run_id: currentRunId,
+            type,
+            novel_id: novelId,
+            chapter_id: chapterId,
+            data: JSON.stringify(data),
+            created_at: Date.now()
+        });
+    } catch (error) {
+        console.error(`Failed to record ${type} event:`, error.message);
+    }
+}
+
+/**
+ * Events recorded after a given one, oldest first
+ * @param {number} afterId - Last event ID the reader has seen
+ * @param {number} [limit]
+ * @returns {Array<Object>} { id, run_id, type, novel_id, chapter_id, data, created_at }
+ */
+export function getEventsAfter(afterId, limit = 200) {
+    return parserRunsDb.getEventsAfter.all(afterId, limit).map(row => ({
+        ...row,
+        data: row.data ? JSON.parse(row.data) : {}
+    }));
+}
+
+export function getLastEventId() {
+    return parserRunsDb.getLastEventId.get().id;
+}
+
+export function pruneEvents() {
+    parserRunsDb.pruneEvents.run(Date.now() - EVENT_RETENTION_MS);
+}
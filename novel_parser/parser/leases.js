@@ -0,0 +1,91 @@
+import os from 'os';
+import crypto from 'crypto';
+import { novelsDb, chaptersDb } from '../db/db_init.js';
+import { ITEM_TYPE } from './attempts.js';
+
+// How long a claim survives without a heartbeat, and how often the heartbeat renews it
+export const LEASE_SECONDS = parseInt(process.env.PARSER_LEASE_SECONDS) || 120;
+const HEARTBEAT_MS = Math.max(Math.floor(LEASE_SECONDS / 4), 5) * 1000;
+
+// Identifies this process as lease owner (the API route and server.js run the parser in different processes)
+export const LEASE_OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const leaseStatements = {
+    [ITEM_TYPE.NOVEL]: {
+        claim: novelsDb.claimNovel,
+        renew: novelsDb.renewNovelLease,
+        release: novelsDb.releaseNovelLease
+    },
+    [ITEM_TYPE.CHAPTER]: {
+        claim: chaptersDb.claimChapter,
+        renew: chaptersDb.renewChapterLease,
+        release: chaptersDb.releaseChapterLease
+    }
+};
+
+/**
+ * Takes a lease with the given statements and keeps it alive until released
+ * @returns {{renew: Function, release: Function}|null} null when the claim statement changed nothing
+ */
+function takeLease(label, statements, params) {
+    if (statements.claim.run(params).changes === 0) {
+        return null;
+    }
+
+    // Heartbeat keeps the lease alive while the page is being fetched
+    const heartbeat = setInterval(() => {
+        try {
+            if (statements.renew.run(params).changes === 0) {
+                console.warn(`Lost lease on ${label} - it may be picked up by another parser`);
+                clearInterval(heartbeat);
+            }
+        } catch (error) {
+            console.error(`Failed to renew lease on ${label}:`, error.message);
+        }
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    return {
+        renew: () => statements.renew.run(params).changes > 0,
+        release: () => {
+            clearInterval(heartbeat);
+            statements.release.run(params);
+        }
+    };
+}
+
+/**
+ * Atomically moves a due item to PROCESSING and takes its lease.
+ * Returns a lease handle, or null when the item is no longer due or another
+ * parser holds it - the caller must then skip it.
+ * @param {string} itemType - ITEM_TYPE.NOVEL or ITEM_TYPE.CHAPTER
+ * @param {number} itemId - Novel or chapter ID
+ * @returns {{renew: Function, release: Function}|null}
+ */
+export function claimItem(itemType, itemId) {
+    return takeLease(`${itemType} ${itemId}`, leaseStatements[itemType], { id: itemId, owner: LEASE_OWNER, seconds: LEASE_SECONDS });
+}
+
+/**
+ * Leases a novel, whatever its status, so no parser run claims it or its chapters until released.
+ * For writing a novel's chapters outside a parser run (re-parsing from the cache, imports).
+ * @param {number} novelId - Novel ID
+ * @returns {{renew: Function, release: Function}|null} null while the novel or one of its chapters is leased
+ */
+export function holdNovel(novelId) {
+    return takeLease(`novel ${novelId}`, {
+        claim: novelsDb.holdNovelLease,
+        renew: novelsDb.renewNovelLease,
+        release: novelsDb.releaseNovelLease
+    }, { id: novelId, owner: LEASE_OWNER, seconds: LEASE_SECONDS });
+}
+
+/**
+ * Puts items stuck in PROCESSING with an expired (or missing) lease back to pending.
+ * Live leases are left alone, so this is safe while another parser is running.
+ * @returns {{novels: number, chapters: number}} Number of items reclaimed
+ */
+export const reclaimExpiredLeases = novelsDb.db.transaction(() => ({
+    novels: novelsDb.reclaimExpiredNovelLeases.run().changes,
+    chapters: chaptersDb.reclaimExpiredChapterLeases.run().changes
+}));
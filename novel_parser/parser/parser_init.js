@@ -1,72 +1,105 @@
-import { initBrowser, getPage, closeBrowser, recyclePage, getPageStats } from './browserComponents/browser_init.js';
-import { discoverNovel } from './components/discover_novel.js';
+import { releasePage, closeBrowser, recyclePage, getPageStats, MAX_PAGES } from './browserComponents/browser_init.js';
+import { discoverNovel, discoverNewChapters } from './components/discover_novel.js';
 import { discoverChapter } from './components/discover_chapter.js';
-import { novelsDb, chaptersDb } from '../db/db_init.js';
+import { novelsDb, chaptersDb, volumesDb, chapterSourcesDb, responseCacheDb } from '../db/db_init.js';
+import { compressHtml } from '../db/compression.js';
+import { writeChapterContent, CHANGE_KIND } from '../db/chapter_writes.js';
+import { recordAttempt, recordFailure, ITEM_TYPE } from './attempts.js';
+import { STATUS } from './status.js';
+import { claimItem, holdNovel, reclaimExpiredLeases } from './leases.js';
+import { runWorkerPool, domainOf, PARSER_CONCURRENCY } from './worker_pool.js';
+import { getDomainProfile, getDomainSpacing, getDomainBlock, pruneRequestLog } from './politeness.js';
+import { getNovelsDueForUpdateCheck, claimUpdateCheck, releaseUpdateCheck } from './update_checks.js';
+import { startParserRun, RUN_STATE } from './controller.js';
+import { emitEvent, EVENT } from './events.js';
+import { CACHE_MODE } from './browserComponents/fetch_page.js';
+import { pruneResponseCache } from './response_cache.js';
+import { pruneChallenges } from './challenges.js';
+import { findNovelPage } from './saved_pages/index.js';
 
-// Status codes
-const STATUS = {
-    PENDING: 0,
-    SUCCESS: 1,
-    ERROR: -1,
-    PROCESSING: 2
-};
 
 /**
- * Main parser wrapper that orchestrates the parsing process
+ * Main parser wrapper that orchestrates the parsing process.
+ * The run can be paused, resumed and cancelled between items through parser/controller.js,
+ * and stops early (completed, with the rest left pending) once its budget is used up.
+ * @param {Object} [options]
+ * @param {Object} [options.budget] - Overrides for DEFAULT_RUN_BUDGET ({maxItems, maxSeconds, maxBytes})
+ * @returns {Promise<{runId: number, state: string}|null>} null when the parser is paused
  */
-export async function ParserWrapper() {
-    console.log('Starting parser with stealth mode...');
+export async function ParserWrapper({ budget } = {}) {
+    const control = startParserRun({ budget });
+    if (!control) {
+        console.log('Parser is paused - skipping this run');
+        return null;
+    }
+
+    console.log(`Starting parser run ${control.id}...`);
 
-    let browserInitialized = false;
+    // The browser only starts once a site needs it (see fetchPage) - plain HTTP sites don't
     let page = null;
 
     try {
-        // Parse novels first
-        const pendingNovels = novelsDb.getNovelsByStatus.all(STATUS.PENDING);
+        // Items left in PROCESSING by a run that died go back into the queue
+        const reclaimed = reclaimExpiredLeases();
+        if (reclaimed.novels > 0 || reclaimed.chapters > 0) {
+            console.log(`Reclaimed ${reclaimed.novels} novels and ${reclaimed.chapters} chapters with expired leases`);
+        }
+        pruneRequestLog();
+        pruneResponseCache();
+        pruneChallenges();
 
-        if (pendingNovels.length > 0) {
-            console.log(`Found ${pendingNovels.length} pending novels`);
+        // Parse novels first (pending ones and failed ones due for a retry)
+        const pendingNovels = novelsDb.getNovelsDueForParse.all();
 
-            if (!browserInitialized) {
-                await initBrowser();
-                page = await getPage();
-                browserInitialized = true;
-            }
+        if (pendingNovels.length > 0 && !control.isStopped()) {
+            console.log(`Found ${pendingNovels.length} pending novels`);
+            control.setStage('novels', pendingNovels.length);
 
-            const result = await ParseNovels({ novels: pendingNovels, page });
+            const result = await ParseNovels({ novels: pendingNovels, page, control });
             page = result.page; // Update page reference in case it was recycled
         } else {
             console.log('No pending novels to parse');
         }
 
+        // Look for new chapters of ongoing novels, so they are parsed in this run too
+        const novelsToCheck = getNovelsDueForUpdateCheck();
+
+        if (novelsToCheck.length > 0 && !control.isStopped()) {
+            console.log(`Checking ${novelsToCheck.length} ongoing novels for new chapters`);
+            control.setStage('updates', novelsToCheck.length);
+
+            const result = await CheckNovelUpdates({ novels: novelsToCheck, page, control });
+            page = result.page;
+        }
+
         // Parse chapters
-        const pendingChapters = chaptersDb.getChaptersByStatus.all(STATUS.PENDING);
+        const pendingChapters = chaptersDb.getChaptersDueForParse.all();
 
-        if (pendingChapters.length > 0) {
+        if (pendingChapters.length > 0 && !control.isStopped()) {
             console.log(`Found ${pendingChapters.length} pending chapters`);
+            control.setStage('chapters', pendingChapters.length);
 
-            if (!browserInitialized) {
-                await initBrowser();
-                page = await getPage();
-                browserInitialized = true;
-            }
-
-            const result = await ParseChapters({ chapters: pendingChapters, page });
-            page = result.page; // Update page reference
+            // Workers check pages out of the pool themselves
+            await ParseChapters({ chapters: pendingChapters, page, control });
+            page = null;
         } else {
             console.log('No pending chapters to parse');
         }
 
-        console.log('Parser completed successfully');
+        // A run stopped by its budget still completes - what's left stays due for the next run
+        const state = control.isCancelled() ? RUN_STATE.CANCELLED : RUN_STATE.COMPLETED;
+        control.finish(state);
+        console.log(state === RUN_STATE.CANCELLED ? 'Parser run cancelled' : 'Parser completed successfully');
+
+        return { runId: control.id, state };
 
     } catch (error) {
         console.error('Parser error:', error);
+        control.finish(RUN_STATE.FAILED, error.message);
         throw error;
     } finally {
-        // Clean up browser resources
-        if (browserInitialized) {
-            await closeBrowser();
-        }
+        // Clean up browser resources (no-op when no site needed the browser)
+        await closeBrowser();
     }
 }
 
@@ -74,10 +107,11 @@ export async function ParserWrapper() {
  * Parses multiple novels with page recycling
  * @param {Object} params
  * @param {Array} params.novels - Array of novel objects
- * @param {Page} params.page - Puppeteer page object
+ * @param {Page|null} params.page - Puppeteer page object; null until a site needs the browser
+ * @param {Object} [params.control] - Run handle from startParserRun; checked between novels
  * @returns {Object} Results and updated page
  */
-async function ParseNovels({ novels, page }) {
+async function ParseNovels({ novels, page, control }) {
     console.log(`Parsing ${novels.length} novels...`);
 
     let successCount = 0;
@@ -85,19 +119,35 @@ async function ParseNovels({ novels, page }) {
     let currentPage = page;
 
     for (let i = 0; i < novels.length; i++) {
+        if (control && !(await control.checkpoint())) break;
+
         const novel = novels[i];
+        const startedAt = Date.now();
+        let lease = null;
 
         try {
+            // Sites outside their allowed hours or over their hourly cap wait for a later run
+            const block = getDomainBlock(domainOf(novel.url));
+            if (block) {
+                console.log(`Skipping novel ${novel.id}: ${block.reason}`);
+                continue;
+            }
+
+            // Mark as processing - skipped if another parser run already has it
+            lease = claimItem(ITEM_TYPE.NOVEL, novel.id);
+            if (!lease) {
+                console.log(`Skipping novel ${novel.id}: claimed elsewhere or no longer due`);
+                continue;
+            }
+            control?.countItem();
+
             // Check if page should be recycled
             const stats = getPageStats(currentPage);
-            if (stats.shouldRecycle) {
+            if (currentPage && stats.shouldRecycle) {
                 console.log(`Recycling page after ${stats.uses} uses`);
                 currentPage = await recyclePage(currentPage);
             }
 
-            // Mark as processing
-            novelsDb.updateNovelStatus.run(STATUS.PROCESSING, novel.id);
-
             // Discover and parse novel
             const result = await discoverNovel(novel.id, currentPage);
 
@@ -109,49 +159,57 @@ async function ParseNovels({ novels, page }) {
             if (result.success) {
                 successCount++;
                 console.log(`✓ Successfully parsed: ${result.title} (${i + 1}/${novels.length})`);
-
-                // Insert discovered chapters into database
-                if (result.chapters && result.chapters.length > 0) {
-                    for (const chapter of result.chapters) {
-                        try {
-                            chaptersDb.insertChapter.run({
-                                novel_id: novel.id,
-                                url: chapter.url,
-                                title: chapter.title,
-                                content: null,
-                                chapter_number: chapter.order,
-                                status: STATUS.PENDING
-                            });
-                        } catch (err) {
-                            // Ignore duplicate entries
-                            if (!err.message.includes('UNIQUE')) {
-                                console.error(`Error inserting chapter: ${err.message}`);
-                            }
-                        }
-                    }
-                }
+                recordAttempt({ itemType: ITEM_TYPE.NOVEL, itemId: novel.id, novelId: novel.id, startedAt, success: true });
+
+                // Insert discovered volumes and chapters into database
+                const inserted = result.chapters?.length > 0 ? storeDiscoveredChapters(novel.id, result.chapters) : 0;
+                emitEvent(EVENT.NOVEL_DISCOVERED, { novelId: novel.id, title: result.title, chapters: inserted });
+            } else if (result.deferred) {
+                // The site closed to us mid-item (hourly cap, allowed hours, long pause) - not the novel's fault
+                console.log(`Leaving novel ${novel.id} for later: ${result.error}`);
+                novelsDb.updateNovelStatus.run(STATUS.PENDING, novel.id);
             } else {
                 errorCount++;
                 console.error(`✗ Failed to parse novel ${novel.id}: ${result.error}`);
-                novelsDb.updateNovelStatus.run(STATUS.ERROR, novel.id);
+                const retry = recordFailure({
+                    itemType: ITEM_TYPE.NOVEL,
+                    itemId: novel.id,
+                    novelId: novel.id,
+                    startedAt,
+                    error: result.error,
+                    errorKind: result.errorKind
+                });
+                console.log(`  → ${retry.reason}`);
+                emitEvent(EVENT.NOVEL_FAILED, { novelId: novel.id, error: result.error, retry: retry.reason });
             }
 
-            // Rate limiting with randomization - wait between requests
-            const delayTime = Math.random() * 2000 + 2000; // 2-4 seconds
-            console.log(`Waiting ${Math.round(delayTime)}ms before next request...`);
-            await delay(delayTime);
-
         } catch (error) {
+            if (error.deferred) {
+                console.log(`Leaving novel ${novel.id} for later: ${error.message}`);
+                novelsDb.updateNovelStatus.run(STATUS.PENDING, novel.id);
+                continue;
+            }
+
             errorCount++;
             console.error(`Error processing novel ${novel.id}:`, error);
-            novelsDb.updateNovelStatus.run(STATUS.ERROR, novel.id);
+            const retry = recordFailure({
+                itemType: ITEM_TYPE.NOVEL,
+                itemId: novel.id,
+                novelId: novel.id,
+                startedAt,
+                error
+            });
+            console.log(`  → ${retry.reason}`);
+            emitEvent(EVENT.NOVEL_FAILED, { novelId: novel.id, error: error.message, retry: retry.reason });
 
             // On error, wait longer and consider recycling page
             await delay(5000);
-            if (Math.random() > 0.5) {
+            if (currentPage && Math.random() > 0.5) {
                 console.log('Recycling page after error...');
                 currentPage = await recyclePage(currentPage);
             }
+        } finally {
+            lease?.release();
         }
     }
 
@@ -161,78 +219,430 @@ async function ParseNovels({ novels, page }) {
 }
 
 /**
- * Parses multiple chapters with page recycling
+ * Re-reads the TOC of ongoing novels and adds the chapters that appeared since the last check.
+ * A failed check is logged and given back, so the next run checks the novel again.
  * @param {Object} params
- * @param {Array} params.chapters - Array of chapter objects
- * @param {Page} params.page - Puppeteer page object
- * @returns {Object} Results and updated page
+ * @param {Array} params.novels - Novels due for an update check
+ * @param {Page|null} params.page - Puppeteer page object; null until a site needs the browser
+ * @param {Object} [params.control] - Run handle from startParserRun; checked between novels
+ * @returns {Object} Updated page and the number of chapters added
  */
-async function ParseChapters({ chapters, page }) {
-    console.log(`Parsing ${chapters.length} chapters...`);
-
-    let successCount = 0;
-    let errorCount = 0;
+async function CheckNovelUpdates({ novels, page, control }) {
     let currentPage = page;
+    let newChapters = 0;
+
+    for (const novel of novels) {
+        if (control && !(await control.checkpoint())) break;
 
-    for (let i = 0; i < chapters.length; i++) {
-        const chapter = chapters[i];
+        const block = getDomainBlock(domainOf(novel.url));
+        if (block) {
+            console.log(`Skipping update check of novel ${novel.id}: ${block.reason}`);
+            continue;
+        }
+
+        if (!claimUpdateCheck(novel.id)) {
+            console.log(`Skipping update check of novel ${novel.id}: checked elsewhere`);
+            continue;
+        }
+        control?.countItem();
 
         try {
-            // Check if page should be recycled
             const stats = getPageStats(currentPage);
-            if (stats.shouldRecycle) {
+            if (currentPage && stats.shouldRecycle) {
                 console.log(`Recycling page after ${stats.uses} uses`);
                 currentPage = await recyclePage(currentPage);
             }
 
-            // Mark as processing
-            chaptersDb.updateChapterStatus.run(STATUS.PROCESSING, chapter.id);
-
-            // Discover and parse chapter
-            const result = await discoverChapter(chapter, currentPage);
-
-            // Update page if it was recycled during discover
+            const result = await discoverNewChapters(novel.id, currentPage);
             if (result.page) {
                 currentPage = result.page;
             }
 
-            if (result.success) {
-                // Update chapter in database
-                chaptersDb.updateChapter.run({
-                    id: chapter.id,
-                    title: result.title,
-                    content: result.content,
-                    status: STATUS.SUCCESS
-                });
+            if (!result.success) {
+                console.error(`✗ Update check failed for novel ${novel.id}: ${result.error}`);
+                releaseUpdateCheck(novel);
+                continue;
+            }
+
+            const inserted = storeDiscoveredChapters(novel.id, result.chapters);
+            novelsDb.setNovelTotalChapters.run({ id: novel.id, total_chapters: result.chapters.length });
+            newChapters += inserted;
+            emitEvent(EVENT.NOVEL_CHECKED, { novelId: novel.id, title: novel.title, newChapters: inserted });
+
+            console.log(inserted > 0
+                ? `✓ ${novel.title}: ${inserted} new chapters`
+                : `✓ ${novel.title}: no new chapters`);
+
+        } catch (error) {
+            console.error(`Error checking novel ${novel.id} for new chapters:`, error);
+            releaseUpdateCheck(novel);
+        }
+    }
 
+    console.log(`Update checks complete: ${newChapters} new chapters`);
+
+    return { page: currentPage, newChapters };
+}
+
+/**
+ * Parses multiple chapters on a pool of browser pages (see worker_pool.js):
+ * PARSER_CONCURRENCY pages in parallel; per-site limits come from the domain profiles (see politeness.js).
+ * @param {Object} params
+ * @param {Array} params.chapters - Array of chapter objects
+ * @param {Page} [params.page] - Page the caller is done with; handed back to the pool
+ * @param {Object} [params.control] - Run handle from startParserRun; checked before each chapter
+ * @returns {Object} Results
+ */
+async function ParseChapters({ chapters, page, control }) {
+    const concurrency = Math.min(PARSER_CONCURRENCY, MAX_PAGES);
+    console.log(`Parsing ${chapters.length} chapters with ${concurrency} workers...`);
+
+    if (page) {
+        releasePage(page);
+    }
+
+    let successCount = 0;
+    let errorCount = 0;
+    let done = 0;
+
+    await runWorkerPool({
+        items: chapters,
+        concurrency,
+        keyOf: chapter => domainOf(chapter.url),
+        keyLimit: domain => getDomainProfile(domain).max_concurrency,
+        keySpacing: getDomainSpacing,
+        keyBlocked: getDomainBlock,
+        checkpoint: control ? () => control.checkpoint() : undefined,
+        worker: async (chapter) => {
+            const outcome = await parseChapter(chapter);
+            done++;
+            if (outcome !== null) control?.countItem();
+
+            if (outcome === true) {
                 successCount++;
-                console.log(`✓ Successfully parsed: ${result.title} (${i + 1}/${chapters.length})`);
-            } else {
+            } else if (outcome === false) {
                 errorCount++;
-                console.error(`✗ Failed to parse chapter ${chapter.id}: ${result.error}`);
-                chaptersDb.updateChapterStatus.run(STATUS.ERROR, chapter.id);
             }
+            console.log(`  [${done}/${chapters.length}] ${successCount} ok, ${errorCount} failed`);
+        }
+    });
 
-            // Rate limiting with randomization - wait between requests
-            const delayTime = Math.random() * 1500 + 1500; // 1.5-3 seconds
-            console.log(`Waiting ${Math.round(delayTime)}ms before next request...`);
-            await delay(delayTime);
+    console.log(`Chapters parsing complete: ${successCount} success, ${errorCount} errors`);
 
-        } catch (error) {
-            errorCount++;
-            console.error(`Error processing chapter ${chapter.id}:`, error);
-            chaptersDb.updateChapterStatus.run(STATUS.ERROR, chapter.id);
+    return { successCount, errorCount };
+}
+
+/**
+ * Fetches, extracts and stores one chapter on a page checked out from the pool
+ * @param {Object} chapter - Chapter row
+ * @returns {Promise<boolean|null>} Success, or null if the chapter was skipped or left for later
+ */
+async function parseChapter(chapter) {
+    const startedAt = Date.now();
+
+    // Mark as processing - skipped if another parser run already has it
+    const lease = claimItem(ITEM_TYPE.CHAPTER, chapter.id);
+    if (!lease) {
+        console.log(`Skipping chapter ${chapter.id}: claimed elsewhere or no longer due`);
+        return null;
+    }
+
+    let currentPage = null;
+    emitEvent(EVENT.CHAPTER_STARTED, { novelId: chapter.novel_id, chapterId: chapter.id, title: chapter.title, number: chapter.chapter_number });
 
-            // On error, wait longer
-            await delay(3000);
+    try {
+        // A browser page is checked out only if the chapter's site needs the browser (see fetchPage)
+        const result = await discoverChapter(chapter, currentPage);
+
+        // Update page if it was recycled during discover
+        if (result.page) {
+            currentPage = result.page;
+        }
+
+        if (result.success) {
+            // Store the fetched page and extraction, then the chapter itself
+            saveParsedChapter(chapter, result);
+            recordAttempt({ itemType: ITEM_TYPE.CHAPTER, itemId: chapter.id, novelId: chapter.novel_id, startedAt, success: true });
+
+            console.log(`✓ Successfully parsed: ${result.title}`);
+            emitEvent(EVENT.CHAPTER_SUCCEEDED, { novelId: chapter.novel_id, chapterId: chapter.id, title: result.title, number: chapter.chapter_number });
+            return true;
+        }
+
+        // The site closed to us mid-item (hourly cap, allowed hours, long pause) - not the chapter's fault
+        if (result.deferred) {
+            console.log(`Leaving chapter ${chapter.id} for later: ${result.error}`);
+            chaptersDb.updateChapterStatus.run(STATUS.PENDING, chapter.id);
+            return null;
+        }
+
+        console.error(`✗ Failed to parse chapter ${chapter.id}: ${result.error}`);
+        const retry = recordFailure({
+            itemType: ITEM_TYPE.CHAPTER,
+            itemId: chapter.id,
+            novelId: chapter.novel_id,
+            startedAt,
+            error: result.error,
+            errorKind: result.errorKind
+        });
+        console.log(`  → ${retry.reason}`);
+        emitEvent(EVENT.CHAPTER_FAILED, { novelId: chapter.novel_id, chapterId: chapter.id, title: chapter.title, error: result.error, retry: retry.reason });
+        return false;
+
+    } catch (error) {
+        if (error.deferred) {
+            console.log(`Leaving chapter ${chapter.id} for later: ${error.message}`);
+            chaptersDb.updateChapterStatus.run(STATUS.PENDING, chapter.id);
+            return null;
+        }
+
+        console.error(`Error processing chapter ${chapter.id}:`, error);
+        const retry = recordFailure({
+            itemType: ITEM_TYPE.CHAPTER,
+            itemId: chapter.id,
+            novelId: chapter.novel_id,
+            startedAt,
+            error
+        });
+        console.log(`  → ${retry.reason}`);
+        emitEvent(EVENT.CHAPTER_FAILED, { novelId: chapter.novel_id, chapterId: chapter.id, title: chapter.title, error: error.message, retry: retry.reason });
+
+        // On error, wait longer before this worker takes the next chapter
+        await delay(3000);
+        return false;
+    } finally {
+        lease.release();
+        if (currentPage) {
+            releasePage(currentPage);
         }
     }
+}
 
-    console.log(`Chapters parsing complete: ${successCount} success, ${errorCount} errors`);
+/**
+ * Re-runs extraction for a novel over its pages in the response cache, without any network access:
+ * the novel page (metadata and TOC - chapters new to the TOC are added as pending) and every chapter
+ * whose page is cached. Changed chapters get a 'reparse' revision, so the result can be reverted.
+ * The novel stays leased meanwhile, so no parser run writes its chapters at the same time.
+ * @param {number} novelId - Novel ID
+ * @returns {Promise<Object|null>} { novel, newChapters, chapters, changed, missing, failed } - novel is
+ *   the novel page's error or null; null if the novel does not exist
+ * @throws {Error} With .busy when a parser is working on the novel
+ */
+export async function reparseNovelFromCache(novelId) {
+    if (!novelsDb.getNovelById.get(novelId)) return null;
 
-    return { page: currentPage, successCount, errorCount };
+    const lease = holdNovelOrThrow(novelId);
+    let summary;
+    try {
+        summary = await extractNovelOffline(novelId, { cacheMode: CACHE_MODE.ONLY }, {
+            kind: CHANGE_KIND.REPARSE,
+            isAvailable: url => !!responseCacheDb.getResponse.get(url)
+        });
+    } finally {
+        lease.release();
+    }
+
+    console.log(`Re-parsed novel ${novelId} from the response cache: ${summary.chapters} chapters (${summary.changed} changed), ${summary.missing} not cached, ${summary.failed} failed`);
+    return summary;
+}
+
+/**
+ * Adds a novel from pages saved outside the parser (MHTML, WARC, HTML files - see parser/saved_pages),
+ * as if they had been fetched: the novel page gives metadata, cover and TOC, and every chapter in the
+ * TOC that was saved goes through the usual extraction. Chapters that weren't saved stay pending.
+ * A novel that already exists (same URL) is updated, its changed chapters get an 'import' revision.
+ * The novel stays leased meanwhile, so no parser run takes its new chapters before the import has filled them in.
+ * @param {Object} savedPages - Collection from readSavedPages
+ * @param {Object} [options]
+ * @param {string} [options.novelUrl] - Address of the novel page; guessed with findNovelPage if not given
+ * @returns {Promise<Object>} { novelId, created, newChapters, chapters, changed, missing, failed, skipped }
+ * @throws When there is no novel page or it can't be read; with .busy when the parser is working on the novel
+ */
+export async function importSavedPages(savedPages, { novelUrl } = {}) {
+    const pageUrl = novelUrl ? savedPages.get(novelUrl)?.finalUrl : findNovelPage(savedPages);
+    if (!pageUrl) {
+        throw new Error(novelUrl
+            ? `${novelUrl} is not among the saved pages`
+            : 'Could not tell which saved page is the novel page - give its address');
+    }
+
+    const existing = novelsDb.getNovelByUrl.get(pageUrl);
+    const existingLease = existing ? holdNovelOrThrow(existing.id) : null;
+
+    // Not pending, so no parser run picks the novel page up before the import has filled it in
+    const novelId = existing
+        ? existing.id
+        : Number(novelsDb.insertNovel.run({
+            url: pageUrl,
+            title: null,
+            raws_title: null,
+            author: null,
+            description: null,
+            total_chapters: 0,
+            status: STATUS.SUCCESS
+        }).lastInsertRowid);
+    const lease = existingLease || holdNovelOrThrow(novelId);
+
+    let summary;
+    try {
+        summary = await extractNovelOffline(novelId, { savedPages }, {
+            kind: CHANGE_KIND.IMPORT,
+            isAvailable: url => !!savedPages.get(url)
+        });
+    } catch (error) {
+        // A half-imported new novel would stay behind without a title, and no parser run revisits it
+        if (!existing) novelsDb.deleteNovel.run(novelId);
+        throw error;
+    } finally {
+        lease.release();
+    }
+
+    if (summary.novel && !existing) {
+        novelsDb.deleteNovel.run(novelId);
+        throw new Error(`Could not read the novel page ${pageUrl}: ${summary.novel}`);
+    }
+
+    console.log(`Imported novel ${novelId} from saved pages: ${summary.chapters} chapters, ${summary.missing} not saved, ${summary.failed} failed`);
+    return { novelId, created: !existing, ...summary, skipped: savedPages.skipped };
 }
 
+/**
+ * Leases a novel for work outside a parser run (see holdNovel)
+ * @param {number} novelId - Novel ID
+ * @returns {Object} Lease handle; release it when done
+ * @throws {Error} With .busy when the novel or one of its chapters is leased
+ */
+function holdNovelOrThrow(novelId) {
+    const lease = holdNovel(novelId);
+    if (!lease) {
+        const busy = new Error('The parser is working on this novel right now. Try again once it is done.');
+        busy.busy = true;
+        throw busy;
+    }
+    return lease;
+}
+
+/**
+ * Extracts a novel page and its chapters from pages that are already on hand (response cache, saved files)
+ * @param {number} novelId - Novel ID
+ * @param {Object} fetchOptions - For discoverNovel / discoverChapter (cacheMode or savedPages)
+ * @param {Object} params
+ * @param {string} params.kind - CHANGE_KIND of the revisions written
+ * @param {Function} params.isAvailable - url => whether the chapter's page is on hand
+ * @returns {Promise<Object>} { novel, newChapters, chapters, changed, missing, failed } - novel is
+ *   the novel page's error or null
+ */
+async function extractNovelOffline(novelId, fetchOptions, { kind, isAvailable }) {
+    const summary = { novel: null, newChapters: 0, chapters: 0, changed: 0, missing: 0, failed: 0 };
+
+    const discovered = await discoverNovel(novelId, null, fetchOptions);
+    if (discovered.success) {
+        summary.newChapters = discovered.chapters.length > 0 ? storeDiscoveredChapters(novelId, discovered.chapters) : 0;
+    } else {
+        summary.novel = discovered.error;
+    }
+
+    for (const chapter of chaptersDb.getChaptersByNovelId.all(novelId)) {
+        if (!isAvailable(chapter.url)) {
+            summary.missing++;
+            continue;
+        }
+
+        const result = await discoverChapter(chapter, null, fetchOptions);
+        if (!result.success) {
+            console.error(`✗ Failed to extract chapter ${chapter.id}: ${result.error}`);
+            summary.failed++;
+            continue;
+        }
+
+        summary.chapters++;
+        if (saveParsedChapter(chapter, result, kind) !== null) {
+            summary.changed++;
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Inserts chapters found in a novel's TOC, creating volumes for their headings.
+ * Chapters that already exist (same URL) are left alone.
+ * @param {number} novelId - Novel ID
+ * @param {Array<{url: string, title: string, order: number, volume: string|null}>} chapters - TOC entries
+ * @returns {number} Number of chapters inserted
+ */
+const storeDiscoveredChapters = novelsDb.db.transaction((novelId, chapters) => {
+    const volumeIds = new Map();
+    let nextVolumeNumber = volumesDb.getMaxVolumeNumber.get(novelId).max + 1;
+    let inserted = 0;
+
+    const resolveVolumeId = (title) => {
+        if (!title) return null;
+        if (volumeIds.has(title)) return volumeIds.get(title);
+
+        let volume = volumesDb.getVolumeByTitle.get(novelId, title);
+        if (!volume) {
+            const result = volumesDb.insertVolume.run({
+                novel_id: novelId,
+                title,
+                volume_number: nextVolumeNumber++
+            });
+            volume = { id: Number(result.lastInsertRowid) };
+        }
+
+        volumeIds.set(title, volume.id);
+        return volume.id;
+    };
+
+    for (const chapter of chapters) {
+        try {
+            chaptersDb.insertChapter.run({
+                novel_id: novelId,
+                url: chapter.url,
+                title: chapter.title,
+                content: null,
+                chapter_number: chapter.order,
+                status: STATUS.PENDING,
+                volume_id: resolveVolumeId(chapter.volume)
+            });
+            inserted++;
+        } catch (err) {
+            // Ignore duplicate entries
+            if (!err.message.includes('UNIQUE')) {
+                console.error(`Error inserting chapter: ${err.message}`);
+            }
+        }
+    }
+
+    return inserted;
+});
+
+/**
+ * Persists a parsed chapter: raw HTML and extraction go to chapter_sources,
+ * the extraction also becomes the chapter's current content.
+ * @returns {number|null} New revision ID, or null if the content didn't change
+ */
+const saveParsedChapter = chaptersDb.db.transaction((chapter, result, kind = null) => {
+    const isRefetch = !!chapterSourcesDb.getSourceByChapterId.get(chapter.id);
+
+    chapterSourcesDb.upsertSource.run({
+        chapter_id: chapter.id,
+        raw_html: compressHtml(result.rawHtml),
+        extracted_title: result.title,
+        extracted_content: result.content,
+        extraction_method: result.method
+    });
+
+    return writeChapterContent({
+        chapterId: chapter.id,
+        title: result.title,
+        content: result.content,
+        status: STATUS.SUCCESS,
+        kind: kind || (isRefetch ? CHANGE_KIND.REFETCH : CHANGE_KIND.PARSE),
+        actor: 'parser'
+    });
+});
+
 /**
  * Utility function for delays
  */
@@ -240,5 +650,5 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-export { ParseNovels, ParseChapters, STATUS };
+export { ParseNovels, ParseChapters, CheckNovelUpdates, STATUS };
 export default ParserWrapper;
\ No newline at end of file
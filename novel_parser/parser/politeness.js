@@ -0,0 +1,398 @@
+import { domainsDb } from '../db/db_init.js';
+import { ERROR_KIND } from './error_kinds.js';
+import { domainOf, DOMAIN_CONCURRENCY } from './worker_pool.js';
+import { emitEvent, EVENT } from './events.js';
+import { waitWhileDomainChallenged } from './challenges.js';
+
+// Used for every site without its own profile (and for columns left empty in a profile)
+export const DEFAULT_PROFILE = {
+    min_delay_ms: parseInt(process.env.PARSER_MIN_DELAY_MS) || 1500,
+    max_delay_ms: parseInt(process.env.PARSER_MAX_DELAY_MS) || 3000,
+    max_concurrency: DOMAIN_CONCURRENCY,
+    max_requests_per_hour: parseInt(process.env.PARSER_MAX_REQUESTS_PER_HOUR) || null,
+    allowed_hours: null,
+    respect_robots: 1,
+    fetch_mode: null // Site adapter's, else PARSER_FETCH_MODE (see browserComponents/http_fetch.js)
+};
+
+// Name matched against robots.txt User-agent lines (besides "*")
+export const ROBOTS_AGENT = 'novel-parser';
+
+// Adaptive throttling after 429/503: each one doubles the delays (up to MAX) and pauses the site
+// for Retry-After, or THROTTLE_COOLDOWN_MS times the multiplier when the site gives none.
+// Every successful request eases the multiplier back by THROTTLE_EASE_FACTOR.
+const THROTTLE_MAX_MULTIPLIER = 16;
+const THROTTLE_COOLDOWN_MS = 30 * 1000;
+const THROTTLE_EASE_FACTOR = 0.9;
+const MAX_RETRY_AFTER_MS = 24 * 60 * 60 * 1000;
+// Pauses up to this long are waited out in place; longer ones leave the site's items for a later run
+const THROTTLE_INLINE_WAIT_MS = 60 * 1000;
+
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_RETRY_MS = 60 * 60 * 1000; // After an unreachable robots.txt
+const PROFILE_CACHE_MS = 30 * 1000; // Edits from the settings page apply within this time
+const HOUR_MS = 60 * 60 * 1000;
+
+const profileCache = new Map(); // domain -> { profile, loadedAt }
+const robotsCache = new Map(); // domain -> parsed robots.txt
+const robotsRetryAt = new Map(); // domain -> ms; robots.txt was unreachable, not asked again before this
+const reservedUntil = new Map(); // domain -> ms; next free request slot handed out in this process
+
+/**
+ * Effective crawling rules for a site: its profile over the defaults
+ * @param {string} domain - Hostname
+ * @returns {Object} Profile with every DEFAULT_PROFILE field set
+ */
+export function getDomainProfile(domain) {
+    const cached = profileCache.get(domain);
+    if (cached && Date.now() - cached.loadedAt < PROFILE_CACHE_MS) {
+        return cached.profile;
+    }
+
+    const row = domainsDb.getProfile.get(domain) || {};
+    const profile = { domain, robots_txt: row.robots_txt ?? null, robots_fetched_at: row.robots_fetched_at ?? null, custom: !!row.domain };
+    for (const [key, value] of Object.entries(DEFAULT_PROFILE)) {
+        profile[key] = row[key] ?? value;
+    }
+
+    profileCache.set(domain, { profile, loadedAt: Date.now() });
+    return profile;
+}
+
+/**
+ * Drops cached profile/robots data so the next lookup reads the DB again
+ * @param {string} domain - Hostname
+ */
+export function invalidateDomainProfile(domain) {
+    profileCache.delete(domain);
+    robotsCache.delete(domain);
+}
+
+/**
+ * Parses "HH:MM-HH:MM" windows, comma separated; a window may wrap past midnight ("22:00-06:00")
+ * @param {string|null} value - Allowed hours setting
+ * @returns {Array<{start: number, end: number}>} Minutes since midnight; empty = any time
+ */
+export function parseAllowedHours(value) {
+    if (!value || !value.trim()) return [];
+
+    return value.split(',').map(part => {
+        const match = part.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+        if (!match) {
+            throw new Error(`Invalid time window "${part.trim()}" - use HH:MM-HH:MM`);
+        }
+
+        const [start, end] = [[match[1], match[2]], [match[3], match[4]]].map(([h, m]) => {
+            const minutes = parseInt(h) * 60 + parseInt(m || '0');
+            if (parseInt(h) > 24 || parseInt(m || '0') > 59 || minutes > 24 * 60) {
+                throw new Error(`Invalid time "${part.trim()}"`);
+            }
+            return minutes;
+        });
+
+        return { start, end };
+    });
+}
+
+/**
+ * Minutes until the site's allowed hours open (server local time)
+ * @param {Array<{start: number, end: number}>} windows - From parseAllowedHours
+ * @param {Date} [now]
+ * @returns {number} 0 when requests are allowed now
+ */
+export function minutesUntilAllowed(windows, now = new Date()) {
+    if (windows.length === 0) return 0;
+
+    const minute = now.getHours() * 60 + now.getMinutes();
+    let wait = Infinity;
+
+    for (const { start, end } of windows) {
+        const inside = start <= end
+            ? minute >= start && minute < end
+            : minute >= start || minute < end;
+        if (inside) return 0;
+
+        wait = Math.min(wait, (start - minute + 24 * 60) % (24 * 60));
+    }
+
+    return wait;
+}
+
+/**
+ * Why a site can't be requested right now, if it can't: paused after a 429/503, outside its
+ * allowed hours or over its hourly request cap. Used by the scheduler to leave the site's items for a later run.
+ * @param {string} domain - Hostname
+ * @returns {{reason: string, retryInMs: number}|null}
+ */
+export function getDomainBlock(domain) {
+    const profile = getDomainProfile(domain);
+
+    let windows = [];
+    try {
+        windows = parseAllowedHours(profile.allowed_hours);
+    } catch (error) {
+        console.warn(`Ignoring allowed hours for ${domain}: ${error.message}`);
+    }
+
+    const throttle = domainsDb.getThrottle.get(domain);
+    const pausedFor = (throttle?.blocked_until || 0) - Date.now();
+    if (pausedFor > THROTTLE_INLINE_WAIT_MS) {
+        return { reason: `paused after HTTP ${throttle.last_status} until ${new Date(throttle.blocked_until).toLocaleTimeString()}`, retryInMs: pausedFor };
+    }
+
+    const closedFor = minutesUntilAllowed(windows);
+    if (closedFor > 0) {
+        return { reason: `outside allowed hours (${profile.allowed_hours})`, retryInMs: closedFor * 60 * 1000 };
+    }
+
+    if (profile.max_requests_per_hour) {
+        const { count, oldest } = domainsDb.countRequestsSince.get(domain, Date.now() - HOUR_MS);
+        if (count >= profile.max_requests_per_hour) {
+            return { reason: `hourly limit of ${profile.max_requests_per_hour} requests reached`, retryInMs: oldest + HOUR_MS - Date.now() };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parses robots.txt into the rule group that applies to us
+ * @param {string} text - robots.txt contents
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelayMs: number|null}}
+ */
+export function parseRobotsTxt(text) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelayMs: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+
+        lastWasAgent = false;
+        if (!current) continue;
+
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+            current.crawlDelayMs = parseFloat(value) * 1000;
+        }
+    }
+
+    const group = groups.find(g => g.agents.includes(ROBOTS_AGENT))
+        || groups.find(g => g.agents.includes('*'));
+
+    return group ? { rules: group.rules, crawlDelayMs: group.crawlDelayMs } : { rules: [], crawlDelayMs: null };
+}
+
+/**
+ * Whether robots rules allow a path: the longest matching rule wins, Allow wins ties
+ * @param {Array<{allow: boolean, path: string}>} rules - From parseRobotsTxt
+ * @param {string} urlPath - Path plus query string
+ * @returns {boolean}
+ */
+export function isPathAllowed(rules, urlPath) {
+    let best = null;
+
+    for (const rule of rules) {
+        // "*" matches anything, a trailing "$" anchors the end
+        const anchored = rule.path.endsWith('$');
+        const body = anchored ? rule.path.slice(0, -1) : rule.path;
+        const pattern = new RegExp('^' + body
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*') + (anchored ? '$' : ''));
+
+        if (pattern.test(urlPath)) {
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+    }
+
+    return best ? best.allow : true;
+}
+
+/**
+ * Returns the site's robots.txt rules, fetching them once a day.
+ * A missing robots.txt allows everything; an unreachable one keeps the last copy and is asked for again in an hour.
+ * @param {string} domain - Hostname
+ * @param {string} origin - e.g. https://example.com
+ */
+async function getRobots(domain, origin) {
+    const profile = getDomainProfile(domain);
+    const fetchedAt = profile.robots_fetched_at ? Date.parse(profile.robots_fetched_at + 'Z') : 0;
+
+    if (Date.now() - fetchedAt > ROBOTS_TTL_MS && (robotsRetryAt.get(domain) || 0) <= Date.now()) {
+        let text = null;
+        try {
+            // Sent as the agent whose rules are applied, so the site can tell who reads them
+            const response = await fetch(`${origin}/robots.txt`, {
+                headers: { 'User-Agent': ROBOTS_AGENT },
+                signal: AbortSignal.timeout(15000)
+            });
+            text = response.ok ? await response.text() : (response.status < 500 ? '' : null);
+            if (text === null) {
+                console.warn(`Could not fetch robots.txt for ${domain}: HTTP ${response.status}`);
+            }
+        } catch (error) {
+            console.warn(`Could not fetch robots.txt for ${domain}: ${error.message}`);
+        }
+
+        if (text !== null) {
+            domainsDb.saveRobots.run({ domain, robots_txt: text });
+            invalidateDomainProfile(domain);
+            robotsRetryAt.delete(domain);
+        } else {
+            // Every request of the site would ask again otherwise
+            robotsRetryAt.set(domain, Date.now() + ROBOTS_RETRY_MS);
+        }
+    }
+
+    if (!robotsCache.has(domain)) {
+        robotsCache.set(domain, parseRobotsTxt(getDomainProfile(domain).robots_txt));
+    }
+    return robotsCache.get(domain);
+}
+
+/**
+ * Random pause before the next request to a site, from its profile
+ * (never below the robots.txt Crawl-delay when robots rules apply), stretched while the site is throttled
+ * @param {string} domain - Hostname
+ * @returns {number} Milliseconds
+ */
+export function getDomainSpacing(domain) {
+    const profile = getDomainProfile(domain);
+    const min = Math.max(profile.min_delay_ms, profile.respect_robots ? robotsCache.get(domain)?.crawlDelayMs || 0 : 0);
+    const max = Math.max(profile.max_delay_ms, min);
+    const multiplier = domainsDb.getThrottle.get(domain)?.delay_multiplier || 1;
+    return (min + Math.random() * (max - min)) * multiplier;
+}
+
+/**
+ * Reads a Retry-After header: either seconds or an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} [now] - ms
+ * @returns {number|null} Milliseconds to wait, null if missing or unreadable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+
+    const trimmed = String(value).trim();
+    const ms = /^\d+$/.test(trimmed)
+        ? parseInt(trimmed) * 1000
+        : Date.parse(trimmed) - now;
+
+    return Number.isNaN(ms) ? null : Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Slows a site down after it answered 429/503 (or a rate limit page).
+ * Stored in the database so every worker, parser run and restart sees it.
+ * @param {string} url - URL that was throttled
+ * @param {Object} params
+ * @param {number} params.status - HTTP status
+ * @param {number|null} [params.retryAfterMs] - From parseRetryAfter
+ * @returns {{multiplier: number, blockedUntil: number}}
+ */
+export function throttleDomain(url, { status, retryAfterMs = null }) {
+    const domain = domainOf(url);
+    const current = domainsDb.getThrottle.get(domain);
+    const multiplier = Math.min((current?.delay_multiplier || 1) * 2, THROTTLE_MAX_MULTIPLIER);
+    const now = Date.now();
+    const blockedUntil = Math.max(
+        now + (retryAfterMs ?? THROTTLE_COOLDOWN_MS * multiplier),
+        current?.blocked_until || 0
+    );
+
+    domainsDb.saveThrottle.run({
+        domain,
+        delay_multiplier: multiplier,
+        blocked_until: blockedUntil,
+        last_status: status,
+        throttled_at: now
+    });
+
+    console.warn(`Throttling ${domain} after HTTP ${status}: delays x${multiplier}, paused until ${new Date(blockedUntil).toLocaleTimeString()}`);
+    return { multiplier, blockedUntil };
+}
+
+/**
+ * Eases a throttled site back towards its normal speed after a successful request
+ * @param {string} url - URL that was fetched
+ */
+export function easeDomainThrottle(url) {
+    domainsDb.easeThrottle.run({ domain: domainOf(url), factor: THROTTLE_EASE_FACTOR });
+}
+
+/**
+ * Waits until a request to the URL's site is allowed, then books it.
+ * Called by fetchPage before every navigation, retries included.
+ * Throws (with error.kind) when the site is paused for long, closed, over its hourly cap, or robots.txt disallows the URL.
+ * The first three are marked error.deferred: the item isn't at fault and goes back to pending instead of failing.
+ * @param {string} url - URL about to be requested
+ */
+export async function waitForDomainTurn(url) {
+    const domain = domainOf(url);
+    const profile = getDomainProfile(domain);
+
+    // Another page of the site is stuck on a CAPTCHA until someone solves it
+    await waitWhileDomainChallenged(domain);
+
+    const block = getDomainBlock(domain);
+    if (block) {
+        const error = new Error(`Not requesting ${domain}: ${block.reason}`);
+        error.kind = ERROR_KIND.RATE_LIMITED;
+        error.noRetry = true;
+        error.deferred = true;
+        throw error;
+    }
+
+    if (profile.respect_robots) {
+        const { origin, pathname, search } = new URL(url);
+        const robots = await getRobots(domain, origin);
+        if (!isPathAllowed(robots.rules, pathname + search)) {
+            const error = new Error(`Disallowed by robots.txt: ${url}`);
+            error.kind = ERROR_KIND.DISALLOWED;
+            error.noRetry = true;
+            throw error;
+        }
+    }
+
+    // Space this request after the last one to the site (from any process), any slot already
+    // handed out here, and a short pause the site asked for
+    const last = domainsDb.getLastRequestAt.get(domain).last || 0;
+    const pausedUntil = domainsDb.getThrottle.get(domain)?.blocked_until || 0;
+    const startAt = Math.max(Date.now(), last + getDomainSpacing(domain), reservedUntil.get(domain) || 0, pausedUntil);
+    reservedUntil.set(domain, startAt + profile.min_delay_ms);
+
+    const wait = startAt - Date.now();
+    if (wait > 0) {
+        emitEvent(EVENT.WAITING, { domain, ms: Math.round(wait), reason: pausedUntil > Date.now() ? 'throttled' : 'spacing' });
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    domainsDb.insertRequest.run(domain, Date.now());
+}
+
+/**
+ * Forgets requests older than the hourly window and throttles sites have recovered from
+ */
+export function pruneRequestLog() {
+    domainsDb.pruneRequests.run(Date.now() - HOUR_MS);
+    domainsDb.clearRecoveredThrottles.run(Date.now());
+}
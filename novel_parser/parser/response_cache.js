@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { responseCacheDb } from '../db/db_init.js';
+
+const envLimit = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Raw HTML of every fetched page, so a novel can be re-parsed (better rules, fixed extractor)
+// without downloading it again. The index lives in response_cache; bodies are gzip files
+// named by their sha256, so pages with identical content are stored once.
+export const CACHE_DIR = path.resolve(process.cwd(), process.env.PARSER_CACHE_DIR || path.join('cache', 'pages'));
+
+// Entries older than this are dropped by pruneResponseCache (0 = keep until the size limit)
+export const CACHE_TTL_MS = envLimit('PARSER_CACHE_TTL_HOURS', 0) * 60 * 60 * 1000;
+// Stored bodies beyond this size drop the oldest entries; 0 turns the cache off
+export const CACHE_MAX_BYTES = envLimit('PARSER_CACHE_MAX_MB', 1024) * 1024 * 1024;
+
+// Response headers worth keeping next to the body
+const KEPT_HEADERS = ['content-type', 'content-language', 'last-modified', 'etag'];
+
+const PRUNE_BATCH = 200;
+// Unfinished writes older than this were left by a process that died
+const STALE_TEMP_MS = 60 * 60 * 1000;
+// A body written or reused this recently may be waiting for its entry (another process between
+// writing the file and inserting the row), so it isn't removed as unreferenced yet
+const FRESH_BLOB_MS = 10 * 60 * 1000;
+
+export function isResponseCacheEnabled() {
+    return CACHE_MAX_BYTES > 0;
+}
+
+function blobPath(hash) {
+    return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}.html.gz`);
+}
+
+function isFresh(filePath) {
+    try {
+        return Date.now() - fs.statSync(filePath).mtimeMs < FRESH_BLOB_MS;
+    } catch {
+        return false;
+    }
+}
+
+function removeBlob(hash) {
+    const file = blobPath(hash);
+    if (isFresh(file)) return;
+
+    try {
+        fs.rmSync(file, { force: true });
+    } catch (error) {
+        console.error(`Failed to remove cached page ${hash}:`, error.message);
+    }
+}
+
+/**
+ * Picks the kept headers from a fetch Headers object or a plain object (Puppeteer)
+ * @param {Headers|Object} headers
+ * @returns {Object}
+ */
+function pickHeaders(headers) {
+    const kept = {};
+    if (!headers) return kept;
+
+    for (const name of KEPT_HEADERS) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value) kept[name] = value;
+    }
+    return kept;
+}
+
+/**
+ * Stores a fetched page, replacing the previous response for the URL.
+ * Failures are logged only - the cache never fails a fetch.
+ * @param {string} url - Requested URL
+ * @param {Object} response
+ * @param {string} response.html - Page HTML
+ * @param {number} [response.status] - HTTP status
+ * @param {Headers|Object} [response.headers] - Response headers
+ * @param {string} [response.finalUrl] - URL after redirects
+ */
+export function storeResponse(url, { html, status = 200, headers = null, finalUrl = null }) {
+    if (!isResponseCacheEnabled() || !html) return;
+
+    try {
+        const hash = createHash('sha256').update(html).digest('hex');
+        const file = blobPath(hash);
+
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            // Written aside first, so a crash never leaves a truncated body under the real name
+            const temp = `${file}.${process.pid}.tmp`;
+            fs.writeFileSync(temp, zlib.gzipSync(html));
+            fs.renameSync(temp, file);
+        } else {
+            // Reused - marked fresh so pruning leaves it alone until the entry below exists
+            const now = new Date();
+            fs.utimesSync(file, now, now);
+        }
+
+        const previous = responseCacheDb.getResponse.get(url);
+
+        responseCacheDb.upsertResponse.run({
+            url,
+            final_url: finalUrl && finalUrl !== url ? finalUrl : null,
+            status,
+            headers: JSON.stringify(pickHeaders(headers)),
+            content_hash: hash,
+            size: Buffer.byteLength(html),
+            fetched_at: Date.now()
+        });
+
+        if (previous && previous.content_hash !== hash && responseCacheDb.countByHash.get(previous.content_hash).count === 0) {
+            removeBlob(previous.content_hash);
+        }
+    } catch (error) {
+        console.error(`Failed to cache ${url}:`, error.message);
+    }
+}
+
+/**
+ * Last stored response for a URL
+ * @param {string} url - Requested URL
+ * @returns {Object|null} { html, url, finalUrl, status, headers, fetchedAt }, or null if not cached
+ *   (or the body file is gone)
+ */
+export function getCachedResponse(url) {
+    const entry = responseCacheDb.getResponse.get(url);
+    if (!entry) return null;
+
+    let html;
+    try {
+        html = zlib.gunzipSync(fs.readFileSync(blobPath(entry.content_hash))).toString('utf8');
+    } catch (error) {
+        console.warn(`Cached page for ${url} is unreadable (${error.code || error.message}), dropping it`);
+        responseCacheDb.deleteResponse.run(url);
+        return null;
+    }
+
+    let headers = {};
+    try {
+        headers = JSON.parse(entry.headers || '{}');
+    } catch {
+        // Kept headers are informational only
+    }
+
+    return {
+        html,
+        url: entry.url,
+        finalUrl: entry.final_url || entry.url,
+        status: entry.status,
+        headers,
+        fetchedAt: entry.fetched_at
+    };
+}
+
+/**
+ * Keeps the cache within CACHE_TTL_MS and CACHE_MAX_BYTES: drops expired entries, then the
+ * oldest ones until the stored bodies fit, then body files no entry refers to anymore (unless just written).
+ * @returns {{removedEntries: number, removedFiles: number, storedBytes: number}}
+ */
+export function pruneResponseCache() {
+    let removedEntries = 0;
+
+    if (CACHE_TTL_MS > 0) {
+        removedEntries += responseCacheDb.deleteResponsesOlderThan.run(Date.now() - CACHE_TTL_MS).changes;
+    }
+
+    // With the cache turned off, everything goes
+    let storedBytes = responseCacheDb.getStoredSize.get().total;
+    while (storedBytes > CACHE_MAX_BYTES) {
+        const oldest = responseCacheDb.getOldestResponses.all(PRUNE_BATCH);
+        if (oldest.length === 0) break;
+
+        for (const entry of oldest) {
+            responseCacheDb.deleteResponse.run(entry.url);
+            removedEntries++;
+        }
+        storedBytes = responseCacheDb.getStoredSize.get().total;
+    }
+
+    let removedFiles = 0;
+    if (fs.existsSync(CACHE_DIR)) {
+        const referenced = new Set(responseCacheDb.getAllHashes.all().map(row => row.content_hash));
+
+        for (const dir of fs.readdirSync(CACHE_DIR)) {
+            const dirPath = path.join(CACHE_DIR, dir);
+            if (!fs.statSync(dirPath).isDirectory()) continue;
+
+            for (const file of fs.readdirSync(dirPath)) {
+                const filePath = path.join(dirPath, file);
+                if (file.endsWith('.tmp') && Date.now() - fs.statSync(filePath).mtimeMs < STALE_TEMP_MS) continue;
+
+                if (!referenced.has(file.replace(/\.html\.gz$/, '')) && !isFresh(filePath)) {
+                    fs.rmSync(filePath, { force: true });
+                    removedFiles++;
+                }
+            }
+        }
+    }
+
+    if (removedEntries > 0 || removedFiles > 0) {
+        console.log(`Response cache: dropped ${removedEntries} entries and ${removedFiles} files, ${(storedBytes / 1048576).toFixed(1)} MB kept`);
+    }
+
+    return { removedEntries, removedFiles, storedBytes };
+}
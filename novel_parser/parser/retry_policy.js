@@ -0,0 +1,59 @@
+import { STATUS } from './status.js';
+import { ERROR_KIND } from './error_kinds.js';
+import { toSqlTimestamp } from '../db/timestamps.js';
+
+// Defaults, overridable per novel (retry_* columns) or globally through the environment
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: parseInt(process.env.PARSER_RETRY_MAX_ATTEMPTS) || 5,
+    baseDelaySeconds: parseInt(process.env.PARSER_RETRY_BASE_DELAY_SECONDS) || 300, // 5 minutes
+    maxDelaySeconds: parseInt(process.env.PARSER_RETRY_MAX_DELAY_SECONDS) || 24 * 60 * 60,
+    factor: 2
+};
+
+// Failures that will not fix themselves by waiting
+export const PERMANENT_ERROR_KINDS = new Set([
+    ERROR_KIND.NOT_FOUND,
+    ERROR_KIND.DISALLOWED
+]);
+
+/**
+ * Resolves the retry policy for a novel
+ * @param {Object|null} novel - Novel row
+ * @returns {Object} Policy with maxAttempts, baseDelaySeconds, maxDelaySeconds, factor
+ */
+export function getRetryPolicy(novel) {
+    return {
+        ...DEFAULT_RETRY_POLICY,
+        maxAttempts: novel?.retry_max_attempts ?? DEFAULT_RETRY_POLICY.maxAttempts,
+        baseDelaySeconds: novel?.retry_base_delay_seconds ?? DEFAULT_RETRY_POLICY.baseDelaySeconds
+    };
+}
+
+/**
+ * Decides what happens after a failed attempt
+ * @param {Object} params
+ * @param {number} params.failures - Consecutive failures including this one
+ * @param {string} params.errorKind - One of ERROR_KIND
+ * @param {Object} params.policy - From getRetryPolicy
+ * @param {number} [params.now] - Epoch ms, for testing
+ * @returns {{status: number, nextAttemptAt: string|null, reason: string}}
+ */
+export function planRetry({ failures, errorKind, policy, now = Date.now() }) {
+    if (PERMANENT_ERROR_KINDS.has(errorKind)) {
+        return { status: STATUS.DEAD, nextAttemptAt: null, reason: `permanent failure (${errorKind})` };
+    }
+
+    if (failures >= policy.maxAttempts) {
+        return { status: STATUS.DEAD, nextAttemptAt: null, reason: `gave up after ${failures} attempts` };
+    }
+
+    // Exponential backoff with ±10% jitter so a batch of failures doesn't come back at once
+    const exponential = policy.baseDelaySeconds * Math.pow(policy.factor, failures - 1);
+    const delaySeconds = Math.min(exponential, policy.maxDelaySeconds) * (0.9 + Math.random() * 0.2);
+
+    return {
+        status: STATUS.ERROR,
+        nextAttemptAt: toSqlTimestamp(now + delaySeconds * 1000),
+        reason: `retry in ${Math.round(delaySeconds)}s`
+    };
+}
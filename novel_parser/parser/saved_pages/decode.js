@@ -0,0 +1,104 @@
+import zlib from 'zlib';
+
+/**
+ * Charset named in a Content-Type value
+ * @param {string} contentType - e.g. 'text/html; charset=windows-1252'
+ * @returns {string|null}
+ */
+export function charsetOf(contentType) {
+    const match = /charset\s*=\s*["']?([\w:.-]+)/i.exec(contentType || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Decodes an HTML document: the charset from its Content-Type, else from its
+ * <meta> tags, else UTF-8. Unknown charsets are read as UTF-8.
+ * @param {Buffer} body - Raw bytes
+ * @param {string} [contentType] - Content-Type header, if there was one
+ * @returns {string}
+ */
+export function decodeHtml(body, contentType = '') {
+    const head = body.subarray(0, 4096).toString('latin1');
+    const charset = charsetOf(contentType)
+        || /<meta[^>]+charset\s*=\s*["']?([\w:.-]+)/i.exec(head)?.[1]?.toLowerCase()
+        || 'utf-8';
+
+    try {
+        return new TextDecoder(charset).decode(body);
+    } catch {
+        return new TextDecoder('utf-8').decode(body);
+    }
+}
+
+/**
+ * Undoes an HTTP Content-Encoding. Archives usually keep the body as it came over the wire.
+ * @param {Buffer} body - Raw bytes
+ * @param {string} [encoding] - Content-Encoding header
+ * @returns {Buffer} The decoded body, or the body itself when it isn't (or can't be) decoded
+ */
+export function decodeContentEncoding(body, encoding = '') {
+    try {
+        switch (encoding.trim().toLowerCase()) {
+            case 'gzip':
+            case 'x-gzip':
+                return zlib.gunzipSync(body);
+            case 'deflate':
+                return zlib.inflateSync(body);
+            case 'br':
+                return zlib.brotliDecompressSync(body);
+            default:
+                return body;
+        }
+    } catch {
+        // Some archivers store the decoded body but keep the original header
+        return body;
+    }
+}
+
+/**
+ * Joins the chunks of a body sent with Transfer-Encoding: chunked
+ * @param {Buffer} body - Chunked body
+ * @returns {Buffer}
+ */
+export function dechunk(body) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < body.length) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        if (lineEnd === -1) break;
+
+        const size = parseInt(body.subarray(offset, lineEnd).toString('latin1'), 16);
+        if (!size) break; // 0 = last chunk; NaN = not chunked after all
+
+        chunks.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+
+    return chunks.length > 0 ? Buffer.concat(chunks) : body;
+}
+
+/**
+ * Parses header lines ("Name: value", folded lines joined) into an object with lower-case names
+ * @param {string} text - Header block
+ * @returns {Object}
+ */
+export function parseHeaders(text) {
+    const headers = {};
+    let last = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        if (/^[ \t]/.test(line) && last) {
+            headers[last] += ` ${line.trim()}`;
+            continue;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon <= 0) continue;
+
+        last = line.slice(0, colon).trim().toLowerCase();
+        headers[last] = line.slice(colon + 1).trim();
+    }
+
+    return headers;
+}
@@ -0,0 +1,24 @@
+import { decodeHtml } from './decode.js';
+
+/**
+ * Reads one saved HTML file ("Save page as... webpage" or a mirrored site). Its address is the
+ * "saved from url" comment browsers add, if there is one, else the file's own URL; the file URL
+ * and the page's canonical link are kept as aliases, so links of either kind find it.
+ * Stylesheets, fonts and images of the page are looked up next to the file.
+ * @param {Buffer} data - File contents
+ * @param {string} fileUrl - URL of the file inside the import (file:)
+ * @param {Object} savedPages - Collection from createSavedPages
+ */
+export function readHtmlFile(data, fileUrl, savedPages) {
+    const html = decodeHtml(data);
+    const head = html.slice(0, 8192);
+
+    const savedFrom = /<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i.exec(head)?.[1];
+    const canonicalTag = /<link\b[^>]*\brel=["']?canonical\b[^>]*>/i.exec(head)?.[0];
+    const canonical = canonicalTag && /\bhref=["']?([^"'\s>]+)/i.exec(canonicalTag)?.[1];
+
+    savedPages.addPage(savedFrom || fileUrl, html, {
+        aliases: [fileUrl, canonical].filter(Boolean),
+        resourceBase: fileUrl
+    });
+}
@@ -0,0 +1,195 @@
+import path from 'path';
+import { readMhtml } from './mhtml.js';
+import { readWarc } from './warc.js';
+import { readHtmlFile } from './html_files.js';
+
+// Pages saved outside the parser - browser "Save page as", web archive crawls, mirrored sites -
+// read into one collection that fetchPage can serve instead of the network (see importSavedPages)
+
+export const SAVED_PAGE_FORMATS = {
+    mhtml: ['.mhtml', '.mht'],
+    warc: ['.warc', '.warc.gz'],
+    html: ['.html', '.htm', '.xhtml']
+};
+
+const MAX_REDIRECTS = 5;
+
+function formatOf(name) {
+    const lower = name.toLowerCase();
+    return Object.keys(SAVED_PAGE_FORMATS).find(format => SAVED_PAGE_FORMATS[format].some(ext => lower.endsWith(ext))) || null;
+}
+
+function withoutHash(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Empty collection of saved pages and the files they use (stylesheets, fonts, images)
+ * @returns {Object} { addPage, addResource, addRedirect, get, getResource, pageUrls, skipped }
+ */
+export function createSavedPages() {
+    const pages = new Map(); // url -> { html, resourceBase }
+    const aliases = new Map(); // other url of a page -> its url
+    const redirects = new Map(); // url -> url it redirected to
+    const resources = new Map(); // url -> { body, type }
+    const resourcesByName = new Map(); // file name -> url, for pages whose relative links point elsewhere
+
+    const resolve = (url) => {
+        let current = withoutHash(url);
+        for (let i = 0; i < MAX_REDIRECTS && redirects.has(current); i++) {
+            current = redirects.get(current);
+        }
+        if (pages.has(current)) return current;
+        return aliases.get(current) || null;
+    };
+
+    return {
+        // Files that could not be read, as { name, error }
+        skipped: [],
+
+        /**
+         * @param {string} url - Address of the page
+         * @param {string} html - Page HTML
+         * @param {Object} [options]
+         * @param {string[]} [options.aliases] - Other addresses of the same page (may be relative to url)
+         * @param {string} [options.resourceBase] - Where the page's relative stylesheets and fonts are, if not at url
+         */
+        addPage(url, html, { aliases: otherUrls = [], resourceBase = null } = {}) {
+            const key = withoutHash(url);
+            if (pages.has(key)) return; // The first copy of a page wins
+
+            pages.set(key, { html, resourceBase });
+            for (const alias of otherUrls) {
+                try {
+                    const aliasKey = withoutHash(new URL(alias, key).href);
+                    if (!pages.has(aliasKey) && !aliases.has(aliasKey)) aliases.set(aliasKey, key);
+                } catch {
+                    // Not a usable URL
+                }
+            }
+        },
+
+        addResource(url, body, type) {
+            const key = withoutHash(url);
+            resources.set(key, { body, type });
+
+            const name = path.posix.basename(key.split('?')[0]);
+            if (name && !resourcesByName.has(name)) resourcesByName.set(name, key);
+        },
+
+        addRedirect(from, to) {
+            redirects.set(withoutHash(from), withoutHash(to));
+        },
+
+        /**
+         * Saved page at an address (after redirects and aliases)
+         * @param {string} url
+         * @returns {{html: string, finalUrl: string, resourceBase: string|null}|null}
+         */
+        get(url) {
+            const key = resolve(url);
+            if (!key) return null;
+
+            const page = pages.get(key);
+            return { html: page.html, finalUrl: key, resourceBase: page.resourceBase };
+        },
+
+        /**
+         * Saved file at an address, else the first one with the same file name
+         * @param {string} url
+         * @returns {{body: Buffer, type: string}|null}
+         */
+        getResource(url) {
+            const key = withoutHash(url);
+            if (resources.has(key)) return resources.get(key);
+
+            const byName = resourcesByName.get(path.posix.basename(key.split('?')[0]));
+            return byName ? resources.get(byName) : null;
+        },
+
+        pageUrls() {
+            return [...pages.keys()];
+        }
+    };
+}
+
+/**
+ * Reads saved files into one collection. MHTML and WARC files carry the addresses of their pages;
+ * HTML files without a "saved from" address are placed under `root`, by their name, so their
+ * relative links to each other keep working.
+ * Files that can't be read are listed in `skipped`; other files count as resources of the HTML pages.
+ * @param {Array<{name: string, data: Buffer}>} files - Files with their path inside the import ('a/b.html')
+ * @param {Object} options
+ * @param {string} options.root - file: URL the relative names are placed under, ending in '/'
+ * @returns {Object} Collection from createSavedPages
+ */
+export function readSavedPages(files, { root }) {
+    const savedPages = createSavedPages();
+
+    for (const { name, data } of files) {
+        const fileUrl = new URL(name.split(/[\\/]/).map(encodeURIComponent).join('/'), root).href;
+
+        try {
+            switch (formatOf(name)) {
+                case 'mhtml':
+                    readMhtml(data, savedPages);
+                    break;
+                case 'warc':
+                    readWarc(data, savedPages);
+                    break;
+                case 'html':
+                    readHtmlFile(data, fileUrl, savedPages);
+                    break;
+                default:
+                    savedPages.addResource(fileUrl, data, 'application/octet-stream');
+            }
+        } catch (error) {
+            console.warn(`Skipping saved file ${name}: ${error.message}`);
+            savedPages.skipped.push({ name, error: error.message });
+        }
+    }
+
+    return savedPages;
+}
+
+/**
+ * Guesses which saved page is the novel's main page: the one linking to the most other saved pages
+ * (its table of contents). A single saved page is taken as the novel page.
+ * @param {Object} savedPages - Collection from readSavedPages
+ * @returns {string|null} Its URL, or null if no page links to another
+ */
+export function findNovelPage(savedPages) {
+    const urls = savedPages.pageUrls();
+    if (urls.length === 1) return urls[0];
+
+    let best = null;
+    let bestCount = 0;
+
+    for (const url of urls) {
+        const { html } = savedPages.get(url);
+        const linked = new Set();
+
+        for (const [, href] of html.matchAll(/<a\b[^>]*\bhref\s*=\s*["']?([^"'\s>]+)/gi)) {
+            let target;
+            try {
+                target = savedPages.get(new URL(href.replace(/&amp;/g, '&'), url).href)?.finalUrl;
+            } catch {
+                continue;
+            }
+            if (target && target !== url) linked.add(target);
+        }
+
+        if (linked.size > bestCount) {
+            best = url;
+            bestCount = linked.size;
+        }
+    }
+
+    return best;
+}
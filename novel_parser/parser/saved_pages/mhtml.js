@@ -0,0 +1,76 @@
+import { decodeHtml, parseHeaders } from './decode.js';
+
+/**
+ * Decodes a quoted-printable body into bytes
+ * @param {string} text - Body as a latin1 string
+ * @returns {Buffer}
+ */
+function decodeQuotedPrintable(text) {
+    const joined = text.replace(/=\r?\n/g, '');
+    return Buffer.from(joined.replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+}
+
+function decodePartBody(body, encoding = '') {
+    switch (encoding.toLowerCase()) {
+        case 'base64':
+            return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+        case 'quoted-printable':
+            return decodeQuotedPrintable(body);
+        default:
+            return Buffer.from(body, 'latin1');
+    }
+}
+
+/**
+ * Reads an MHTML file ("Save page as... single file" in Chrome and Edge): the saved page becomes a page,
+ * its stylesheets, fonts and images become resources.
+ * @param {Buffer} data - File contents
+ * @param {Object} savedPages - Collection from createSavedPages
+ * @throws When the file is not MHTML
+ */
+export function readMhtml(data, savedPages) {
+    // latin1 keeps every byte as one character, so binary parts survive the string handling
+    const text = data.toString('latin1');
+    const headerEnd = text.search(/\r?\n\r?\n/);
+    const headers = parseHeaders(headerEnd === -1 ? '' : text.slice(0, headerEnd));
+
+    const boundary = /boundary\s*=\s*"?([^";\r\n]+)"?/i.exec(headers['content-type'] || '')?.[1];
+    if (!boundary) {
+        throw new Error('Not an MHTML file: no multipart boundary');
+    }
+
+    const snapshotUrl = headers['snapshot-content-location'] || null;
+    let mainPage = null;
+
+    for (const rawPart of text.slice(headerEnd).split(`--${boundary}`).slice(1)) {
+        if (rawPart.startsWith('--')) break; // Closing boundary
+
+        const part = rawPart.replace(/^\r?\n/, '');
+        const separator = /\r?\n\r?\n/.exec(part);
+        if (!separator) continue;
+
+        const partHeaders = parseHeaders(part.slice(0, separator.index));
+        const body = decodePartBody(
+            part.slice(separator.index + separator[0].length).replace(/\r?\n$/, ''),
+            partHeaders['content-transfer-encoding']
+        );
+
+        const type = (partHeaders['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+        const contentId = partHeaders['content-id']?.replace(/^<|>$/g, '');
+        const location = partHeaders['content-location'] || (contentId ? `cid:${contentId}` : null);
+        if (!location) continue;
+
+        // The snapshot is the saved page itself; other HTML parts are its frames
+        const isMainPage = type === 'text/html' && !mainPage && (!snapshotUrl || location === snapshotUrl);
+        if (isMainPage) {
+            mainPage = location;
+            savedPages.addPage(location, decodeHtml(body, partHeaders['content-type']));
+        } else {
+            savedPages.addResource(location, body, type);
+        }
+    }
+
+    if (!mainPage) {
+        throw new Error('Not an MHTML page: no HTML part found');
+    }
+}
@@ -0,0 +1,83 @@
+import zlib from 'zlib';
+import { decodeHtml, decodeContentEncoding, dechunk, parseHeaders } from './decode.js';
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+/**
+ * Splits an HTTP message (status line, headers, body) as stored in a WARC response record
+ * @param {Buffer} block - Record content
+ * @returns {{status: number, headers: Object, body: Buffer}|null}
+ */
+function parseHttpResponse(block) {
+    const end = block.indexOf(HEADER_END);
+    if (end === -1) return null;
+
+    const [statusLine, ...headerLines] = block.subarray(0, end).toString('latin1').split('\r\n');
+    const status = parseInt(statusLine.split(' ')[1]);
+    const headers = parseHeaders(headerLines.join('\r\n'));
+
+    let body = block.subarray(end + HEADER_END.length);
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) body = dechunk(body);
+    body = decodeContentEncoding(body, headers['content-encoding']);
+
+    return { status, headers, body };
+}
+
+function addBody(savedPages, url, body, contentType) {
+    const type = (contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+
+    if (type === 'text/html' || type === 'application/xhtml+xml') {
+        savedPages.addPage(url, decodeHtml(body, contentType));
+    } else {
+        savedPages.addResource(url, body, type);
+    }
+}
+
+/**
+ * Reads a WARC file (web archive crawls, wget --warc-file, browser archivers), plain or gzipped.
+ * HTML responses become pages, redirects are followed, everything else becomes a resource.
+ * @param {Buffer} data - File contents
+ * @param {Object} savedPages - Collection from createSavedPages
+ * @throws When the file is not a WARC file
+ */
+export function readWarc(data, savedPages) {
+    // .warc.gz files are one gzip member per record, which gunzip reads as a whole
+    const archive = data[0] === 0x1f && data[1] === 0x8b ? zlib.gunzipSync(data) : data;
+
+    let offset = archive.indexOf('WARC/');
+    if (offset === -1) {
+        throw new Error('Not a WARC file: no WARC record found');
+    }
+
+    let records = 0;
+    while (offset !== -1 && offset < archive.length) {
+        const headerEnd = archive.indexOf(HEADER_END, offset);
+        if (headerEnd === -1) break;
+
+        const headers = parseHeaders(archive.subarray(offset, headerEnd).toString('utf8'));
+        const start = headerEnd + HEADER_END.length;
+        const length = parseInt(headers['content-length']) || 0;
+        const block = archive.subarray(start, start + length);
+        const url = headers['warc-target-uri']?.replace(/^<|>$/g, '');
+        records++;
+
+        if (url && headers['warc-type'] === 'response' && /^application\/http/i.test(headers['content-type'] || '')) {
+            const response = parseHttpResponse(block);
+
+            if (response?.status >= 300 && response.status < 400 && response.headers.location) {
+                savedPages.addRedirect(url, new URL(response.headers.location, url).href);
+            } else if (response?.status >= 200 && response.status < 300) {
+                addBody(savedPages, url, response.body, response.headers['content-type']);
+            }
+        } else if (url && headers['warc-type'] === 'resource') {
+            addBody(savedPages, url, block, headers['content-type']);
+        }
+
+        // Records are separated by an empty line; the next one starts with its version line
+        offset = archive.indexOf('WARC/', start + length);
+    }
+
+    if (records === 0) {
+        throw new Error('Not a WARC file: no WARC record found');
+    }
+}
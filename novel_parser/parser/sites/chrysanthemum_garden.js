@@ -0,0 +1,15 @@
+import { cleaningMethod } from '../../src/app/components/cleaningMethod.js';
+
+/**
+ * Chrysanthemum Garden - chapters use obfuscated fonts (decoded by the CG cleaner), which only
+ * the browser picks up from the site's stylesheets, and chapter titles end with the site's name.
+ */
+const chrysanthemumGarden = {
+    name: 'chrysanthemum-garden',
+    hostnames: ['chrysanthemumgarden.com'],
+    cleaningMethod: cleaningMethod.CG,
+    fetchMode: 'browser',
+    cleanTitle: (title) => title.replace(/\s*-\s*Chrysanthemum Garden/gi, '')
+};
+
+export default chrysanthemumGarden;
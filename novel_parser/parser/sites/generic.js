@@ -0,0 +1,300 @@
+import { cleaningMethod } from '../../src/app/components/cleaningMethod.js';
+
+// The extraction every site gets unless its adapter overrides a step (see sites/index.js).
+// Selectors are tried in order and the first plausible match wins.
+
+/**
+ * Extracts the cover image URL from the page
+ */
+async function extractCoverUrl(page, parsed) {
+    try {
+        // 1. Try Meta Tags (Best Source)
+        const metaImage = await page.$eval('meta[property="og:image"]', el => el.content).catch(() => null);
+        if (metaImage) return metaImage;
+
+        const twitterImage = await page.$eval('meta[name="twitter:image"]', el => el.content).catch(() => null);
+        if (twitterImage) return twitterImage;
+
+        // 2. Try Readability
+        if (parsed?.lead_image_url) {
+            return parsed.lead_image_url;
+        }
+
+        // 3. Try Common Selectors
+        const selectors = [
+            '.book-img img',
+            '.cover img',
+            '.detail-info-cover img',
+            '.novel-cover img',
+            '[class*="cover"] img',
+            '.img-box img'
+        ];
+
+        for (const selector of selectors) {
+            try {
+                const src = await page.$eval(selector, el => el.src || el.dataset.src);
+                // file: images belong to pages imported from a saved folder
+                if (src && /^(https?|file):/.test(src)) {
+                    return src;
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+
+        return null;
+    } catch (error) {
+        console.error('Error extracting cover URL:', error);
+        return null;
+    }
+}
+
+/**
+ * Extracts the title from the page
+ */
+async function extractTitle(page, parsed) {
+    try {
+        // Try readability first
+        if (parsed?.title) {
+            return parsed.title;
+        }
+
+        // Try meta tags
+        const metaTitle = await page.$eval('meta[property="og:title"]', el => el.content)
+            .catch(() => null);
+        if (metaTitle) return metaTitle;
+
+        // Try common selectors
+        const selectors = ['h1', '.title', '[class*="title"]', '.novel-title'];
+        for (const selector of selectors) {
+            try {
+                const title = await page.$eval(selector, el => el.innerText.trim());
+                if (title && title.length > 0 && title.length < 200) {
+                    return title;
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+
+        // Fallback to page title
+        return await page.title();
+    } catch (error) {
+        console.error('Error extracting title:', error);
+        return '';
+    }
+}
+
+/**
+ * Extracts the author name from the page
+ */
+async function extractAuthor(page, parsed) {
+    try {
+        // Try readability byline
+        if (parsed?.byline) {
+            return parsed.byline;
+        }
+
+        // Try meta tags
+        const metaAuthor = await page.$eval('meta[name="author"]', el => el.content)
+            .catch(() => null);
+        if (metaAuthor) return metaAuthor;
+
+        // Try common selectors
+        const selectors = [
+            '.author',
+            '[class*="author"]',
+            '[itemprop="author"]',
+            '.by-line',
+            '.byline'
+        ];
+
+        for (const selector of selectors) {
+            try {
+                const author = await page.$eval(selector, el => el.innerText.trim());
+                if (author && author.length > 0 && author.length < 100) {
+                    return author.replace(/^by\s+/i, '');
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+
+        return '';
+    } catch (error) {
+        console.error('Error extracting author:', error);
+        return '';
+    }
+}
+
+/**
+ * Extracts the description from the page
+ */
+async function extractDescription(page, parsed) {
+    try {
+        // Try meta description
+        const metaDesc = await page.$eval('meta[property="og:description"]', el => el.content)
+            .catch(() => null);
+        if (metaDesc && metaDesc.length > 50) return metaDesc;
+
+        const metaDescAlt = await page.$eval('meta[name="description"]', el => el.content)
+            .catch(() => null);
+        if (metaDescAlt && metaDescAlt.length > 50) return metaDescAlt;
+
+        // Try readability excerpt
+        if (parsed?.excerpt && parsed.excerpt.length > 50) {
+            return parsed.excerpt;
+        }
+
+        // Try common selectors
+        const selectors = [
+            '.description',
+            '[class*="description"]',
+            '.summary',
+            '[class*="summary"]',
+            '.synopsis',
+            '[itemprop="description"]',
+            '.story__summary' // LoTV
+        ];
+
+        for (const selector of selectors) {
+            try {
+                const desc = await page.$eval(selector, el => el.innerText.trim());
+                if (desc && desc.length > 50 && desc.length < 5000) {
+                    return desc;
+                }
+            } catch (e) {
+                continue;
+            }
+        }
+
+        return '';
+    } catch (error) {
+        console.error('Error extracting description:', error);
+        return '';
+    }
+}
+
+/**
+ * Extracts table of contents / chapter links.
+ * Volume/arc headings found between links are attached to the chapters that follow them.
+ * @returns {Promise<Array<{url: string, title: string, order: number, volume: string|null}>>}
+ */
+async function extractTableOfContents(page, baseUrl) {
+    try {
+        // Look for chapter lists
+        const chapters = await page.evaluate(() => {
+            const links = [];
+
+            // Try to find chapter container; volume wrappers first so every volume's list is included
+            const containerSelectors = [
+                '.volume-list',
+                '[class*="volumes"]',
+                '.chapter-list',
+                '[class*="chapter"]',
+                '.table-of-contents',
+                '[id*="chapter"]',
+                'ul',
+                'ol'
+            ];
+
+            let container = null;
+            for (const selector of containerSelectors) {
+                const el = document.querySelector(selector);
+                if (el && el.querySelectorAll('a').length > 5) {
+                    container = el;
+                    break;
+                }
+            }
+
+            const VOLUME_TEXT = /^(volume|vol\.?|arc|book|part|season)\s*([0-9]+|[ivxlc]+)\b/i;
+            // Whole words only - 'search', 'archive' or 'hierarchy' are no volume markers
+            const VOLUME_CLASS = /(^|[\s_-])(volume|vol|arc)s?([\s_-]|$)/i;
+
+            // A heading is a short text-only element that looks like a volume title.
+            // Across the whole page, bare headings ('Latest Chapters', 'Chapter List') are page sections, not volumes.
+            const isVolumeHeading = (el) => {
+                if (el.querySelector('a')) return false;
+
+                const text = (el.textContent || '').trim();
+                if (!text || text.length > 150) return false;
+
+                const tag = el.tagName.toLowerCase();
+                const marker = `${el.className || ''} ${el.id || ''}`;
+
+                return (!!container && (/^h[1-6]$/.test(tag) || tag === 'summary')) ||
+                    VOLUME_CLASS.test(marker) ||
+                    VOLUME_TEXT.test(text);
+            };
+
+            // Walk the container in document order so headings and links keep their relative position
+            const root = container || document.body;
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+            let currentVolume = null;
+            let index = 0;
+            let node = walker.currentNode;
+
+            while ((node = walker.nextNode())) {
+                if (node.tagName === 'A') {
+                    // Without a container only chapter-looking links count, as before - and only they are numbered
+                    if (!container && !(node.getAttribute('href') || '').includes('chapter')) continue;
+                    index++;
+
+                    const href = node.href;
+                    const text = node.innerText.trim();
+
+                    if (href && text && !href.includes('#') && href !== window.location.href) {
+                        links.push({
+                            url: href,
+                            title: text,
+                            order: index,
+                            volume: currentVolume
+                        });
+                    }
+                } else if (isVolumeHeading(node)) {
+                    currentVolume = node.textContent.trim().replace(/\s+/g, ' ');
+                }
+            }
+
+            return links;
+        });
+
+        // Filter and validate chapter links
+        const validChapters = chapters.filter((ch, index) => {
+            // Remove duplicates
+            return chapters.findIndex(c => c.url === ch.url) === index;
+        });
+
+        // A single heading (usually the page's own title) is not a volume structure
+        const volumeTitles = new Set(validChapters.map(ch => ch.volume).filter(Boolean));
+        if (volumeTitles.size < 2) {
+            validChapters.forEach(ch => { ch.volume = null; });
+        }
+
+        console.log(`Found ${validChapters.length} chapters in ${volumeTitles.size >= 2 ? volumeTitles.size : 0} volumes`);
+        return validChapters;
+
+    } catch (error) {
+        console.error('Error extracting table of contents:', error);
+        return [];
+    }
+}
+
+/**
+ * Fallback adapter; its steps also run when a site adapter's step finds nothing
+ */
+export const genericAdapter = {
+    name: 'generic',
+    hostnames: [],
+    cleaningMethod: cleaningMethod.LotV,
+    extractTitle,
+    extractAuthor,
+    extractDescription,
+    extractCoverUrl,
+    extractTableOfContents,
+    extractContent: null, // Readability picks the chapter content
+    cleanTitle: (title) => title,
+    removeSelectors: [],
+    nextPageSelector: null,
+    fetchMode: null
+};
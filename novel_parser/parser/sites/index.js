@@ -0,0 +1,87 @@
+import { genericAdapter } from './generic.js';
+import { domainOf } from '../worker_pool.js';
+import { getSiteRules, rulesAdapter } from './rules.js';
+import chrysanthemumGarden from './chrysanthemum_garden.js';
+
+/**
+ * Site adapters, matched by hostname (subdomains included). To support a new site, add a
+ * module next to this one and list it here - or, without code, save extraction rules for it
+ * on the settings page (see rules.js); those are layered over the code adapter.
+ * An adapter has a `name`, its `hostnames`, and any of these overrides - everything it
+ * leaves out comes from generic.js:
+ * - extractTitle, extractAuthor, extractDescription, extractCoverUrl: (page, parsed) => string|null
+ * - extractTableOfContents: (page, baseUrl) => [{url, title, order, volume}]
+ * - extractContent: (page) => chapter HTML, or null to let Readability pick it
+ * - cleanTitle: (title) => title without the site's watermark
+ * - cleaningMethod: cleaner offered by default for the site's novels
+ * - removeSelectors: elements removed from the page before anything is extracted
+ * - nextPageSelector: link to the next part of a chapter split over several pages
+ * - fetchMode: how its pages are loaded when the site's profile doesn't say (see http_fetch.js)
+ */
+export const siteAdapters = [
+    chrysanthemumGarden,
+];
+
+/**
+ * Adapter for a page: the site's saved rules, over its code adapter, over the generic steps
+ * @param {string} url - Novel or chapter URL
+ * @returns {Object} Adapter
+ */
+export function getSiteAdapter(url) {
+    const hostname = domainOf(url);
+    const adapter = siteAdapters.find(candidate =>
+        candidate.hostnames.some(name => hostname === name || hostname.endsWith(`.${name}`)));
+
+    const base = adapter ? { ...genericAdapter, ...adapter } : genericAdapter;
+    const rules = getSiteRules(hostname);
+
+    return rules ? rulesAdapter(base, rules) : base;
+}
+
+const isEmpty = (result) => result == null || result === '' || (Array.isArray(result) && result.length === 0);
+
+/**
+ * Runs one extraction step of an adapter. When a layer's own step fails or finds nothing,
+ * the layer below it (rules -> code adapter -> generic) runs instead, so each layer only
+ * has to handle what it knows.
+ * @param {Object} adapter - From getSiteAdapter
+ * @param {string} step - e.g. 'extractTitle'
+ * @param {...*} args - Passed to the step
+ * @returns {Promise<*>} Step result, or null when no layer has the step
+ */
+export async function runAdapterStep(adapter, step, ...args) {
+    for (let layer = adapter; layer; layer = layer.fallback) {
+        const own = layer[step];
+        if (!own || own === genericAdapter[step]) continue;
+
+        try {
+            const result = await own(...args);
+            if (!isEmpty(result)) return result;
+        } catch (error) {
+            console.error(`${layer.name} adapter failed in ${step}:`, error.message);
+        }
+    }
+
+    return genericAdapter[step] ? genericAdapter[step](...args) : null;
+}
+
+/**
+ * Removes the adapter's removeSelectors from the loaded page, before anything is extracted
+ * @param {Page} page - Puppeteer page
+ * @param {Object} adapter - From getSiteAdapter
+ * @returns {Promise<number>} Elements removed
+ */
+export async function prepareSitePage(page, adapter) {
+    if (!adapter.removeSelectors?.length) return 0;
+
+    return page.evaluate((selectors) => {
+        let removed = 0;
+        for (const selector of selectors) {
+            document.querySelectorAll(selector).forEach(el => {
+                el.remove();
+                removed++;
+            });
+        }
+        return removed;
+    }, adapter.removeSelectors);
+}
@@ -0,0 +1,180 @@
+import { JSDOM } from 'jsdom';
+import { domainsDb } from '../../db/db_init.js';
+
+/**
+ * Declarative extraction rules, stored per site as JSON (edited on the settings page), e.g.
+ *   {
+ *     "title": "h1.novel-title", "author": ".author a", "cover": ".cover img",
+ *     "description": ".synopsis", "toc": ".chapter-list a", "content": "#chapter-text",
+ *     "remove": [".ads", ".comments"], "nextPage": "a.next-part"
+ *   }
+ * Every field is an optional CSS selector. Whatever a rule doesn't cover - or finds nothing
+ * for - comes from the site's code adapter and then the generic extraction.
+ */
+export const RULE_FIELDS = {
+    title: 'Novel title',
+    author: 'Author',
+    cover: 'Cover image (an img, or a meta tag with content)',
+    description: 'Description',
+    toc: 'Chapter links on the novel page',
+    content: 'Chapter text (all matches are joined)',
+    remove: 'Elements removed before anything is extracted (list)',
+    nextPage: 'Link to the next part of a chapter split over several pages'
+};
+
+const LIST_FIELDS = new Set(['remove']);
+const MAX_SELECTOR_LENGTH = 500;
+const RULES_CACHE_MS = 30 * 1000; // Edits from the settings page apply within this time
+
+const rulesCache = new Map(); // domain -> { rules, loadedAt }
+let selectorDocument = null;
+
+/**
+ * Throws when a selector is not valid CSS
+ * @param {string} selector
+ */
+function checkSelector(selector) {
+    selectorDocument ??= new JSDOM('').window.document;
+    try {
+        selectorDocument.querySelector(selector);
+    } catch {
+        throw new Error(`"${selector}" is not a valid CSS selector`);
+    }
+}
+
+/**
+ * Checks rules from the settings page and drops empty fields
+ * @param {Object|string} input - Rules object or its JSON
+ * @returns {Object} Normalised rules
+ * @throws {Error} Message explains what is wrong, for the user
+ */
+export function validateSiteRules(input) {
+    let rules = input;
+    if (typeof input === 'string') {
+        try {
+            rules = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Rules are not valid JSON: ${error.message}`);
+        }
+    }
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Rules must be a JSON object');
+    }
+
+    const normalised = {};
+
+    for (const [field, value] of Object.entries(rules)) {
+        if (!(field in RULE_FIELDS)) {
+            throw new Error(`Unknown field "${field}" - allowed: ${Object.keys(RULE_FIELDS).join(', ')}`);
+        }
+
+        const selectors = LIST_FIELDS.has(field) && Array.isArray(value) ? value : [value];
+        const cleaned = [];
+        for (const selector of selectors) {
+            if (selector === null || selector === '') continue;
+            if (typeof selector !== 'string' || selector.length > MAX_SELECTOR_LENGTH) {
+                throw new Error(`${field} must be a CSS selector${LIST_FIELDS.has(field) ? ' or a list of them' : ''}`);
+            }
+            checkSelector(selector.trim());
+            cleaned.push(selector.trim());
+        }
+
+        if (cleaned.length > 0) {
+            normalised[field] = LIST_FIELDS.has(field) ? cleaned : cleaned[0];
+        }
+    }
+
+    return normalised;
+}
+
+/**
+ * Saved rules of a site
+ * @param {string} domain - Hostname
+ * @returns {Object|null} null when the site has none (or they can't be read)
+ */
+export function getSiteRules(domain) {
+    const cached = rulesCache.get(domain);
+    if (cached && Date.now() - cached.loadedAt < RULES_CACHE_MS) {
+        return cached.rules;
+    }
+
+    let rules = null;
+    const row = domainsDb.getSiteRules.get(domain);
+    if (row) {
+        try {
+            rules = validateSiteRules(row.rules);
+        } catch (error) {
+            console.error(`Ignoring extraction rules of ${domain}:`, error.message);
+        }
+    }
+
+    rulesCache.set(domain, { rules, loadedAt: Date.now() });
+    return rules;
+}
+
+/**
+ * Drops cached rules so the next lookup reads the DB again
+ * @param {string} domain - Hostname
+ */
+export function invalidateSiteRules(domain) {
+    rulesCache.delete(domain);
+}
+
+// Text of the first match; meta tags give their content attribute
+const readText = (page, selector) => page.$eval(selector, el => (el.getAttribute('content') || el.innerText || '').trim())
+    .catch(() => null);
+
+/**
+ * Adapter layer that applies a site's rules on top of `base` (its code adapter or the generic one)
+ * @param {Object} base - Adapter the rules fall back to
+ * @param {Object} rules - From getSiteRules
+ * @returns {Object} Adapter
+ */
+export function rulesAdapter(base, rules) {
+    const adapter = {
+        name: `${base.name}+rules`,
+        hostnames: base.hostnames,
+        cleaningMethod: base.cleaningMethod,
+        cleanTitle: base.cleanTitle,
+        fetchMode: base.fetchMode,
+        removeSelectors: [...(base.removeSelectors || []), ...(rules.remove || [])],
+        nextPageSelector: rules.nextPage || base.nextPageSelector || null,
+        fallback: base
+    };
+
+    if (rules.title) adapter.extractTitle = (page) => readText(page, rules.title);
+    if (rules.author) adapter.extractAuthor = (page) => readText(page, rules.author);
+    if (rules.description) adapter.extractDescription = (page) => readText(page, rules.description);
+
+    if (rules.cover) {
+        adapter.extractCoverUrl = async (page) => {
+            const src = await page.$eval(rules.cover, el => el.getAttribute('content') ||
+                el.getAttribute('src') || el.dataset?.src || el.querySelector('img')?.getAttribute('src') || null)
+                .catch(() => null);
+            return src ? new URL(src, page.url()).href : null;
+        };
+    }
+
+    if (rules.toc) {
+        adapter.extractTableOfContents = async (page) => {
+            const links = await page.$$eval(rules.toc, elements => elements.map((el, index) => ({
+                url: el.href,
+                title: (el.innerText || '').trim(),
+                order: index + 1,
+                volume: null
+            })));
+            return links.filter((link, index) => link.url && link.title &&
+                links.findIndex(other => other.url === link.url) === index);
+        };
+    }
+
+    if (rules.content) {
+        adapter.extractContent = async (page) => {
+            const parts = await page.$$eval(rules.content, elements => elements.map(el => el.innerHTML));
+            return parts.join('\n') || null;
+        };
+    }
+
+    return adapter;
+}
@@ -0,0 +1,10 @@
+// Status codes shared by novels and chapters
+export const STATUS = {
+    PENDING: 0,
+    SUCCESS: 1,
+    ERROR: -1,
+    PROCESSING: 2,
+    DEAD: -2 // Gave up: permanent failure or out of retry attempts
+};
+
+export default STATUS;
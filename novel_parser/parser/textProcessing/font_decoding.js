@@ -113,8 +113,15 @@ export async function storeCustomFonts(page) {
                 const absoluteFontUrl = new URL(fontInfo.fontUrl, page.url()).href;
                 console.log(`Downloading font: ${fontInfo.fontFamily} from ${absoluteFontUrl}`);
 
-                const fontResponse = await fetch(absoluteFontUrl);
-                const fontBuffer = await fontResponse.arrayBuffer();
+                // Pages read from saved files (see parser/saved_pages) carry their fonts along
+                let fontBuffer;
+                if (page.getResource) {
+                    fontBuffer = page.getResource(absoluteFontUrl)?.body;
+                    if (!fontBuffer) throw new Error('font file is not in the saved pages');
+                } else {
+                    const fontResponse = await fetch(absoluteFontUrl);
+                    fontBuffer = await fontResponse.arrayBuffer();
+                }
 
                 // Generate a safe filename
                 const safeFontName = fontInfo.fontFamily
@@ -0,0 +1,48 @@
+// Generic families that never map to a downloaded font file
+const GENERIC_FAMILIES = new Set(['serif', 'sans-serif', 'inherit']);
+
+/**
+ * Detects custom fonts used in chapter content
+ * Returns array of unique font families found
+ * @param {Array<{content: string|null}>} chapters - Anything with HTML in .content
+ * @returns {string[]} Font family names
+ */
+export function detectCustomFonts(chapters) {
+    const fontFamilies = new Set();
+
+    // Updated regex to also capture from data-font-family attributes
+    const fontFamilyStyleRegex = /font-family:\s*['"]?([^;'"]+)['"]?/gi;
+    const fontFamilyDataRegex = /data-font-family=["']([^"']+)["']/gi;
+
+    chapters.forEach(chapter => {
+        if (!chapter.content) return;
+
+        // Check inline styles
+        let match;
+        while ((match = fontFamilyStyleRegex.exec(chapter.content)) !== null) {
+            const fontFamily = match[1].trim().replace(/['"]/g, '');
+            if (fontFamily && !GENERIC_FAMILIES.has(fontFamily)) {
+                fontFamilies.add(fontFamily);
+            }
+        }
+
+        // Check data-font-family attributes
+        while ((match = fontFamilyDataRegex.exec(chapter.content)) !== null) {
+            const fontFamily = match[1].trim();
+            if (fontFamily) {
+                fontFamilies.add(fontFamily);
+            }
+        }
+    });
+
+    return Array.from(fontFamilies);
+}
+
+/**
+ * File name (without extension) a font family is stored under in public/fonts
+ * @param {string} fontFamily - Font family name
+ * @returns {string}
+ */
+export function fontFileBaseName(fontFamily) {
+    return fontFamily.toLowerCase().replace(/[^a-z0-9]/g, '_');
+}
@@ -0,0 +1,34 @@
+import * as cheerio from 'cheerio';
+
+const BLOCK_SELECTOR = 'p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr, hr';
+
+/**
+ * Converts chapter HTML to plain text lines, one per paragraph/block
+ * @param {string} html - Chapter HTML
+ * @returns {string[]} Non-empty, whitespace-normalised lines
+ */
+export function htmlToLines(html) {
+    if (!html) return [];
+
+    const $ = cheerio.load(html, null, false);
+    $('script, style').remove();
+    $('br').replaceWith('\n');
+    $(BLOCK_SELECTOR).each((i, el) => {
+        $(el).append('\n');
+    });
+
+    return $.root()
+        .text()
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Converts chapter HTML to a single plain text string
+ * @param {string} html - Chapter HTML
+ * @returns {string} Plain text with paragraphs separated by newlines
+ */
+export function htmlToPlainText(html) {
+    return htmlToLines(html).join('\n');
+}
@@ -0,0 +1,64 @@
+import * as cheerio from 'cheerio';
+
+// Chapter HTML is scraped from other sites (or edited by hand) and shown on the app's own origin,
+// so only markup that can't run anything gets through
+
+// Removed with everything inside them
+const DROPPED_TAGS = 'script, style, noscript, template, iframe, frame, frameset, object, embed, applet, form, input, button, select, textarea, svg, math, link, meta, base';
+
+// Kept; any other element is replaced by its contents
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'hr', 'div', 'span', 'section', 'article', 'header', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'b', 'i', 'u', 's', 'strike', 'del', 'ins', 'mark', 'small', 'sub', 'sup', 'abbr', 'cite', 'q',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'colgroup', 'col',
+    'a', 'img', 'figure', 'figcaption', 'ruby', 'rt', 'rp', 'center', 'font', 'details', 'summary'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'class', 'id', 'title', 'lang', 'dir', 'style', 'align',
+    'href', 'src', 'alt', 'width', 'height', 'colspan', 'rowspan', 'color', 'face', 'size'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const SAFE_URL = /^(https?:|mailto:|#|\/|\.|[^:]*$)/i;
+const SAFE_IMAGE_DATA = /^data:image\/(png|jpe?g|gif|webp);/i;
+// Styles that load or evaluate something
+const UNSAFE_STYLE = /url\s*\(|expression\s*\(|@import|javascript:/i;
+
+/**
+ * Strips chapter HTML down to inert markup: no scripts, event handlers, frames or script URLs.
+ * Text, formatting, images, links and the font styles from font_decoding.js are kept.
+ * @param {string} html - Chapter HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeChapterHtml(html) {
+    if (!html) return html;
+
+    const $ = cheerio.load(html, null, false);
+    $(DROPPED_TAGS).remove();
+
+    // Deepest first, so unwrapping an element never skips its children
+    for (const el of $('*').toArray().reverse()) {
+        const tag = el.tagName.toLowerCase();
+        if (!ALLOWED_TAGS.has(tag)) {
+            $(el).replaceWith($(el).contents());
+            continue;
+        }
+
+        for (const [name, value] of Object.entries(el.attribs)) {
+            const attribute = name.toLowerCase();
+            const url = value.replace(/[\s\u0000-\u001f]/g, '');
+
+            const keep = attribute.startsWith('data-')
+                || (ALLOWED_ATTRIBUTES.has(attribute)
+                    && !(URL_ATTRIBUTES.has(attribute) && !SAFE_URL.test(url) && !(tag === 'img' && SAFE_IMAGE_DATA.test(url)))
+                    && !(attribute === 'style' && UNSAFE_STYLE.test(value)));
+
+            if (!keep) $(el).removeAttr(name);
+        }
+    }
+
+    return $.html();
+}
@@ -0,0 +1,82 @@
+// Above this many lines on both sides the LCS table gets too big; fall back to a coarse diff
+const MAX_DIFF_CELLS = 25_000_000;
+
+/**
+ * Line-based diff using a longest-common-subsequence table
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>} Diff operations in order
+ */
+export function diffLines(before, after) {
+    // Trim the common prefix and suffix first; most revisions only touch part of a chapter
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const head = before.slice(0, start).map(text => ({ type: 'equal', text }));
+    const tail = before.slice(endBefore).map(text => ({ type: 'equal', text }));
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [
+            ...head,
+            ...a.map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: 'added', text })),
+            ...tail
+        ];
+    }
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..], stored flat
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[i] === b[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            middle.push({ type: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            middle.push({ type: 'removed', text: a[i] });
+            i++;
+        } else {
+            middle.push({ type: 'added', text: b[j] });
+            j++;
+        }
+    }
+    while (i < a.length) middle.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) middle.push({ type: 'added', text: b[j++] });
+
+    return [...head, ...middle, ...tail];
+}
+
+/**
+ * Counts added and removed lines in a diff
+ * @param {Array<{type: string}>} diff - Output of diffLines
+ * @returns {{added: number, removed: number}}
+ */
+export function summarizeDiff(diff) {
+    return diff.reduce((acc, op) => {
+        if (op.type === 'added') acc.added++;
+        if (op.type === 'removed') acc.removed++;
+        return acc;
+    }, { added: 0, removed: 0 });
+}
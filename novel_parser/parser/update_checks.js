@@ -0,0 +1,30 @@
+import { novelsDb } from '../db/db_init.js';
+
+// How often ongoing novels are checked for new chapters, unless a novel sets its own interval
+export const DEFAULT_UPDATE_INTERVAL_HOURS = parseInt(process.env.PARSER_UPDATE_INTERVAL_HOURS) || 24;
+
+/**
+ * Ongoing novels whose table of contents is due for another look, longest unchecked first
+ * @returns {Array<Object>} Novel rows
+ */
+export function getNovelsDueForUpdateCheck() {
+    return novelsDb.getNovelsDueForUpdateCheck.all({ default_hours: DEFAULT_UPDATE_INTERVAL_HOURS });
+}
+
+/**
+ * Books a novel's update check, so parallel runs don't check it twice.
+ * The next check is due one interval after this, unless a failed check is given back (releaseUpdateCheck).
+ * @param {number} novelId - Novel ID
+ * @returns {boolean} false if the check is no longer due (another run took it)
+ */
+export function claimUpdateCheck(novelId) {
+    return novelsDb.claimUpdateCheck.run({ id: novelId, default_hours: DEFAULT_UPDATE_INTERVAL_HOURS }).changes === 1;
+}
+
+/**
+ * Gives back a booked update check that failed or was left for later, so the next run checks the novel again
+ * @param {Object} novel - Novel row as returned by getNovelsDueForUpdateCheck, from before the claim
+ */
+export function releaseUpdateCheck(novel) {
+    novelsDb.releaseUpdateCheck.run({ id: novel.id, previous: novel.last_update_check_at ?? null });
+}
@@ -0,0 +1,136 @@
+// Pages working in parallel, and how many of them may be on the same site at once
+export const PARSER_CONCURRENCY = parseInt(process.env.PARSER_CONCURRENCY) || 3;
+export const DOMAIN_CONCURRENCY = parseInt(process.env.PARSER_DOMAIN_CONCURRENCY) || 2;
+
+/**
+ * Hostname an item's URL belongs to, used as its scheduling key
+ * @param {string} url - Item URL
+ * @returns {string}
+ */
+export function domainOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return 'unknown';
+    }
+}
+
+/**
+ * Runs `worker` over `items` with up to `concurrency` items in flight.
+ * Items are grouped by key (the domain): at most `keyLimit(key)` run per key at once,
+ * and starts for the same key are spaced by `keySpacing(key)` ms. A key that is
+ * busy or cooling down doesn't hold up items of other keys - they are picked first.
+ * When `keyBlocked(key)` returns a block, the key's remaining items are dropped.
+ * Each worker awaits `checkpoint()` before taking an item; false stops the pool (items in flight finish).
+ * Items are otherwise started in the order given.
+ * @param {Object} params
+ * @param {Array} params.items - Work items
+ * @param {number} [params.concurrency] - Workers overall
+ * @param {Function} params.keyOf - item => key
+ * @param {Function} [params.keyLimit] - key => max items in flight for that key
+ * @param {Function} [params.keySpacing] - key => ms to wait before the next start for that key
+ * @param {Function} [params.keyBlocked] - key => {reason} when the key must not be started now, else null
+ * @param {Function} [params.checkpoint] - async () => boolean; false = stop taking items
+ * @param {Function} params.worker - async item => any; errors are logged and don't stop the pool
+ * @returns {Promise<void>} Resolves once every item has been processed
+ */
+export async function runWorkerPool({
+    items,
+    concurrency = PARSER_CONCURRENCY,
+    keyOf,
+    keyLimit = () => DOMAIN_CONCURRENCY,
+    keySpacing = () => 0,
+    keyBlocked = () => null,
+    checkpoint = async () => true,
+    worker
+}) {
+    const queue = [...items];
+    const active = new Map(); // key -> items in flight
+    const nextStartAt = new Map(); // key -> earliest time the next item may start
+    let waiters = [];
+
+    // Wakes every idle worker so it can look at the queue again
+    const notifyAll = () => {
+        const current = waiters;
+        waiters = [];
+        current.forEach(resolve => resolve());
+    };
+
+    const waitForChange = (ms) => new Promise(resolve => {
+        waiters.push(resolve);
+        if (Number.isFinite(ms)) setTimeout(resolve, Math.max(ms, 0));
+    });
+
+    /**
+     * Takes the first item whose key has a free slot and has cooled down.
+     * @returns {{item: *}|{waitMs: number}|null} null when the queue is empty
+     */
+    const takeNext = () => {
+        if (queue.length === 0) return null;
+
+        const now = Date.now();
+        let waitMs = Infinity;
+        const checked = new Set();
+
+        for (let i = 0; i < queue.length; i++) {
+            const key = keyOf(queue[i]);
+            if (checked.has(key)) continue;
+            checked.add(key);
+
+            if ((active.get(key) || 0) >= keyLimit(key)) continue;
+
+            const block = keyBlocked(key);
+            if (block) {
+                const dropped = queue.filter(item => keyOf(item) === key).length;
+                console.log(`Leaving ${dropped} items of ${key} for later: ${block.reason}`);
+                for (let j = queue.length - 1; j >= 0; j--) {
+                    if (keyOf(queue[j]) === key) queue.splice(j, 1);
+                }
+                i--; // queue[i] was removed
+                continue;
+            }
+
+            const readyIn = (nextStartAt.get(key) || 0) - now;
+            if (readyIn <= 0) {
+                return { item: queue.splice(i, 1)[0] };
+            }
+            waitMs = Math.min(waitMs, readyIn);
+        }
+
+        return queue.length === 0 ? null : { waitMs };
+    };
+
+    const runWorker = async () => {
+        while (true) {
+            if (!(await checkpoint())) {
+                queue.length = 0;
+                notifyAll();
+                return;
+            }
+
+            const next = takeNext();
+            if (next === null) return;
+
+            if (!('item' in next)) {
+                await waitForChange(next.waitMs);
+                continue;
+            }
+
+            const key = keyOf(next.item);
+            active.set(key, (active.get(key) || 0) + 1);
+            nextStartAt.set(key, Date.now() + keySpacing(key));
+
+            try {
+                await worker(next.item);
+            } catch (error) {
+                console.error(`Worker failed on ${key}:`, error);
+            } finally {
+                active.set(key, active.get(key) - 1);
+                notifyAll();
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, queue.length));
+    await Promise.all(Array.from({ length: workers }, runWorker));
+}
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Response cache CLI
+ * Usage:
+ *   node scripts/cache.js reparse <novelId>  - extract a novel and its chapters again from the cached pages
+ *   node scripts/cache.js prune              - apply PARSER_CACHE_TTL_HOURS / PARSER_CACHE_MAX_MB now
+ */
+
+const [command, id] = process.argv.slice(2);
+const novelId = parseInt(id);
+
+async function main() {
+    // Loaded here so a usage error doesn't open (and migrate) the database
+    if (command === 'prune') {
+        const { pruneResponseCache } = await import('../parser/response_cache.js');
+        const result = pruneResponseCache();
+
+        console.log(`✓ Dropped ${result.removedEntries} entries and ${result.removedFiles} files, ${(result.storedBytes / 1048576).toFixed(1)} MB kept`);
+        return;
+    }
+
+    const { reparseNovelFromCache } = await import('../parser/parser_init.js');
+    const summary = await reparseNovelFromCache(novelId);
+    if (!summary) throw new Error(`novel ${novelId} not found`);
+
+    if (summary.novel) console.log(`✗ Novel page: ${summary.novel}`);
+    console.log(`✓ Chapters: ${summary.chapters} re-parsed (${summary.changed} changed), ${summary.newChapters} new in the TOC`);
+    console.log(`  ${summary.missing} not in the cache, ${summary.failed} failed`);
+}
+
+if (command !== 'prune' && !(command === 'reparse' && novelId > 0)) {
+    console.error('Usage: node scripts/cache.js reparse <novelId> | prune');
+    process.exitCode = 1;
+} else {
+    main()
+        .then(() => process.exit())
+        .catch(error => {
+            console.error('✗ Cache command failed:', error.message);
+            process.exit(1);
+        });
+}
@@ -1,7 +1,9 @@
 'use server';
 
 import * as cheerio from 'cheerio';
-import { chaptersDb } from "@db/db_init.js"
+import { chaptersDb, chapterSourcesDb, novelsDb } from "@db/db_init.js"
+import { getSiteAdapter } from "@parser/sites/index.js";
+import { writeChapterContent, CHANGE_KIND } from "@db/chapter_writes.js";
 import { cleaningMethod } from '@/app/components/cleaningMethod.js';
 import {decodeObfuscatedText as decodeText} from "./decodeObfuscatedText.js";
 import { cleanCGMethod } from "./dedicatedCleaners/CGcleaner.js";
@@ -9,16 +11,17 @@ import { cleanCGMethod } from "./dedicatedCleaners/CGcleaner.js";
 
 /**
  * Cleans a chapter title by:
- * 1. Removing common novel chapter prefixes (Ch, Chapter, Vol, etc.) and related symbols/dashes.
- * 2. Removing the specific watermark " - Chrysanthemum Garden".
+ * 1. Removing the site's watermark (e.g. " - Chrysanthemum Garden"), through the site adapter.
+ * 2. Removing common novel chapter prefixes (Ch, Chapter, Vol, etc.) and related symbols/dashes.
  * * @param {string} title The original chapter title.
+ * @param {Object} adapter Site adapter of the novel (parser/sites).
  * @returns {string} The cleaned chapter title.
  */
-const cleanTitle = (title) => {
+const cleanTitle = (title, adapter) => {
     if (!title) return '';
 
-    // 1. Remove the specific watermark " - Chrysanthemum Garden" (case-insensitive)
-    let cleaned = title.replace(/\s*-\s*Chrysanthemum Garden/gi, '');
+    // 1. Remove the site's watermark
+    let cleaned = adapter.cleanTitle(title);
 
     cleaned = cleaned.replace(/[^a-z0-9]/gi, ' ');
 
@@ -55,26 +58,38 @@ export const cleanNovelChapters = async (novelId, method) => {
             return { success: false, error: 'No chapters found for this novel.' };
         }
 
+        const novel = novelsDb.getNovelById.get(novelId);
+        const adapter = getSiteAdapter(novel?.url || '');
+
         let cleanedCount = 0;
+        const methodName = Object.keys(cleaningMethod).find(key => cleaningMethod[key] === method) || 'generic';
+        const actor = `cleaner:${methodName}`;
 
         // 2. Iterate and Clean
+        // Every pass starts from the stored extraction, never from the previous cleaner's output,
+        // so picking the wrong method or a cleaner bug can be undone by cleaning again.
         for (const chapter of chapters) {
+            const source = chapterSourcesDb.getSourceByChapterId.get(chapter.id);
+            const sourceTitle = source?.extracted_title ?? chapter.title;
+            const sourceContent = source ? source.extracted_content : chapter.content;
 
-            const newTitle = cleanTitle(chapter.title);
+            const newTitle = cleanTitle(sourceTitle, adapter);
 
-            if (!chapter.content) {
+            if (!sourceContent) {
                 // Update the title even if content is missing
-                chaptersDb.updateChapter.run({
-                    id: chapter.id,
+                writeChapterContent({
+                    chapterId: chapter.id,
                     title: newTitle, // Use the new cleaned title
                     content: chapter.content,
-                    status: chapter.status
+                    status: chapter.status,
+                    kind: CHANGE_KIND.CLEAN,
+                    actor
                 });
                 cleanedCount++;
                 continue;
             }
 
-            const $ = cheerio.load(chapter.content, { xmlMode: false });
+            const $ = cheerio.load(sourceContent, { xmlMode: false });
 
             // --- CORE CLEANING LOGIC (Before Method-Specific) ---
 
@@ -119,12 +134,14 @@ export const cleanNovelChapters = async (novelId, method) => {
             // Get final body content (stripping <html><body> wrappers cheerio adds)
             const finalContent = $final('body').html() || '';
 
-            // 3. Update Database
-            chaptersDb.updateChapter.run({
-                id: chapter.id,
+            // 3. Update Database (recorded as a revision so it can be reverted)
+            writeChapterContent({
+                chapterId: chapter.id,
                 title: newTitle,
                 content: finalContent,
-                status: chapter.status
+                status: chapter.status,
+                kind: CHANGE_KIND.CLEAN,
+                actor
             });
 
             cleanedCount++;
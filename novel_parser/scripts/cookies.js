@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Site login CLI
+ * Usage:
+ *   node scripts/cookies.js import <domain> <cookies.txt>  - use a browser's exported cookies for a site
+ *   node scripts/cookies.js login <url>                    - log in to a site in a browser window, then press Enter
+ *   node scripts/cookies.js clear <domain>                 - forget a site's cookies
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+
+const [command, target, file] = process.argv.slice(2);
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+async function main() {
+    // Loaded here so a usage error doesn't open (and migrate) the database
+    const { parseCookiesTxt, saveCookieJar, clearCookieJar, COOKIE_SOURCE } = await import('../parser/cookies.js');
+
+    if (command === 'import') {
+        const domain = target.toLowerCase();
+        const count = saveCookieJar(domain, parseCookiesTxt(fs.readFileSync(path.resolve(file), 'utf8')), COOKIE_SOURCE.IMPORT);
+        console.log(`✓ Saved ${count} cookie(s) for ${domain}`);
+    } else if (command === 'clear') {
+        clearCookieJar(target.toLowerCase());
+        console.log(`✓ Forgot the cookies of ${target}`);
+    } else {
+        const domain = hostOf(target);
+        const { startLoginSession, finishLoginSession, cancelLoginSession } = await import('../parser/browserComponents/login_session.js');
+
+        await startLoginSession(domain, target);
+        const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+        // Not logged in yet: the window stays open for another try
+        for (;;) {
+            const answer = await prompt.question(`Log in to ${domain} in the browser window, then press Enter (or type "cancel"): `);
+            if (answer.trim().toLowerCase() === 'cancel') {
+                await cancelLoginSession(domain);
+                console.log('Login cancelled, nothing saved');
+                break;
+            }
+
+            try {
+                const count = await finishLoginSession(domain);
+                console.log(`✓ Saved ${count} cookie(s) for ${domain}`);
+                break;
+            } catch (error) {
+                console.error(`✗ ${error.message}`);
+            }
+        }
+        prompt.close();
+    }
+}
+
+const valid = (command === 'import' && target && file)
+    || (command === 'clear' && target)
+    || (command === 'login' && hostOf(target));
+
+if (!valid) {
+    console.error('Usage: node scripts/cookies.js import <domain> <cookies.txt> | login <url> | clear <domain>');
+    process.exitCode = 1;
+} else {
+    main()
+        .then(() => process.exit())
+        .catch(error => {
+            console.error('✗ Cookies command failed:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Saved pages import CLI
+ * Usage:
+ *   node scripts/import_pages.js <file or folder> [novel page URL]
+ *     - add a novel from an MHTML or WARC file, or a folder of saved pages (MHTML, WARC,
+ *       HTML with their _files folders). The novel page is guessed unless its URL is given.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const [input, novelUrl] = process.argv.slice(2);
+
+/**
+ * Files under a folder, with their path relative to it
+ * @param {string} dir - Folder
+ * @param {string} [prefix] - Relative path of dir
+ * @returns {Array<{name: string, data: Buffer}>}
+ */
+function readFolder(dir, prefix = '') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) return readFolder(path.join(dir, entry.name), name);
+        return entry.isFile() ? [{ name, data: fs.readFileSync(path.join(dir, entry.name)) }] : [];
+    });
+}
+
+async function main() {
+    const inputPath = path.resolve(input);
+    const isFolder = fs.statSync(inputPath).isDirectory();
+    const root = `${pathToFileURL(isFolder ? inputPath : path.dirname(inputPath)).href}/`;
+    const files = isFolder ? readFolder(inputPath) : [{ name: path.basename(inputPath), data: fs.readFileSync(inputPath) }];
+
+    // Loaded here so a usage error doesn't open (and migrate) the database
+    const { readSavedPages } = await import('../parser/saved_pages/index.js');
+    const { importSavedPages } = await import('../parser/parser_init.js');
+
+    const savedPages = readSavedPages(files, { root });
+    for (const { name, error } of savedPages.skipped) {
+        console.log(`✗ Skipped ${name}: ${error}`);
+    }
+    console.log(`Read ${savedPages.pageUrls().length} pages from ${files.length} files`);
+
+    const result = await importSavedPages(savedPages, { novelUrl });
+
+    console.log(`✓ ${result.created ? 'Imported' : 'Updated'} novel ${result.novelId}`);
+    console.log(`✓ Chapters: ${result.chapters} extracted (${result.changed} changed), ${result.newChapters} new in the TOC`);
+    console.log(`  ${result.missing} not saved (left for the parser), ${result.failed} failed`);
+}
+
+if (!input) {
+    console.error('Usage: node scripts/import_pages.js <file or folder> [novel page URL]');
+    process.exitCode = 1;
+} else {
+    main()
+        .then(() => process.exit())
+        .catch(error => {
+            console.error('✗ Import failed:', error.message);
+            process.exit(1);
+        });
+}
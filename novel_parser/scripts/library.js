@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Library backup/restore CLI
+ * Usage:
+ *   node scripts/library.js export [file.zip]  - package novels, chapters, history, covers and fonts
+ *   node scripts/library.js import <file.zip>  - merge an exported library into this one (matched by URL)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const [command, file] = process.argv.slice(2);
+
+async function main() {
+    // Loaded here so a usage error doesn't open (and migrate) the database
+    const { exportLibrary, importLibrary } = await import('../db/library_archive.js');
+
+    if (command === 'export') {
+        const stamp = new Date().toISOString().slice(0, 10);
+        const outputPath = path.resolve(file || `library-${stamp}.zip`);
+
+        const manifest = await exportLibrary(outputPath);
+        const chapters = manifest.novels.reduce((sum, n) => sum + n.chapters, 0);
+
+        console.log(`✓ Exported ${manifest.novels.length} novels, ${chapters} chapters, ${manifest.covers.length} covers and ${manifest.fonts.length} fonts`);
+        console.log(`  ${outputPath}`);
+    } else {
+        const stats = await importLibrary(fs.readFileSync(path.resolve(file)));
+
+        console.log(`✓ Novels: ${stats.novelsCreated} new, ${stats.novelsMerged} merged`);
+        console.log(`✓ Chapters: ${stats.chaptersAdded} new, ${stats.chaptersUpdated} filled in, ${stats.chaptersSkipped} already present`);
+        console.log(`✓ ${stats.revisionsAdded} revisions and ${stats.filesWritten} files copied`);
+    }
+}
+
+if (command !== 'export' && !(command === 'import' && file)) {
+    console.error('Usage: node scripts/library.js export [file.zip] | import <file.zip>');
+    process.exitCode = 1;
+} else {
+    main()
+        .then(() => process.exit())
+        .catch(error => {
+            console.error('✗ Library command failed:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Database migration CLI
+ * Usage:
+ *   node scripts/migrate.js status   - list applied and pending migrations
+ *   node scripts/migrate.js up       - apply all pending migrations
+ */
+
+import { openDatabase, DB_FILE } from '../db/connection.js';
+import { getAppliedMigrations, getPendingMigrations, runMigrations } from '../db/migrator.js';
+
+const command = process.argv[2] || 'status';
+
+function printStatus(db) {
+    const applied = getAppliedMigrations(db);
+    const pending = getPendingMigrations(db);
+
+    console.log(`Database: ${DB_FILE}`);
+    console.log(`Schema version: ${db.pragma('user_version', { simple: true })}`);
+    console.log('---');
+
+    for (const m of applied) {
+        console.log(`  ✓ ${m.version}_${m.name} (applied ${m.applied_at})`);
+    }
+    for (const m of pending) {
+        console.log(`  … ${m.version}_${m.name} (pending)`);
+    }
+
+    console.log('---');
+    console.log(`${applied.length} applied, ${pending.length} pending`);
+}
+
+function main() {
+    let db;
+    try {
+        db = openDatabase();
+
+        if (command === 'status') {
+            printStatus(db);
+        } else if (command === 'up') {
+            const applied = runMigrations(db);
+            if (applied.length === 0) {
+                console.log('✓ Schema is already up to date');
+            } else {
+                applied.forEach(m => console.log(`✓ Applied ${m.version}_${m.name}`));
+            }
+        } else {
+            console.error(`Unknown command: ${command}`);
+            console.error('Usage: node scripts/migrate.js [status|up]');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('✗ Migration command failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (db) db.close();
+    }
+}
+
+main();
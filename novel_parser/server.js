@@ -50,6 +50,15 @@ async function initializeDatabase() {
         dbInstance = dbModule.default;
 
         log('✓ Database initialized with WAL mode', colors.green);
+
+        // Pending migrations are applied (one transaction each) while db_init.js loads
+        const applied = dbModule.appliedMigrations || [];
+        if (applied.length > 0) {
+            applied.forEach(m => log(`✓ Applied migration ${m.version}_${m.name}`, colors.green));
+        } else {
+            log('✓ Database schema is up to date', colors.green);
+        }
+
         return dbModule;
     } catch (error) {
         log(`❌ Failed to initialize database: ${error.message}`, colors.red);
@@ -57,6 +66,28 @@ async function initializeDatabase() {
     }
 }
 
+/**
+ * Put back items a previous run left in PROCESSING (crash, kill) once their lease has expired
+ */
+async function recoverInterruptedWork() {
+    try {
+        const { reclaimExpiredLeases } = await import('./parser/leases.js');
+        const { markStaleRuns } = await import('./parser/controller.js');
+        const reclaimed = reclaimExpiredLeases();
+        const interrupted = markStaleRuns();
+
+        if (interrupted > 0) {
+            log(`✓ Marked ${interrupted} unfinished parser runs as interrupted`, colors.yellow);
+        }
+
+        if (reclaimed.novels > 0 || reclaimed.chapters > 0) {
+            log(`✓ Re-queued ${reclaimed.novels} novels and ${reclaimed.chapters} chapters interrupted by a previous run`, colors.yellow);
+        }
+    } catch (error) {
+        log(`⚠️  Could not recover interrupted work: ${error.message}`, colors.yellow);
+    }
+}
+
 /**
  * Start Next.js server
  */
@@ -107,10 +138,16 @@ async function runParser() {
         // Dynamic import to avoid loading parser modules until needed
         const { ParserWrapper } = await import(join(__dirname, 'parser/parser_init.js'));
 
-        await ParserWrapper();
+        const result = await ParserWrapper();
 
         const endTime = new Date().toISOString();
-        log(`\n[${endTime}] ✅ Parser completed successfully`, colors.green + colors.bright);
+        if (!result) {
+            log(`[${endTime}] ⏸  Parser is paused, nothing started`, colors.yellow);
+        } else if (result.state === 'cancelled') {
+            log(`\n[${endTime}] ⏹  Parser run ${result.runId} cancelled`, colors.yellow + colors.bright);
+        } else {
+            log(`\n[${endTime}] ✅ Parser completed successfully`, colors.green + colors.bright);
+        }
         log('='.repeat(60) + '\n', colors.blue);
     } catch (error) {
         const endTime = new Date().toISOString();
@@ -238,6 +275,7 @@ async function main() {
 
         // Initialize database first
         await initializeDatabase();
+        await recoverInterruptedWork();
 
         // Start Next.js server
         startNextServer();
@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import { chaptersDb, revisionsDb } from '@db/db_init.js';
+import { htmlToLines } from '@parser/textProcessing/plain_text.js';
+import { diffLines, summarizeDiff } from '@parser/textProcessing/text_diff.js';
+
+/**
+ * GET /api/chapters/[id]/revisions/[revisionId]/diff - Plain text diff of a revision
+ * ?against=previous (default) compares with the revision before it,
+ * ?against=current with the chapter as it is now, ?against=<revisionId> with another revision.
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id, revisionId } = await params;
+        const chapterId = parseInt(id);
+        const revision = revisionsDb.getRevisionById.get(parseInt(revisionId));
+
+        if (!revision || revision.chapter_id !== chapterId) {
+            return NextResponse.json(
+                { error: 'Revision not found' },
+                { status: 404 }
+            );
+        }
+
+        const { searchParams } = new URL(request.url);
+        const against = searchParams.get('against') || 'previous';
+
+        let base;
+        if (against === 'previous') {
+            const previous = revisionsDb.getPreviousRevision.get(chapterId, revision.id);
+            base = { label: previous ? `revision ${previous.id}` : 'empty', content: previous?.content || '' };
+        } else if (against === 'current') {
+            const chapter = chaptersDb.getChapterById.get(chapterId);
+            base = { label: 'current', content: chapter?.content || '' };
+        } else {
+            const other = revisionsDb.getRevisionById.get(parseInt(against));
+            if (!other || other.chapter_id !== chapterId) {
+                return NextResponse.json(
+                    { error: 'Comparison revision not found' },
+                    { status: 404 }
+                );
+            }
+            base = { label: `revision ${other.id}`, content: other.content || '' };
+        }
+
+        const diff = diffLines(htmlToLines(base.content), htmlToLines(revision.content));
+
+        return NextResponse.json({
+            success: true,
+            revision: {
+                id: revision.id,
+                change_kind: revision.change_kind,
+                changed_by: revision.changed_by,
+                created_at: revision.created_at
+            },
+            against: base.label,
+            summary: summarizeDiff(diff),
+            diff
+        });
+
+    } catch (error) {
+        console.error('Error diffing revision:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
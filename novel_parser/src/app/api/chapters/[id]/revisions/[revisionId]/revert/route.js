@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { revisionsDb } from '@db/db_init.js';
+import { revertChapterToRevision } from '@db/chapter_writes.js';
+
+/**
+ * POST /api/chapters/[id]/revisions/[revisionId]/revert - Restore a chapter to a revision
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id, revisionId } = await params;
+        const chapterId = parseInt(id);
+        const revision = revisionsDb.getRevisionById.get(parseInt(revisionId));
+
+        if (!revision || revision.chapter_id !== chapterId) {
+            return NextResponse.json(
+                { error: 'Revision not found' },
+                { status: 404 }
+            );
+        }
+
+        const newRevisionId = revertChapterToRevision(chapterId, revision.id, 'user');
+
+        return NextResponse.json({
+            success: true,
+            message: newRevisionId ? `Reverted to revision ${revision.id}` : 'Chapter already matches this revision',
+            revisionId: newRevisionId
+        });
+
+    } catch (error) {
+        console.error('Error reverting chapter:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { chaptersDb, revisionsDb } from '@db/db_init.js';
+
+/**
+ * GET /api/chapters/[id]/revisions - List a chapter's revisions, newest first
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const chapter = chaptersDb.getChapterById.get(parseInt(id));
+
+        if (!chapter) {
+            return NextResponse.json(
+                { error: 'Chapter not found' },
+                { status: 404 }
+            );
+        }
+
+        const revisions = revisionsDb.getRevisionsByChapterId.all(chapter.id);
+
+        return NextResponse.json({
+            success: true,
+            revisions,
+            count: revisions.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
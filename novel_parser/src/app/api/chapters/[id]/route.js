@@ -0,0 +1,80 @@
+import { NextResponse } from 'next/server';
+import { chaptersDb } from '@db/db_init.js';
+import { writeChapterContent, CHANGE_KIND } from '@db/chapter_writes.js';
+
+/**
+ * GET /api/chapters/[id] - Get a chapter including its content
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const chapter = chaptersDb.getChapterById.get(parseInt(id));
+
+        if (!chapter) {
+            return NextResponse.json(
+                { error: 'Chapter not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ success: true, chapter });
+
+    } catch (error) {
+        console.error('Error fetching chapter:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * PATCH /api/chapters/[id] - Manually edit a chapter's title and/or content
+ */
+export async function PATCH(request, { params }) {
+    try {
+        const { id } = await params;
+        const chapter = chaptersDb.getChapterById.get(parseInt(id));
+
+        if (!chapter) {
+            return NextResponse.json(
+                { error: 'Chapter not found' },
+                { status: 404 }
+            );
+        }
+
+        const body = await request.json();
+        const { title, content } = body;
+
+        if ((title !== undefined && typeof title !== 'string') ||
+            (content !== undefined && typeof content !== 'string')) {
+            return NextResponse.json(
+                { error: 'title and content must be strings' },
+                { status: 400 }
+            );
+        }
+
+        const revisionId = writeChapterContent({
+            chapterId: chapter.id,
+            title: title ?? chapter.title,
+            content: content ?? chapter.content,
+            status: chapter.status,
+            kind: CHANGE_KIND.EDIT,
+            actor: 'user'
+        });
+
+        return NextResponse.json({
+            success: true,
+            revisionId
+        });
+
+    } catch (error) {
+        console.error('Error editing chapter:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
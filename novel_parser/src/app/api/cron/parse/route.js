@@ -21,13 +21,21 @@ export async function GET(request) {
 
         // Dynamic import to avoid build-time issues with better-sqlite3
         const { ParserWrapper } = await import('@parser/parser_init.js');
+        const { DEFAULT_RUN_BUDGET } = await import('@parser/controller.js');
+
+        // Stop taking items a minute before maxDuration, so the chapters in flight can finish
+        const cronSeconds = maxDuration - 60;
+        const maxSeconds = DEFAULT_RUN_BUDGET.maxSeconds > 0
+            ? Math.min(DEFAULT_RUN_BUDGET.maxSeconds, cronSeconds)
+            : cronSeconds;
 
         // Run the parser
-        await ParserWrapper();
+        const result = await ParserWrapper({ budget: { maxSeconds } });
 
         return NextResponse.json({
             success: true,
-            message: 'Parser completed successfully',
+            message: result ? `Parser run ${result.state}` : 'Parser is paused',
+            run: result,
             timestamp: new Date().toISOString()
         });
 
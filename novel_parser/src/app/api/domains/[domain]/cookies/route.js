@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { parseCookiesTxt, saveCookieJar, clearCookieJar, COOKIE_SOURCE } from '@parser/cookies.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/domains/[domain]/cookies - Replace a site's cookies with those of a cookies.txt file
+ * Body: the file's text, or a multipart form with the file in "file"
+ */
+export async function POST(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+
+        let text;
+        if ((request.headers.get('content-type') || '').startsWith('multipart/form-data')) {
+            const file = (await request.formData()).get('file');
+            text = file && typeof file !== 'string' ? await file.text() : file;
+        } else {
+            text = await request.text();
+        }
+
+        if (!text || !text.trim()) {
+            return NextResponse.json(
+                { error: 'Send the contents of a cookies.txt file' },
+                { status: 400 }
+            );
+        }
+
+        let count;
+        try {
+            count = saveCookieJar(domain, parseCookiesTxt(text), COOKIE_SOURCE.IMPORT);
+        } catch (parseError) {
+            return NextResponse.json(
+                { error: parseError.message },
+                { status: 400 }
+            );
+        }
+
+        return NextResponse.json({ success: true, message: `Saved ${count} cookie(s) for ${domain}`, count });
+
+    } catch (error) {
+        console.error('Error importing cookies:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/domains/[domain]/cookies - Forget a site's cookies
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+
+        clearCookieJar(domain);
+
+        return NextResponse.json({ success: true });
+
+    } catch (error) {
+        console.error('Error clearing cookies:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
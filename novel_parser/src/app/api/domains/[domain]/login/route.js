@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+
+export const dynamic = 'force-dynamic';
+
+const ACTIONS = ['start', 'finish', 'cancel'];
+
+/**
+ * GET /api/domains/[domain]/login - Whether a login window is open for the site
+ */
+export async function GET(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+
+        const { getLoginSessions } = await import('@parser/browserComponents/login_session.js');
+        const session = getLoginSessions().find(s => s.domain === domain) || null;
+
+        return NextResponse.json({ success: true, session });
+
+    } catch (error) {
+        console.error('Error reading login session:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * POST /api/domains/[domain]/login - Log in to a site in a visible browser window
+ * Body: { action: 'start', url? } opens the window (on url, else the site's home page),
+ * { action: 'finish' } saves its cookies as the site's and closes it, { action: 'cancel' } just closes it
+ */
+export async function POST(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+        const body = await request.json();
+
+        if (!ACTIONS.includes(body.action)) {
+            return NextResponse.json(
+                { error: `action must be one of ${ACTIONS.join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        // Dynamic import: Puppeteer only loads when a login is asked for
+        const { startLoginSession, finishLoginSession, cancelLoginSession } = await import('@parser/browserComponents/login_session.js');
+
+        if (body.action === 'start') {
+            let url = `https://${domain}/`;
+            if (body.url) {
+                try {
+                    url = new URL(body.url).href;
+                } catch {
+                    return NextResponse.json(
+                        { error: 'url must be an absolute address' },
+                        { status: 400 }
+                    );
+                }
+            }
+
+            let session;
+            try {
+                session = await startLoginSession(domain, url);
+            } catch (startError) {
+                return NextResponse.json(
+                    { error: startError.message },
+                    { status: 400 }
+                );
+            }
+
+            return NextResponse.json({
+                success: true,
+                message: `Log in to ${domain} in the browser window, then choose "Done"`,
+                session
+            });
+        }
+
+        if (body.action === 'finish') {
+            let count;
+            try {
+                count = await finishLoginSession(domain);
+            } catch (finishError) {
+                // No window, or not logged in yet - the window stays open for another try
+                return NextResponse.json(
+                    { error: finishError.message },
+                    { status: 400 }
+                );
+            }
+
+            return NextResponse.json({ success: true, message: `Saved ${count} cookie(s) for ${domain}`, count });
+        }
+
+        await cancelLoginSession(domain);
+        return NextResponse.json({ success: true });
+
+    } catch (error) {
+        console.error('Error handling login session:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,113 @@
+import { NextResponse } from 'next/server';
+import { domainsDb } from '@db/db_init.js';
+import { getDomainProfile, invalidateDomainProfile, parseAllowedHours } from '@parser/politeness.js';
+import { FETCH_MODE } from '@parser/browserComponents/http_fetch.js';
+
+export const dynamic = 'force-dynamic';
+
+// Editable numeric fields: column -> [min, max]. null falls back to the default.
+const PROFILE_RANGES = {
+    min_delay_ms: [0, 10 * 60 * 1000],
+    max_delay_ms: [0, 10 * 60 * 1000],
+    max_concurrency: [1, 20],
+    max_requests_per_hour: [1, 100000]
+};
+
+/**
+ * PUT /api/domains/[domain] - Save a site's politeness profile
+ * Body: { min_delay_ms, max_delay_ms, max_concurrency, max_requests_per_hour, allowed_hours, respect_robots, fetch_mode }
+ */
+export async function PUT(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+        const body = await request.json();
+        const profile = { domain };
+
+        for (const [column, [min, max]] of Object.entries(PROFILE_RANGES)) {
+            const value = body[column];
+            if (value === undefined || value === null || value === '') {
+                profile[column] = null;
+            } else if (Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max) {
+                profile[column] = Number(value);
+            } else {
+                return NextResponse.json(
+                    { error: `${column} must be an integer between ${min} and ${max}, or empty` },
+                    { status: 400 }
+                );
+            }
+        }
+
+        if (profile.min_delay_ms !== null && profile.max_delay_ms !== null && profile.max_delay_ms < profile.min_delay_ms) {
+            return NextResponse.json(
+                { error: 'max_delay_ms must not be below min_delay_ms' },
+                { status: 400 }
+            );
+        }
+
+        const allowedHours = typeof body.allowed_hours === 'string' ? body.allowed_hours.trim() : '';
+        try {
+            parseAllowedHours(allowedHours);
+        } catch (error) {
+            return NextResponse.json(
+                { error: error.message },
+                { status: 400 }
+            );
+        }
+        profile.allowed_hours = allowedHours || null;
+
+        if ('respect_robots' in body && typeof body.respect_robots !== 'boolean') {
+            return NextResponse.json(
+                { error: 'respect_robots must be true or false' },
+                { status: 400 }
+            );
+        }
+        profile.respect_robots = body.respect_robots === false ? 0 : 1;
+
+        const fetchModes = Object.values(FETCH_MODE);
+        if (body.fetch_mode && !fetchModes.includes(body.fetch_mode)) {
+            return NextResponse.json(
+                { error: `fetch_mode must be one of ${fetchModes.join(', ')}, or empty` },
+                { status: 400 }
+            );
+        }
+        profile.fetch_mode = body.fetch_mode || null;
+
+        domainsDb.upsertProfile.run(profile);
+        invalidateDomainProfile(domain);
+
+        return NextResponse.json({ success: true, profile: getDomainProfile(domain) });
+
+    } catch (error) {
+        console.error('Error saving domain profile:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/domains/[domain] - Drop a site's profile and throttling so the defaults apply again
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+
+        domainsDb.db.transaction(() => {
+            domainsDb.deleteProfile.run(domain);
+            domainsDb.clearThrottle.run(domain);
+        })();
+        invalidateDomainProfile(domain);
+
+        return NextResponse.json({ success: true, profile: getDomainProfile(domain) });
+
+    } catch (error) {
+        console.error('Error deleting domain profile:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
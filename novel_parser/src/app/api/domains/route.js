@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { domainsDb } from '@db/db_init.js';
+import { DEFAULT_PROFILE, getDomainProfile } from '@parser/politeness.js';
+import { domainOf } from '@parser/worker_pool.js';
+import { resolveFetchMode, DEFAULT_FETCH_MODE } from '@parser/browserComponents/http_fetch.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/domains - Politeness profiles of every site in the library (or with a saved profile or cookies)
+ */
+export async function GET() {
+    try {
+        const domains = new Set(domainsDb.getAllProfiles.all().map(row => row.domain));
+        for (const { url } of domainsDb.getKnownDomains.all()) {
+            domains.add(domainOf(url));
+        }
+
+        // Only the count and age of saved cookies leave the server, never their values
+        const cookieJars = new Map();
+        for (const jar of domainsDb.getAllCookieJars.all()) {
+            domains.add(jar.domain);
+            cookieJars.set(jar.domain, { count: JSON.parse(jar.cookies).length, source: jar.source, updated_at: jar.updated_at });
+        }
+        domains.delete('unknown');
+
+        const hourAgo = Date.now() - 60 * 60 * 1000;
+        const profiles = [...domains].sort().map(domain => {
+            const { robots_txt, ...profile } = getDomainProfile(domain);
+            return {
+                ...profile,
+                has_robots_txt: !!robots_txt,
+                effective_fetch_mode: resolveFetchMode(`https://${domain}/`),
+                throttle: domainsDb.getThrottle.get(domain) || null,
+                requests_last_hour: domainsDb.countRequestsSince.get(domain, hourAgo).count,
+                cookies: cookieJars.get(domain) || null
+            };
+        });
+
+        return NextResponse.json({ success: true, defaults: { ...DEFAULT_PROFILE, fetch_mode: DEFAULT_FETCH_MODE }, profiles });
+
+    } catch (error) {
+        console.error('Error listing domain profiles:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+/**
+ * GET /api/library/export - Download the whole library as a zip (see db/library_archive.js)
+ */
+export async function GET() {
+    try {
+        // Dynamic import to avoid build-time issues with better-sqlite3
+        const { exportLibrary } = await import('@db/library_archive.js');
+
+        const filename = `library-${new Date().toISOString().slice(0, 10)}.zip`;
+        const tempPath = path.join(os.tmpdir(), `novel-parser-${Date.now()}-${filename}`);
+        await exportLibrary(tempPath);
+
+        const { size } = fs.statSync(tempPath);
+        const stream = fs.createReadStream(tempPath);
+        stream.on('close', () => fs.unlink(tempPath, () => {}));
+
+        return new Response(Readable.toWeb(stream), {
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Length': String(size),
+                'Content-Disposition': `attachment; filename="${filename}"`
+            }
+        });
+
+    } catch (error) {
+        console.error('Error exporting library:', error);
+        return Response.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * POST /api/library/import - Merge an exported library archive into this one
+ * Body: multipart form with the archive in the "file" field
+ */
+export async function POST(request) {
+    try {
+        const form = await request.formData();
+        const file = form.get('file');
+
+        if (!file || typeof file === 'string') {
+            return NextResponse.json(
+                { error: 'Upload the library archive in the "file" field' },
+                { status: 400 }
+            );
+        }
+
+        const { importLibrary } = await import('@db/library_archive.js');
+
+        let stats;
+        try {
+            stats = await importLibrary(Buffer.from(await file.arrayBuffer()));
+        } catch (importError) {
+            // Bad archives are the caller's problem, not a server error
+            if (/library archive|format version|zip/i.test(importError.message)) {
+                return NextResponse.json(
+                    { error: importError.message },
+                    { status: 400 }
+                );
+            }
+            throw importError;
+        }
+
+        return NextResponse.json({ success: true, ...stats });
+
+    } catch (error) {
+        console.error('Error importing library:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
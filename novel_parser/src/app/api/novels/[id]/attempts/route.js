@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { novelsDb, attemptsDb } from '@db/db_init.js';
+
+/**
+ * GET /api/novels/[id]/attempts - Recent parse attempts for a novel and its chapters
+ * ?limit= caps the number of rows (default 100)
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+
+        if (!novelsDb.getNovelById.get(novelId)) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(parseInt(searchParams.get('limit')) || 100, 1000);
+        const attempts = attemptsDb.getAttemptsByNovelId.all(novelId, limit);
+
+        return NextResponse.json({
+            success: true,
+            attempts,
+            count: attempts.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching parse attempts:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { novelsDb, chaptersDb } from '@db/db_init.js';
+
+/**
+ * GET /api/novels/[id]/chapters - List a novel's chapters (without content)
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+
+        if (!Number.isInteger(novelId)) {
+            return NextResponse.json(
+                { error: 'Invalid novel ID' },
+                { status: 400 }
+            );
+        }
+
+        if (!novelsDb.getNovelById.get(novelId)) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        const chapters = chaptersDb.getChapterSummariesByNovelId.all(novelId);
+
+        return NextResponse.json({
+            success: true,
+            chapters,
+            count: chapters.length
+        });
+
+    } catch (error) {
+        console.error('Error fetching chapters:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { novelsDb } from '@db/db_init.js';
+
+/**
+ * POST /api/novels/[id]/reparse - Extract the novel page and its chapters again
+ * from the response cache, without downloading anything
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+
+        if (!novelsDb.getNovelById.get(novelId)) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        // Dynamic import to avoid build-time issues with better-sqlite3
+        const { reparseNovelFromCache } = await import('@parser/parser_init.js');
+
+        let summary;
+        try {
+            summary = await reparseNovelFromCache(novelId);
+        } catch (reparseError) {
+            // The parser would overwrite chapters while they are being re-parsed
+            if (!reparseError.busy) throw reparseError;
+            return NextResponse.json(
+                { error: reparseError.message },
+                { status: 409 }
+            );
+        }
+
+        if (summary.chapters === 0 && summary.novel) {
+            return NextResponse.json(
+                { error: `Nothing to re-parse: ${summary.novel}`, ...summary },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            message: `Re-parsed ${summary.chapters} chapter(s), ${summary.changed} changed`
+                + (summary.newChapters > 0 ? `, ${summary.newChapters} new in the TOC` : '')
+                + (summary.missing > 0 ? `, ${summary.missing} not in the cache` : '')
+                + (summary.failed > 0 ? `, ${summary.failed} failed` : ''),
+            ...summary
+        });
+
+    } catch (error) {
+        console.error('Error re-parsing novel:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { novelsDb, chaptersDb } from '@db/db_init.js';
+
+const resetRetries = novelsDb.db.transaction((novelId) => ({
+    novel: novelsDb.resetNovelRetries.run(novelId).changes > 0,
+    chapters: chaptersDb.resetChapterRetriesByNovelId.run(novelId).changes
+}));
+
+/**
+ * POST /api/novels/[id]/retry - Queue a failed or given-up novel and its failed chapters
+ * for the next parser run, skipping any remaining backoff
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+
+        if (!novelsDb.getNovelById.get(novelId)) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        const reset = resetRetries(novelId);
+
+        return NextResponse.json({
+            success: true,
+            message: `Queued ${reset.novel ? 'novel and ' : ''}${reset.chapters} chapter(s) for retry`,
+            ...reset
+        });
+
+    } catch (error) {
+        console.error('Error queuing retry:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,150 @@
+import { NextResponse } from 'next/server';
+import { novelsDb } from '@db/db_init.js';
+import { deleteNovel } from '@db/novel_assets.js';
+
+// Editable per-novel settings: column -> [min, max]. null resets a setting to the default (priority: 0).
+const SETTING_RANGES = {
+    retry_max_attempts: [1, 100],
+    retry_base_delay_seconds: [1, 7 * 24 * 60 * 60],
+    update_interval_hours: [1, 30 * 24],
+    priority: [-100, 100]
+};
+
+/**
+ * GET /api/novels/[id] - A single novel row
+ */
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const novel = novelsDb.getNovelById.get(parseInt(id));
+
+        if (!novel) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        return NextResponse.json({ success: true, novel });
+
+    } catch (error) {
+        console.error('Error fetching novel:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * PATCH /api/novels/[id] - Update per-novel settings
+ * Body: any of { retry_max_attempts, retry_base_delay_seconds, update_interval_hours, priority, ongoing, archived }
+ */
+export async function PATCH(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+        const novel = novelsDb.getNovelById.get(novelId);
+
+        if (!novel) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        const body = await request.json();
+        const settings = {};
+
+        for (const [column, [min, max]] of Object.entries(SETTING_RANGES)) {
+            if (!(column in body)) {
+                settings[column] = novel[column];
+                continue;
+            }
+
+            const value = body[column];
+            if (value === null || value === '') {
+                settings[column] = null;
+            } else if (Number.isInteger(Number(value)) && Number(value) >= min && Number(value) <= max) {
+                settings[column] = Number(value);
+            } else {
+                return NextResponse.json(
+                    { error: `${column} must be an integer between ${min} and ${max}, or null` },
+                    { status: 400 }
+                );
+            }
+        }
+
+        for (const flag of ['ongoing', 'archived']) {
+            if (flag in body && typeof body[flag] !== 'boolean') {
+                return NextResponse.json(
+                    { error: `${flag} must be true or false` },
+                    { status: 400 }
+                );
+            }
+        }
+        settings.ongoing = 'ongoing' in body ? (body.ongoing ? 1 : 0) : novel.ongoing;
+
+        novelsDb.db.transaction(() => {
+            novelsDb.updateNovelSettings.run({ id: novelId, ...settings });
+            if ('archived' in body) {
+                novelsDb.setNovelArchived.run({ id: novelId, archived: body.archived ? 1 : 0 });
+            }
+        })();
+
+        return NextResponse.json({
+            success: true,
+            novel: novelsDb.getNovelById.get(novelId)
+        });
+
+    } catch (error) {
+        console.error('Error updating novel:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/novels/[id] - Permanently delete a novel, its chapters and history,
+ * its cover, generated EPUBs and fonts no other novel uses
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { id } = await params;
+        const novelId = parseInt(id);
+
+        if (!novelsDb.getNovelById.get(novelId)) {
+            return NextResponse.json(
+                { error: 'Novel not found' },
+                { status: 404 }
+            );
+        }
+
+        // Deleting under a running parser would make it write to rows that are gone
+        if (novelsDb.countActiveLeasesByNovelId.get({ id: novelId }).count > 0) {
+            return NextResponse.json(
+                { error: 'The parser is working on this novel right now. Archive it to stop parsing, then delete it.' },
+                { status: 409 }
+            );
+        }
+
+        const result = deleteNovel(novelId);
+
+        return NextResponse.json({
+            success: true,
+            message: 'Novel deleted',
+            removedFiles: result?.removedFiles || []
+        });
+
+    } catch (error) {
+        console.error('Error deleting novel:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
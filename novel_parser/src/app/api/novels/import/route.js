@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * POST /api/novels/import - Add a novel from saved pages (MHTML, WARC, HTML files with their folders)
+ * Body: multipart form with the files in "files" (their names may include folders: 'Novel_files/font.woff')
+ * and optionally the novel page's address in "url"
+ */
+export async function POST(request) {
+    try {
+        const form = await request.formData();
+        const files = form.getAll('files').filter(file => typeof file !== 'string');
+        const url = form.get('url') || null;
+
+        if (files.length === 0) {
+            return NextResponse.json(
+                { error: 'Upload the saved pages in the "files" field' },
+                { status: 400 }
+            );
+        }
+
+        const { readSavedPages } = await import('@parser/saved_pages/index.js');
+        const { importSavedPages } = await import('@parser/parser_init.js');
+
+        // Uploaded files have no place on disk - each upload gets its own, so its relative links stay apart
+        const savedPages = readSavedPages(
+            await Promise.all(files.map(async file => ({ name: file.name, data: Buffer.from(await file.arrayBuffer()) }))),
+            { root: `file:///uploads/${Date.now()}/` }
+        );
+
+        if (savedPages.pageUrls().length === 0) {
+            return NextResponse.json(
+                { error: 'No pages found in the uploaded files', skipped: savedPages.skipped },
+                { status: 400 }
+            );
+        }
+
+        let result;
+        try {
+            result = await importSavedPages(savedPages, { novelUrl: url });
+        } catch (importError) {
+            // No novel page, an unreadable one or a busy novel - nothing the server did wrong
+            return NextResponse.json(
+                { error: importError.message, skipped: savedPages.skipped },
+                { status: importError.busy ? 409 : 400 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            message: `${result.created ? 'Imported' : 'Updated'} novel ${result.novelId}: ${result.chapters} chapter(s)`
+                + (result.missing > 0 ? `, ${result.missing} not saved (left for the parser)` : '')
+                + (result.failed > 0 ? `, ${result.failed} failed` : ''),
+            ...result
+        }, { status: result.created ? 201 : 200 });
+
+    } catch (error) {
+        console.error('Error importing saved pages:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { novelsDb } from '@db/db_init.js';
+import { getSiteAdapter } from '@parser/sites/index.js';
 
 /**
  * POST /api/novels - Add a new novel to the database
@@ -67,18 +68,18 @@ export async function POST(request) {
 
 /**
  * GET /api/novels - Get all novels or novels by status
+ * ?archived=1 lists archived novels instead of active ones
+ * Each novel carries the cleaning method its site adapter suggests (cleaning_method)
  */
 export async function GET(request) {
     try {
         const { searchParams } = new URL(request.url);
         const status = searchParams.get('status');
 
-        let novels;
-        if (status !== null) {
-            novels = novelsDb.getNovelsByStatus.all(parseInt(status));
-        } else {
-            novels = novelsDb.db.prepare('SELECT * FROM novels ORDER BY created_at DESC').all();
-        }
+        const novels = novelsDb.listNovels.all({
+            status: status !== null ? parseInt(status) : null,
+            archived: searchParams.get('archived') === '1' ? 1 : 0
+        }).map(novel => ({ ...novel, cleaning_method: getSiteAdapter(novel.url).cleaningMethod }));
 
         return NextResponse.json({
             success: true,
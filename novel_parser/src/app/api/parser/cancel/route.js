@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { cancelParser } from '@parser/controller.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/parser/cancel - Stop the running parser after the items in progress
+ */
+export async function POST() {
+    try {
+        return NextResponse.json({ success: true, ...cancelParser() });
+
+    } catch (error) {
+        console.error('Error trying to cancel the parser:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { resolveChallenge, CHALLENGE_ACTIONS, CHALLENGE_STATE } from '@parser/challenges.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/parser/challenges/[id] - Answer a page waiting on a CAPTCHA
+ * Body: { action: 'continue' } once it is solved in the browser window (the parser goes on with the page),
+ * or { action: 'skip' } to give the page up for now
+ */
+export async function POST(request, { params }) {
+    try {
+        const { id } = await params;
+        const { action } = await request.json();
+
+        if (!(action in CHALLENGE_ACTIONS)) {
+            return NextResponse.json(
+                { error: `action must be one of ${Object.keys(CHALLENGE_ACTIONS).join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        const challenge = resolveChallenge(parseInt(id), action);
+        if (!challenge) {
+            return NextResponse.json(
+                { error: 'Challenge not found' },
+                { status: 404 }
+            );
+        }
+
+        // Already continued, skipped or timed out
+        if (challenge.state !== CHALLENGE_ACTIONS[action]) {
+            return NextResponse.json(
+                { error: `This page is no longer waiting (${challenge.state})`, challenge },
+                { status: 409 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            message: challenge.state === CHALLENGE_STATE.CONTINUED ? 'The parser goes on with the page' : 'Page skipped for now',
+            challenge
+        });
+
+    } catch (error) {
+        console.error('Error answering challenge:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,75 @@
+import { getEventsAfter, getLastEventId } from '@parser/events.js';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// The parser writes events from another process, so the stream tails the table
+const POLL_MS = 1000;
+const KEEPALIVE_MS = 15000;
+
+/**
+ * GET /api/parser/events - Server-Sent Events stream of parser progress (see parser/events.js).
+ * Each message is one event as JSON; reconnecting clients resume from Last-Event-ID
+ * (or ?since=<id>), new clients start with the next event.
+ */
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const resumeFrom = parseInt(request.headers.get('last-event-id') ?? searchParams.get('since'));
+    let lastId = Number.isInteger(resumeFrom) ? resumeFrom : getLastEventId();
+
+    const encoder = new TextEncoder();
+    let poll = null;
+    let keepalive = null;
+
+    const stream = new ReadableStream({
+        start(controller) {
+            const send = (text) => {
+                try {
+                    controller.enqueue(encoder.encode(text));
+                } catch {
+                    stop();
+                }
+            };
+
+            const stop = () => {
+                clearInterval(poll);
+                clearInterval(keepalive);
+                try {
+                    controller.close();
+                } catch {
+                    // already closed
+                }
+            };
+
+            send('retry: 3000\n\n');
+
+            poll = setInterval(() => {
+                try {
+                    for (const event of getEventsAfter(lastId)) {
+                        lastId = event.id;
+                        send(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+                    }
+                } catch (error) {
+                    console.error('Error reading parser events:', error);
+                }
+            }, POLL_MS);
+
+            // Comment lines keep proxies from closing an idle stream
+            keepalive = setInterval(() => send(': keepalive\n\n'), KEEPALIVE_MS);
+
+            request.signal.addEventListener('abort', stop);
+        },
+        cancel() {
+            clearInterval(poll);
+            clearInterval(keepalive);
+        }
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive'
+        }
+    });
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { pauseParser } from '@parser/controller.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/parser/pause - Pause the parser after the items in progress; no new run starts until resumed
+ */
+export async function POST() {
+    try {
+        return NextResponse.json({ success: true, ...pauseParser() });
+
+    } catch (error) {
+        console.error('Error trying to pause the parser:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
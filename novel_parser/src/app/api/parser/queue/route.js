@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { novelsDb, chaptersDb } from '@db/db_init.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/parser/queue - Chapters due for parsing, in the order the parser will take them
+ * Query: limit (default 50, max 500)
+ */
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 50, 1), 500);
+
+        const due = chaptersDb.getChaptersDueForParse.all();
+        const titles = new Map(novelsDb.getAllNovels.all().map(n => [n.id, n.title]));
+
+        const chapters = due.slice(0, limit).map(c => ({
+            id: c.id,
+            novel_id: c.novel_id,
+            novel_title: titles.get(c.novel_id) || null,
+            chapter_number: c.chapter_number,
+            title: c.title,
+            url: c.url,
+            status: c.status,
+            priority: c.novel_priority,
+            new_release: c.new_release === 1
+        }));
+
+        return NextResponse.json({ success: true, total: due.length, chapters });
+
+    } catch (error) {
+        console.error('Error fetching parse queue:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { resumeParser } from '@parser/controller.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/parser/resume - Let a paused parser continue
+ */
+export async function POST() {
+    try {
+        return NextResponse.json({ success: true, ...resumeParser() });
+
+    } catch (error) {
+        console.error('Error trying to resume the parser:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { getParserStatus } from '@parser/controller.js';
+import { getOpenChallenges } from '@parser/challenges.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/parser/status - Whether the parser is idle, running, paused or cancelling, its latest run
+ * and the pages waiting for someone to solve a CAPTCHA
+ */
+export async function GET() {
+    try {
+        return NextResponse.json({ success: true, ...getParserStatus(), challenges: getOpenChallenges() });
+
+    } catch (error) {
+        console.error('Error fetching parser status:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
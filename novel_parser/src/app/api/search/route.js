@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { searchLibrary } from '@db/search.js';
+
+const toIntOrNull = (value) => {
+    if (value === null || value === '') return null;
+    const parsed = parseInt(value);
+    return Number.isInteger(parsed) ? parsed : null;
+};
+
+/**
+ * GET /api/search?q= - Full-text search over chapters and novels
+ * Optional filters: novelId, chapterFrom, chapterTo, type (all|novels|chapters), limit, offset
+ */
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const query = (searchParams.get('q') || '').trim();
+
+        if (!query) {
+            return NextResponse.json(
+                { error: 'Query parameter q is required' },
+                { status: 400 }
+            );
+        }
+
+        const type = searchParams.get('type') || 'all';
+        if (!['all', 'novels', 'chapters'].includes(type)) {
+            return NextResponse.json(
+                { error: 'type must be one of all, novels, chapters' },
+                { status: 400 }
+            );
+        }
+
+        const results = searchLibrary({
+            query,
+            type,
+            novelId: toIntOrNull(searchParams.get('novelId')),
+            chapterFrom: toIntOrNull(searchParams.get('chapterFrom')),
+            chapterTo: toIntOrNull(searchParams.get('chapterTo')),
+            limit: Math.min(toIntOrNull(searchParams.get('limit')) || 20, 100),
+            offset: toIntOrNull(searchParams.get('offset')) || 0
+        });
+
+        return NextResponse.json({
+            success: true,
+            query,
+            ...results
+        });
+
+    } catch (error) {
+        console.error('Error searching library:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+export const dynamic = 'force-dynamic';
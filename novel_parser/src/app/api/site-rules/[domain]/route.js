@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { domainsDb } from '@db/db_init.js';
+import { validateSiteRules, invalidateSiteRules } from '@parser/sites/rules.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * PUT /api/site-rules/[domain] - Save a site's extraction rules
+ * Body: { rules } - object or JSON text (see parser/sites/rules.js); empty rules remove them
+ */
+export async function PUT(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+        const body = await request.json();
+
+        let rules;
+        try {
+            rules = validateSiteRules(body.rules ?? {});
+        } catch (error) {
+            return NextResponse.json(
+                { error: error.message },
+                { status: 400 }
+            );
+        }
+
+        if (Object.keys(rules).length === 0) {
+            domainsDb.deleteSiteRules.run(domain);
+        } else {
+            domainsDb.upsertSiteRules.run({ domain, rules: JSON.stringify(rules) });
+        }
+        invalidateSiteRules(domain);
+
+        return NextResponse.json({ success: true, domain, rules: Object.keys(rules).length > 0 ? rules : null });
+
+    } catch (error) {
+        console.error('Error saving site rules:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
+
+/**
+ * DELETE /api/site-rules/[domain] - Drop a site's rules so its code adapter (or the generic extraction) applies again
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { domain: rawDomain } = await params;
+        const domain = decodeURIComponent(rawDomain).toLowerCase();
+
+        domainsDb.deleteSiteRules.run(domain);
+        invalidateSiteRules(domain);
+
+        return NextResponse.json({ success: true, domain, rules: null });
+
+    } catch (error) {
+        console.error('Error deleting site rules:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { domainsDb } from '@db/db_init.js';
+import { getSiteAdapter } from '@parser/sites/index.js';
+import { RULE_FIELDS } from '@parser/sites/rules.js';
+import { domainOf } from '@parser/worker_pool.js';
+
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/site-rules - Extraction rules of every site in the library (or with saved rules),
+ * with the code adapter each site falls back to and the rule fields
+ */
+export async function GET() {
+    try {
+        const saved = new Map(domainsDb.getAllSiteRules.all().map(row => [row.domain, row]));
+        const domains = new Set(saved.keys());
+        for (const { url } of domainsDb.getKnownDomains.all()) {
+            domains.add(domainOf(url));
+        }
+        domains.delete('unknown');
+
+        const sites = [...domains].sort().map(domain => {
+            const adapter = getSiteAdapter(`https://${domain}/`);
+            const row = saved.get(domain);
+            return {
+                domain,
+                adapter: (adapter.fallback || adapter).name,
+                rules: row ? JSON.parse(row.rules) : null,
+                updated_at: row?.updated_at ?? null
+            };
+        });
+
+        return NextResponse.json({ success: true, fields: RULE_FIELDS, sites });
+
+    } catch (error) {
+        console.error('Error listing site rules:', error);
+        return NextResponse.json(
+            { error: 'Internal server error', details: error.message },
+            { status: 500 }
+        );
+    }
+}
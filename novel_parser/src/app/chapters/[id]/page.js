@@ -0,0 +1,48 @@
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { novelsDb, chaptersDb } from '@db/db_init.js';
+import { sanitizeChapterHtml } from '@parser/textProcessing/sanitize_html.js';
+import ChapterContent from '@/app/components/ChapterContent';
+
+export default async function ChapterPage({ params, searchParams }) {
+    const { id } = await params;
+    const { q } = await searchParams;
+
+    const chapter = chaptersDb.getChapterById.get(parseInt(id));
+    if (!chapter) notFound();
+
+    const novel = novelsDb.getNovelById.get(chapter.novel_id);
+    const siblings = chaptersDb.getChapterSummariesByNovelId.all(chapter.novel_id);
+    const index = siblings.findIndex(ch => ch.id === chapter.id);
+    const previous = siblings[index - 1];
+    const next = siblings[index + 1];
+    const volumeTitle = siblings[index]?.volume_title;
+
+    const navLinkClass = 'px-3 py-1 text-sm font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg transition-colors';
+
+    const nav = (
+        <div className="flex justify-between items-center">
+            {previous ? <Link href={`/chapters/${previous.id}`} className={navLinkClass}>← Previous</Link> : <span />}
+            <Link href="/" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">Library</Link>
+            {next ? <Link href={`/chapters/${next.id}`} className={navLinkClass}>Next →</Link> : <span />}
+        </div>
+    );
+
+    return (
+        <div className="min-h-screen bg-zinc-50 dark:bg-black py-12 px-4">
+            <article className="max-w-3xl mx-auto bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8 space-y-6">
+                {nav}
+                <header className="text-center">
+                    <p className="text-sm text-zinc-500 dark:text-zinc-400">
+                        {novel?.title || 'Untitled'}{volumeTitle && <> · {volumeTitle}</>} · Chapter {chapter.chapter_number}
+                    </p>
+                    <h1 className="text-2xl font-bold text-zinc-900 dark:text-zinc-50">{chapter.title || 'Untitled Chapter'}</h1>
+                </header>
+                <ChapterContent html={sanitizeChapterHtml(chapter.content)} query={q} />
+                {nav}
+            </article>
+        </div>
+    );
+}
+
+export const dynamic = 'force-dynamic';
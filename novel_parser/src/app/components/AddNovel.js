@@ -6,6 +6,9 @@ export default function AddNovel() {
     const [url, setUrl] = useState('');
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState({ type: '', text: '' });
+    const [savedFiles, setSavedFiles] = useState([]);
+    const [savedNovelUrl, setSavedNovelUrl] = useState('');
+    const [importMessage, setImportMessage] = useState(null);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -52,6 +55,34 @@ export default function AddNovel() {
         }
     };
 
+    // Saved pages (MHTML, WARC, a saved folder) - for sites that are gone or won't let the parser in
+    const handleImport = async (e) => {
+        e.preventDefault();
+        if (savedFiles.length === 0) return;
+
+        setLoading(true);
+        setImportMessage(null);
+
+        const form = new FormData();
+        // Files picked as a folder keep their path, so pages find their _files folders
+        savedFiles.forEach(file => form.append('files', file, file.webkitRelativePath || file.name));
+        if (savedNovelUrl.trim()) form.append('url', savedNovelUrl.trim());
+
+        try {
+            const response = await fetch('/api/novels/import', { method: 'POST', body: form });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+
+            setImportMessage(`✓ ${data.message}`);
+            setSavedFiles([]);
+            setSavedNovelUrl('');
+        } catch (error) {
+            setImportMessage(`✗ ${error.message}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <div className="w-full max-w-2xl mx-auto p-6">
             <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8">
@@ -122,6 +153,55 @@ export default function AddNovel() {
                     </button>
                 </form>
 
+                <details className="mt-6">
+                    <summary className="cursor-pointer text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                        Import saved pages instead
+                    </summary>
+                    <form onSubmit={handleImport} className="mt-3 space-y-3">
+                        <p className="text-xs text-zinc-600 dark:text-zinc-400">
+                            Pages saved with the browser (&quot;Save page as&quot;, single file or complete) or a web archive (.warc).
+                            Pick the novel page with its chapter pages, or the folder they are in.
+                        </p>
+                        <div className="flex flex-wrap gap-4 text-xs text-zinc-600 dark:text-zinc-400">
+                            <label className="flex flex-col gap-1">
+                                Files
+                                <input
+                                    type="file"
+                                    multiple
+                                    accept=".mhtml,.mht,.warc,.gz,.html,.htm"
+                                    onChange={(e) => setSavedFiles([...e.target.files])}
+                                    disabled={loading}
+                                />
+                            </label>
+                            <label className="flex flex-col gap-1">
+                                Or a folder
+                                <input
+                                    type="file"
+                                    webkitdirectory=""
+                                    onChange={(e) => setSavedFiles([...e.target.files])}
+                                    disabled={loading}
+                                />
+                            </label>
+                        </div>
+                        <input
+                            type="url"
+                            value={savedNovelUrl}
+                            onChange={(e) => setSavedNovelUrl(e.target.value)}
+                            placeholder="Novel page URL (optional - found automatically)"
+                            className="w-full px-3 py-2 text-sm rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-50"
+                            disabled={loading}
+                        />
+                        <button
+                            type="submit"
+                            disabled={loading || savedFiles.length === 0}
+                            className="px-4 py-2 text-sm text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg disabled:opacity-50"
+                        >
+                            Import {savedFiles.length > 0 ? `${savedFiles.length} file(s)` : ''}
+                        </button>
+                        {importMessage && <p className="text-sm text-zinc-700 dark:text-zinc-300 break-words">{importMessage}</p>}
+                    </form>
+                </details>
+
                 <div className="mt-6 p-4 bg-zinc-50 dark:bg-zinc-800 rounded-lg">
                     <h3 className="text-sm font-semibold text-zinc-900 dark:text-zinc-50 mb-2">
                         ℹ️ Instructions
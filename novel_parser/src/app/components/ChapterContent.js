@@ -0,0 +1,47 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+
+/**
+ * Renders stored chapter HTML (sanitized by the page, see sanitize_html.js) and, when a search query is given,
+ * highlights and scrolls to its first occurrence.
+ */
+export default function ChapterContent({ html, query }) {
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container || !query) return;
+
+        // Phrases in quotes are searched as-is, otherwise the first word that appears wins
+        const terms = (query.match(/"[^"]+"|\S+/g) || [])
+            .map(t => t.replace(/"/g, '').toLowerCase())
+            .filter(Boolean);
+
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            const text = node.textContent.toLowerCase();
+            const term = terms.find(t => text.includes(t));
+            if (!term) continue;
+
+            const start = text.indexOf(term);
+            const range = document.createRange();
+            range.setStart(node, start);
+            range.setEnd(node, start + term.length);
+
+            const mark = document.createElement('mark');
+            range.surroundContents(mark);
+            mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            break;
+        }
+    }, [html, query]);
+
+    return (
+        <div
+            ref={containerRef}
+            className="chapter-content space-y-4 leading-relaxed text-zinc-800 dark:text-zinc-200"
+            dangerouslySetInnerHTML={{ __html: html || '<p>[No Content]</p>' }}
+        />
+    );
+}
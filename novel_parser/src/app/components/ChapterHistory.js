@@ -0,0 +1,219 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const DIFF_STYLES = {
+    equal: 'text-zinc-600 dark:text-zinc-400',
+    added: 'bg-green-50 text-green-800 dark:bg-green-900/20 dark:text-green-300',
+    removed: 'bg-red-50 text-red-800 line-through dark:bg-red-900/20 dark:text-red-300'
+};
+
+const DIFF_PREFIX = { equal: ' ', added: '+', removed: '-' };
+
+/**
+ * Groups consecutive chapters (already in chapter order) by their volume
+ */
+function groupByVolume(chapters) {
+    const groups = [];
+    for (const ch of chapters) {
+        const last = groups[groups.length - 1];
+        if (last && last.volumeId === ch.volume_id) {
+            last.chapters.push(ch);
+        } else {
+            groups.push({ key: `${ch.volume_id}-${ch.id}`, volumeId: ch.volume_id, title: ch.volume_title, chapters: [ch] });
+        }
+    }
+    return groups;
+}
+
+export default function ChapterHistory({ novel, onClose }) {
+    const [chapters, setChapters] = useState([]);
+    const [chapterId, setChapterId] = useState(null);
+    const [revisions, setRevisions] = useState([]);
+    const [selectedRevision, setSelectedRevision] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [reverting, setReverting] = useState(false);
+    const [error, setError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0); // Bumped to re-fetch revisions after a revert
+
+    const fetchJson = async (url, options) => {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        return data;
+    };
+
+    const selectedChapter = chapters.find(ch => ch.id === chapterId);
+
+    const showDiff = async (revision) => {
+        setSelectedRevision(revision);
+        setDiff(null);
+        try {
+            setError(null);
+            const data = await fetchJson(`/api/chapters/${chapterId}/revisions/${revision.id}/diff`);
+            setDiff(data);
+        } catch (e) {
+            setError(e.message);
+        }
+    };
+
+    const handleRevert = async (revision) => {
+        if (!confirm(`Revert this chapter to revision ${revision.id}?`)) return;
+
+        setReverting(true);
+        try {
+            const data = await fetchJson(`/api/chapters/${chapterId}/revisions/${revision.id}/revert`, { method: 'POST' });
+            alert(data.message);
+            setReloadKey(key => key + 1);
+        } catch (e) {
+            alert(`Revert failed: ${e.message}`);
+        } finally {
+            setReverting(false);
+        }
+    };
+
+    useEffect(() => {
+        const loadChapters = async () => {
+            try {
+                const data = await fetchJson(`/api/novels/${novel.id}/chapters`);
+                setChapters(data.chapters);
+                if (data.chapters.length > 0) {
+                    setChapterId(data.chapters[0].id);
+                }
+            } catch (e) {
+                setError(e.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        loadChapters();
+    }, [novel.id]);
+
+    useEffect(() => {
+        if (!chapterId) return;
+
+        const loadRevisions = async () => {
+            setRevisions([]);
+            setSelectedRevision(null);
+            setDiff(null);
+            try {
+                setError(null);
+                const data = await fetchJson(`/api/chapters/${chapterId}/revisions`);
+                setRevisions(data.revisions);
+            } catch (e) {
+                setError(e.message);
+            }
+        };
+        loadRevisions();
+    }, [chapterId, reloadKey]);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-20 flex items-center justify-center p-4" onClick={onClose}>
+            <div
+                className="bg-white dark:bg-zinc-900 rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex justify-between items-center p-4 border-b border-zinc-200 dark:border-zinc-700">
+                    <h3 className="font-semibold text-zinc-900 dark:text-zinc-50">History: {novel.title || 'Untitled'}</h3>
+                    <button onClick={onClose} className="text-zinc-500 hover:text-zinc-900 dark:hover:text-zinc-50">✕</button>
+                </div>
+
+                {loading ? (
+                    <div className="flex justify-center p-12">
+                        <div className="animate-spin h-8 w-8 border-4 border-blue-500 border-t-transparent rounded-full" />
+                    </div>
+                ) : (
+                    <div className="flex flex-col gap-4 p-4 overflow-hidden">
+                        {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+                        <select
+                            value={chapterId ?? ''}
+                            onChange={(e) => setChapterId(Number(e.target.value))}
+                            className="px-3 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-sm text-zinc-900 dark:text-zinc-50"
+                        >
+                            {groupByVolume(chapters).map((group) => {
+                                const options = group.chapters.map((ch) => (
+                                    <option key={ch.id} value={ch.id}>
+                                        {ch.status === -1 ? '✗ ' : ch.status === -2 ? '☠ ' : ''}#{ch.chapter_number} {ch.title || 'Untitled'} ({ch.revision_count} revisions)
+                                    </option>
+                                ));
+                                return group.title
+                                    ? <optgroup key={group.key} label={group.title}>{options}</optgroup>
+                                    : options;
+                            })}
+                        </select>
+
+                        {selectedChapter?.last_error && (
+                            <div className="text-xs bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-800 dark:text-red-300 rounded-lg p-3">
+                                <p className="font-semibold">Last attempt failed ({selectedChapter.error_kind}) - attempt {selectedChapter.attempt_count} at {selectedChapter.last_attempt_at}</p>
+                                <p className="break-words">{selectedChapter.last_error}</p>
+                                <p className="mt-1">
+                                    {selectedChapter.status === -2
+                                        ? 'Given up - use Settings → Retry failed now to queue it again.'
+                                        : selectedChapter.next_attempt_at && `Next retry at ${selectedChapter.next_attempt_at} UTC`}
+                                </p>
+                            </div>
+                        )}
+
+                        <div className="flex gap-4 min-h-0 flex-1">
+                            <ul className="w-64 shrink-0 overflow-y-auto space-y-1">
+                                {revisions.length === 0 && (
+                                    <li className="text-sm text-zinc-500 dark:text-zinc-400">No revisions yet</li>
+                                )}
+                                {revisions.map((rev, index) => (
+                                    <li key={rev.id}>
+                                        <button
+                                            onClick={() => showDiff(rev)}
+                                            className={`w-full text-left px-3 py-2 rounded-lg text-xs transition-colors ${
+                                                selectedRevision?.id === rev.id
+                                                    ? 'bg-blue-100 dark:bg-blue-900/30'
+                                                    : 'hover:bg-zinc-100 dark:hover:bg-zinc-800'
+                                            }`}
+                                        >
+                                            <div className="font-medium text-zinc-900 dark:text-zinc-50">
+                                                {rev.change_kind} · {rev.changed_by}
+                                                {index === 0 && <span className="ml-1 text-green-600 dark:text-green-400">(latest)</span>}
+                                            </div>
+                                            <div className="text-zinc-500 dark:text-zinc-400">{rev.created_at} · {rev.content_hash?.slice(0, 8) || 'empty'}</div>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <div className="flex-1 min-w-0 overflow-y-auto border border-zinc-200 dark:border-zinc-700 rounded-lg p-3">
+                                {!selectedRevision && (
+                                    <p className="text-sm text-zinc-500 dark:text-zinc-400">Select a revision to see what it changed.</p>
+                                )}
+                                {selectedRevision && !diff && (
+                                    <div className="animate-spin h-5 w-5 border-2 border-blue-500 border-t-transparent rounded-full" />
+                                )}
+                                {diff && (
+                                    <>
+                                        <div className="flex justify-between items-center mb-3">
+                                            <p className="text-xs text-zinc-500 dark:text-zinc-400">
+                                                Compared with {diff.against}: +{diff.summary.added} / -{diff.summary.removed} lines
+                                            </p>
+                                            <button
+                                                onClick={() => handleRevert(selectedRevision)}
+                                                disabled={reverting}
+                                                className="px-3 py-1 text-xs font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 rounded-lg transition-colors"
+                                            >
+                                                {reverting ? 'Reverting...' : '↩ Revert to this'}
+                                            </button>
+                                        </div>
+                                        <pre className="text-xs whitespace-pre-wrap font-mono">
+                                            {diff.diff.map((op, i) => (
+                                                <div key={i} className={DIFF_STYLES[op.type]}>{DIFF_PREFIX[op.type]} {op.text}</div>
+                                            ))}
+                                        </pre>
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
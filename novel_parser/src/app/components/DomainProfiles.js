@@ -0,0 +1,301 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+// Editable profile columns; an empty input falls back to the default
+const FIELDS = [
+    { key: 'min_delay_ms', label: 'Min delay (ms)' },
+    { key: 'max_delay_ms', label: 'Max delay (ms)' },
+    { key: 'max_concurrency', label: 'Parallel pages' },
+    { key: 'max_requests_per_hour', label: 'Requests / hour' }
+];
+
+// How pages are loaded (see parser/browserComponents/http_fetch.js)
+const FETCH_MODES = {
+    auto: 'plain HTTP, browser when needed',
+    http: 'plain HTTP only',
+    browser: 'browser only'
+};
+
+/**
+ * Per-site crawling rules: delays, parallel pages, hourly cap, allowed hours, robots.txt and how pages are loaded,
+ * plus the site's saved login cookies
+ */
+export default function DomainProfiles() {
+    const [profiles, setProfiles] = useState([]);
+    const [defaults, setDefaults] = useState({});
+    const [editing, setEditing] = useState(null); // { domain, ...form values }
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [loginDomain, setLoginDomain] = useState(null); // Site with an open login window
+
+    const fetchProfiles = useCallback(async () => {
+        try {
+            const response = await fetch('/api/domains');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setProfiles(data.profiles);
+            setDefaults(data.defaults);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchProfiles();
+    }, [fetchProfiles]);
+
+    const startEditing = (profile) => {
+        setEditing({
+            domain: profile.domain,
+            ...Object.fromEntries(FIELDS.map(f => [f.key, profile.custom ? profile[f.key] ?? '' : ''])),
+            allowed_hours: profile.custom ? profile.allowed_hours || '' : '',
+            respect_robots: !!profile.respect_robots,
+            fetch_mode: profile.custom ? profile.fetch_mode || '' : ''
+        });
+    };
+
+    // path: '' for the profile, '/cookies' or '/login'. Resolves to whether the request succeeded.
+    const request = async (domain, options, path = '') => {
+        setBusy(true);
+        try {
+            const response = await fetch(`/api/domains/${encodeURIComponent(domain)}${path}`, options);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setEditing(null);
+            setError(null);
+            setMessage(data.message || null);
+            await fetchProfiles();
+            return true;
+        } catch (e) {
+            setError(e.message);
+            setMessage(null);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = () => {
+        const { domain, ...values } = editing;
+        const body = {
+            ...Object.fromEntries(FIELDS.map(f => [f.key, values[f.key] === '' ? null : Number(values[f.key])])),
+            allowed_hours: values.allowed_hours,
+            respect_robots: values.respect_robots,
+            fetch_mode: values.fetch_mode || null
+        };
+        request(domain, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    };
+
+    const handleReset = (domain) => {
+        if (!confirm(`Reset ${domain} to the default settings and normal speed?`)) return;
+        request(domain, { method: 'DELETE' });
+    };
+
+    const handleCookieFile = async (domain, e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        const form = new FormData();
+        form.append('file', file);
+        request(domain, { method: 'POST', body: form }, '/cookies');
+    };
+
+    const handleLogin = async (domain, action) => {
+        const ok = await request(domain, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action })
+        }, '/login');
+        if (ok) setLoginDomain(action === 'start' ? domain : null);
+    };
+
+    const handleClearCookies = (domain) => {
+        if (!confirm(`Forget the saved cookies of ${domain}? The parser will no longer be logged in there.`)) return;
+        request(domain, { method: 'DELETE' }, '/cookies');
+    };
+
+    const formatDelay = (profile) => profile.min_delay_ms === profile.max_delay_ms
+        ? `${profile.min_delay_ms} ms`
+        : `${profile.min_delay_ms}–${profile.max_delay_ms} ms`;
+
+    return (
+        <div className="w-full max-w-4xl mx-auto p-6">
+            <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8">
+                <h2 className="text-2xl font-bold mb-2 text-zinc-900 dark:text-zinc-50">Websites</h2>
+                <p className="text-sm text-zinc-600 dark:text-zinc-400 mb-6">
+                    How politely each site is crawled. Empty fields use the defaults
+                    ({defaults.min_delay_ms}–{defaults.max_delay_ms} ms between requests, {defaults.max_concurrency} pages at once
+                    {defaults.max_requests_per_hour ? `, ${defaults.max_requests_per_hour} requests per hour` : ', no hourly limit'}).
+                    Allowed hours use the server&apos;s time, e.g. <code>22:00-06:00</code>.
+                    For sites that only show chapters to members, import a cookies.txt file or log in once in a browser window.
+                </p>
+
+                {error && <p className="mb-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+                {message && <p className="mb-4 text-sm text-green-700 dark:text-green-400">{message}</p>}
+                {loading && <p className="text-sm text-zinc-500 dark:text-zinc-400">Loading...</p>}
+                {!loading && profiles.length === 0 && (
+                    <p className="text-sm text-zinc-500 dark:text-zinc-400">No websites yet - add a novel first.</p>
+                )}
+
+                <div className="space-y-3">
+                    {profiles.map(profile => (
+                        <div key={profile.domain} className="border border-zinc-200 dark:border-zinc-700 rounded-lg p-4">
+                            <div className="flex justify-between items-start gap-4">
+                                <div>
+                                    <p className="font-medium text-zinc-900 dark:text-zinc-50">
+                                        {profile.domain}
+                                        {!profile.custom && <span className="ml-2 text-xs text-zinc-500">defaults</span>}
+                                    </p>
+                                    <p className="text-xs text-zinc-500 dark:text-zinc-400">
+                                        {formatDelay(profile)} · {profile.max_concurrency} at once
+                                        {profile.max_requests_per_hour && <> · max {profile.max_requests_per_hour}/h</>}
+                                        {profile.allowed_hours && <> · only {profile.allowed_hours}</>}
+                                        {' · '}{profile.respect_robots ? 'follows robots.txt' : 'ignores robots.txt'}
+                                        {' · '}{FETCH_MODES[profile.effective_fetch_mode]}
+                                        {' · '}{profile.requests_last_hour} requests in the last hour
+                                    </p>
+                                    <p className="text-xs text-zinc-500 dark:text-zinc-400">
+                                        {profile.cookies
+                                            ? <>Logged in: {profile.cookies.count} cookie(s) from {profile.cookies.source === 'login' ? 'the login window' : 'cookies.txt'}, saved {profile.cookies.updated_at} UTC</>
+                                            : 'Not logged in'}
+                                    </p>
+                                    <div className="mt-1 flex flex-wrap gap-2 text-xs">
+                                        <label className={`text-blue-600 dark:text-blue-400 ${busy ? 'opacity-50' : 'cursor-pointer hover:underline'}`}>
+                                            Import cookies.txt
+                                            <input
+                                                type="file"
+                                                accept=".txt,text/plain"
+                                                disabled={busy}
+                                                onChange={(e) => handleCookieFile(profile.domain, e)}
+                                                className="hidden"
+                                            />
+                                        </label>
+                                        {loginDomain === profile.domain ? (
+                                            <>
+                                                <button onClick={() => handleLogin(profile.domain, 'finish')} disabled={busy} className="text-green-700 dark:text-green-400 hover:underline disabled:opacity-50">
+                                                    Done – save cookies
+                                                </button>
+                                                <button onClick={() => handleLogin(profile.domain, 'cancel')} disabled={busy} className="text-zinc-600 dark:text-zinc-400 hover:underline disabled:opacity-50">
+                                                    Cancel login
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button onClick={() => handleLogin(profile.domain, 'start')} disabled={busy || !!loginDomain} className="text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50">
+                                                Log in in browser
+                                            </button>
+                                        )}
+                                        {profile.cookies && (
+                                            <button onClick={() => handleClearCookies(profile.domain)} disabled={busy} className="text-red-600 dark:text-red-400 hover:underline disabled:opacity-50">
+                                                Clear cookies
+                                            </button>
+                                        )}
+                                    </div>
+                                    {profile.throttle && (
+                                        <p className="text-xs text-orange-600 dark:text-orange-400">
+                                            Slowed down ×{profile.throttle.delay_multiplier.toFixed(1)} after HTTP {profile.throttle.last_status}
+                                            {profile.throttle.blocked_until > Date.now() && <> · paused until {new Date(profile.throttle.blocked_until).toLocaleTimeString()}</>}
+                                        </p>
+                                    )}
+                                </div>
+                                <div className="flex gap-2 shrink-0">
+                                    <button
+                                        onClick={() => startEditing(profile)}
+                                        disabled={busy}
+                                        className="px-3 py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+                                    >
+                                        Edit
+                                    </button>
+                                    {(profile.custom || profile.throttle) && (
+                                        <button
+                                            onClick={() => handleReset(profile.domain)}
+                                            disabled={busy}
+                                            className="px-3 py-1 text-xs text-red-700 bg-red-50 hover:bg-red-100 dark:text-red-300 dark:bg-red-900/30 dark:hover:bg-red-900/50 rounded disabled:opacity-50"
+                                        >
+                                            Reset
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {editing?.domain === profile.domain && (
+                                <div className="mt-4 grid grid-cols-2 gap-3">
+                                    {FIELDS.map(f => (
+                                        <label key={f.key} className="flex justify-between items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                                            {f.label}
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={editing[f.key]}
+                                                placeholder={defaults[f.key] != null ? `default ${defaults[f.key]}` : 'no limit'}
+                                                onChange={(e) => setEditing({ ...editing, [f.key]: e.target.value })}
+                                                className="w-28 px-2 py-1 text-sm border rounded dark:bg-zinc-900 dark:border-zinc-600"
+                                            />
+                                        </label>
+                                    ))}
+                                    <label className="flex justify-between items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                                        Allowed hours
+                                        <input
+                                            type="text"
+                                            value={editing.allowed_hours}
+                                            placeholder="any time"
+                                            onChange={(e) => setEditing({ ...editing, allowed_hours: e.target.value })}
+                                            className="w-28 px-2 py-1 text-sm border rounded dark:bg-zinc-900 dark:border-zinc-600"
+                                        />
+                                    </label>
+                                    <label className="flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                                        <input
+                                            type="checkbox"
+                                            checked={editing.respect_robots}
+                                            onChange={(e) => setEditing({ ...editing, respect_robots: e.target.checked })}
+                                        />
+                                        Follow robots.txt{profile.has_robots_txt ? '' : ' (none found yet)'}
+                                    </label>
+                                    <label className="col-span-2 flex justify-between items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                                        Load pages with
+                                        <select
+                                            value={editing.fetch_mode}
+                                            onChange={(e) => setEditing({ ...editing, fetch_mode: e.target.value })}
+                                            className="px-2 py-1 text-sm border rounded dark:bg-zinc-900 dark:border-zinc-600"
+                                        >
+                                            <option value="">default</option>
+                                            {Object.entries(FETCH_MODES).map(([mode, label]) => (
+                                                <option key={mode} value={mode}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </label>
+                                    <div className="col-span-2 flex gap-2">
+                                        <button
+                                            onClick={handleSave}
+                                            disabled={busy}
+                                            className="px-4 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-400"
+                                        >
+                                            Save
+                                        </button>
+                                        <button
+                                            onClick={() => setEditing(null)}
+                                            disabled={busy}
+                                            className="px-4 py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import { useState } from 'react';
+
+// Fields shown in the popover; empty input = use the parser default
+const FIELDS = [
+    { key: 'retry_max_attempts', label: 'Max attempts', placeholder: 'default 5' },
+    { key: 'retry_base_delay_seconds', label: 'First retry after (s)', placeholder: 'default 300' },
+    { key: 'update_interval_hours', label: 'Check TOC every (h)', placeholder: 'default 24' }
+];
+
+/**
+ * Popover with per-novel parser settings, a "retry failed now" and a "re-parse from saved pages" action
+ */
+export default function NovelSettings({ novel, onClose, onSaved }) {
+    const [values, setValues] = useState(() =>
+        Object.fromEntries(FIELDS.map(f => [f.key, novel[f.key] ?? '']))
+    );
+    const [ongoing, setOngoing] = useState(novel.ongoing === 1);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const request = async (url, options) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const response = await fetch(url, options);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            onSaved?.();
+            return data;
+        } catch (e) {
+            setMessage(`✗ ${e.message}`);
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = async () => {
+        const body = {
+            ...Object.fromEntries(FIELDS.map(f => [f.key, values[f.key] === '' ? null : Number(values[f.key])])),
+            ongoing
+        };
+        const data = await request(`/api/novels/${novel.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (data) setMessage('✓ Saved');
+    };
+
+    const handleRetry = async () => {
+        const data = await request(`/api/novels/${novel.id}/retry`, { method: 'POST' });
+        if (data) setMessage(`✓ ${data.message}`);
+    };
+
+    const handleReparse = async () => {
+        if (!confirm('Extract this novel again from its saved pages? Changed chapters get a new revision.')) return;
+        const data = await request(`/api/novels/${novel.id}/reparse`, { method: 'POST' });
+        if (data) setMessage(`✓ ${data.message}`);
+    };
+
+    return (
+        <div className="absolute right-0 mt-2 w-64 bg-white dark:bg-zinc-800 border border-zinc-200 dark:border-zinc-600 rounded-lg shadow-xl z-10 p-3 flex flex-col gap-2">
+            <div className="flex justify-between items-center">
+                <p className="text-xs font-semibold text-zinc-700 dark:text-zinc-300">Parser settings</p>
+                <button onClick={onClose} className="text-xs text-zinc-500 hover:text-zinc-800 dark:hover:text-zinc-200">✕</button>
+            </div>
+
+            {FIELDS.map(f => (
+                <label key={f.key} className="flex justify-between items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                    {f.label}
+                    <input
+                        type="number"
+                        min="1"
+                        value={values[f.key]}
+                        placeholder={f.placeholder}
+                        onChange={(e) => setValues({ ...values, [f.key]: e.target.value })}
+                        className="w-24 px-2 py-1 text-sm border rounded dark:bg-zinc-900 dark:border-zinc-600"
+                    />
+                </label>
+            ))}
+
+            <label className="flex items-center gap-2 text-xs text-zinc-600 dark:text-zinc-400">
+                <input type="checkbox" checked={ongoing} onChange={(e) => setOngoing(e.target.checked)} />
+                Ongoing - look for new chapters
+            </label>
+
+            <button
+                onClick={handleSave}
+                disabled={busy}
+                className="w-full py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-400"
+            >
+                Save
+            </button>
+            <button
+                onClick={handleRetry}
+                disabled={busy}
+                className="w-full py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+            >
+                ↻ Retry failed now
+            </button>
+            <button
+                onClick={handleReparse}
+                disabled={busy}
+                title="Runs the current extraction rules over the pages saved when they were fetched - no downloads"
+                className="w-full py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+            >
+                ♻ Re-parse from saved pages
+            </button>
+
+            {message && <p className="text-xs text-zinc-600 dark:text-zinc-400 break-words">{message}</p>}
+        </div>
+    );
+}
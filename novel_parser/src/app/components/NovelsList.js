@@ -4,12 +4,15 @@ import { useState, useEffect } from 'react';
 import { generateEpub } from './epubGenerator.js';
 import { cleanNovelChapters } from '../../../scripts/cleaners/ChapterCleaning.js'; // Import the new action
 import { cleaningMethod } from './cleaningMethod.js'; // Import constants
+import ChapterHistory from './ChapterHistory.js';
+import NovelSettings from './NovelSettings.js';
 
 const STATUS_LABELS = {
     0: { label: 'Pending', color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-300' },
     1: { label: 'Success', color: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-300' },
     2: { label: 'Processing', color: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-300' },
-    '-1': { label: 'Error', color: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-300' }
+    '-1': { label: 'Error', color: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-300' },
+    '-2': { label: 'Dead', color: 'bg-zinc-200 text-zinc-800 dark:bg-zinc-700 dark:text-zinc-300' }
 };
 
 export default function NovelsList() {
@@ -17,6 +20,7 @@ export default function NovelsList() {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [filter, setFilter] = useState('all');
+    const [showArchived, setShowArchived] = useState(false);
     const [downloadingId, setDownloadingId] = useState(null);
 
     // New State for Cleaning UI
@@ -24,12 +28,26 @@ export default function NovelsList() {
     const [showCleanModal, setShowCleanModal] = useState(null); // ID of novel to show modal for
     const [selectedMethod, setSelectedMethod] = useState(cleaningMethod.LotV);
 
+    // Novel whose chapter revision history is open
+    const [historyNovel, setHistoryNovel] = useState(null);
+
+    // Novel whose settings popover is open
+    const [settingsId, setSettingsId] = useState(null);
+
+    // Novel being archived/unarchived or deleted
+    const [removingId, setRemovingId] = useState(null);
+
+    // Chapters being fetched right now, per novel (from the parser's live events)
+    const [activeChapters, setActiveChapters] = useState({});
+    const [eventRefresh, setEventRefresh] = useState(0); // bumped by events that need a refetch
+
     const fetchNovels = async () => {
         try {
             setError(null);
-            const url = filter === 'all'
-                ? '/api/novels'
-                : `/api/novels?status=${filter}`;
+            const params = new URLSearchParams();
+            if (filter !== 'all') params.set('status', filter);
+            if (showArchived) params.set('archived', '1');
+            const url = `/api/novels?${params}`;
 
             const response = await fetch(url);
             if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
@@ -87,11 +105,88 @@ export default function NovelsList() {
         }
     };
 
+    const handleArchive = async (novel, archived) => {
+        setRemovingId(novel.id);
+        try {
+            const response = await fetch(`/api/novels/${novel.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ archived })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            fetchNovels();
+        } catch (e) {
+            alert(`Failed to ${archived ? 'archive' : 'unarchive'} novel: ${e.message}`);
+        } finally {
+            setRemovingId(null);
+        }
+    };
+
+    // Higher priority novels are parsed first (see the queue policy in getChaptersDueForParse)
+    const handlePriority = async (novel, change) => {
+        try {
+            const response = await fetch(`/api/novels/${novel.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ priority: novel.priority + change })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            fetchNovels();
+        } catch (e) {
+            alert(`Failed to change priority: ${e.message}`);
+        }
+    };
+
+    const handleDelete = async (novel) => {
+        const name = novel.title || novel.url;
+        if (!confirm(`Delete "${name}" permanently?\n\nAll chapters, history, the cover, its EPUB and fonts only it uses will be removed. Use Archive to just hide it.`)) {
+            return;
+        }
+
+        setRemovingId(novel.id);
+        try {
+            const response = await fetch(`/api/novels/${novel.id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            fetchNovels();
+        } catch (e) {
+            alert(`Failed to delete novel: ${e.message}`);
+        } finally {
+            setRemovingId(null);
+        }
+    };
+
     useEffect(() => {
         fetchNovels();
         const interval = setInterval(fetchNovels, 10000);
         return () => clearInterval(interval);
-    }, [filter]);
+    }, [filter, showArchived, eventRefresh]);
+
+    // Live progress: count parsed chapters as the parser reports them, refetch when novels change
+    useEffect(() => {
+        const source = new EventSource('/api/parser/events');
+        source.onmessage = (message) => {
+            const { type, novel_id: novelId, chapter_id: chapterId, data } = JSON.parse(message.data);
+
+            if (type === 'chapter_started') {
+                setActiveChapters(prev => ({ ...prev, [novelId]: { ...prev[novelId], [chapterId]: data.number } }));
+            } else if (type === 'chapter_succeeded' || type === 'chapter_failed') {
+                setActiveChapters(prev => {
+                    const { [chapterId]: _done, ...rest } = prev[novelId] || {};
+                    return { ...prev, [novelId]: rest };
+                });
+                if (type === 'chapter_succeeded') {
+                    setNovels(prev => prev.map(n => n.id === novelId ? { ...n, parsed_chapters: n.parsed_chapters + 1 } : n));
+                }
+            } else if (['novel_discovered', 'novel_failed', 'novel_checked', 'run_finished'].includes(type)) {
+                if (type === 'run_finished') setActiveChapters({});
+                setEventRefresh(n => n + 1);
+            }
+        };
+        return () => source.close();
+    }, []);
 
     if (loading) {
         return (
@@ -117,36 +212,91 @@ export default function NovelsList() {
             <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8 flex flex-col gap-4">
                 <div className="flex justify-between items-center mb-6">
                     <h2 className="text-2xl font-bold text-zinc-900 dark:text-zinc-50">Novels ({novels.length})</h2>
-                    <select
-                        value={filter}
-                        onChange={(e) => setFilter(e.target.value)}
-                        className="px-4 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    >
-                        <option value="all">All Status</option>
-                        <option value="0">Pending</option>
-                        <option value="2">Processing</option>
-                        <option value="1">Success</option>
-                        <option value="-1">Error</option>
-                    </select>
+                    <div className="flex items-center gap-3">
+                        <label className="flex items-center gap-1 text-sm text-zinc-600 dark:text-zinc-400">
+                            <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+                            Archived
+                        </label>
+                        <select
+                            value={filter}
+                            onChange={(e) => setFilter(e.target.value)}
+                            className="px-4 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                            <option value="all">All Status</option>
+                            <option value="0">Pending</option>
+                            <option value="2">Processing</option>
+                            <option value="1">Success</option>
+                            <option value="-1">Error</option>
+                            <option value="-2">Dead</option>
+                        </select>
+                    </div>
                 </div>
 
                 <div className={`flex flex-col gap-2 w-full mx-auto border border-zinc-200 dark:border-zinc-700 rounded-lg p-4`}>
                     <div>1. when a novel has status <strong>{STATUS_LABELS[1].label || 'Unknown'}</strong>, click <strong>clean</strong> - it will remove most of watermarks and descramble text.</div>
                     <div>2. click <strong>EPUB</strong> to download the file.</div>
+                    <div>3. if a cleaner mangled the text, open <strong>History</strong> to compare and revert chapters.</div>
                 </div>
 
                 {novels.length === 0 ? (
-                    <p className="text-center text-zinc-500 dark:text-zinc-400 py-8">No novels found. Add one to get started!</p>
+                    <p className="text-center text-zinc-500 dark:text-zinc-400 py-8">
+                        {showArchived ? 'No archived novels.' : 'No novels found. Add one to get started!'}
+                    </p>
                 ) : (
                     <div className="space-y-4">
                         {novels.map((novel) => (
                             <div key={novel.id} className="border border-zinc-200 dark:border-zinc-700 rounded-lg p-4 hover:bg-zinc-50 dark:hover:bg-zinc-800 transition-colors relative">
                                 <div className="flex justify-between items-start gap-4">
                                     <div className="flex-1 min-w-0">
-                                        <h3 className="font-semibold text-zinc-900 dark:text-zinc-50 mb-1">{novel.title || 'Untitled'}</h3>
+                                        <div className="flex items-center gap-2 mb-1">
+                                            <h3 className="font-semibold text-zinc-900 dark:text-zinc-50">{novel.title || 'Untitled'}</h3>
+                                            <div className="flex items-center text-xs text-zinc-500 dark:text-zinc-400" title="Parse priority - higher is parsed first">
+                                                <button onClick={() => handlePriority(novel, 1)} className="px-1 hover:text-blue-600 dark:hover:text-blue-400">▲</button>
+                                                {novel.priority !== 0 && <span className={novel.priority > 0 ? 'text-blue-600 dark:text-blue-400' : ''}>{novel.priority > 0 ? `+${novel.priority}` : novel.priority}</span>}
+                                                <button onClick={() => handlePriority(novel, -1)} className="px-1 hover:text-blue-600 dark:hover:text-blue-400">▼</button>
+                                            </div>
+                                        </div>
                                         {novel.author && <p className="text-sm text-zinc-600 dark:text-zinc-400 mb-2">by {novel.author}</p>}
                                         <p className="text-sm text-zinc-500 dark:text-zinc-500 truncate">{novel.url}</p>
-                                        {novel.total_chapters > 0 && <p className="text-sm text-zinc-600 dark:text-zinc-400 mt-2">📚 {novel.total_chapters} chapters</p>}
+                                        {novel.total_chapters > 0 && (
+                                            <p className="text-sm text-zinc-600 dark:text-zinc-400 mt-2">
+                                                📚 {novel.total_chapters} chapters
+                                                {novel.volume_count > 0 && <> in {novel.volume_count} volumes</>}
+                                            </p>
+                                        )}
+                                        {novel.chapter_count > 0 && (
+                                            <div className="mt-2 max-w-md">
+                                                <div className="h-1.5 bg-zinc-200 dark:bg-zinc-700 rounded-full overflow-hidden">
+                                                    <div
+                                                        className="h-full bg-green-500 transition-all"
+                                                        style={{ width: `${Math.min(100, (novel.parsed_chapters / novel.chapter_count) * 100)}%` }}
+                                                    />
+                                                </div>
+                                                <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+                                                    {novel.parsed_chapters}/{novel.chapter_count} parsed
+                                                    {Object.keys(activeChapters[novel.id] || {}).length > 0 && (
+                                                        <> · ⏳ fetching chapter {Object.values(activeChapters[novel.id]).join(', ')}</>
+                                                    )}
+                                                </p>
+                                            </div>
+                                        )}
+                                        {novel.ongoing === 1 && (
+                                            <p className="text-xs text-zinc-500 dark:text-zinc-400 mt-1">
+                                                🔄 Ongoing · checked {novel.last_update_check_at ? `${novel.last_update_check_at} UTC` : 'not yet'}
+                                                {novel.last_new_chapter_at && <> · newest chapter found {novel.last_new_chapter_at} UTC</>}
+                                            </p>
+                                        )}
+                                        {(novel.status === -1 || novel.status === -2) && novel.last_error && (
+                                            <p className="text-xs text-red-600 dark:text-red-400 mt-2 break-words" title={`Attempt ${novel.attempt_count} at ${novel.last_attempt_at}`}>
+                                                ✗ {novel.error_kind}: {novel.last_error}
+                                                {novel.status === -1 && novel.next_attempt_at && <> · next retry {novel.next_attempt_at} UTC</>}
+                                            </p>
+                                        )}
+                                        {(novel.failed_chapters > 0 || novel.dead_chapters > 0) && (
+                                            <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                                                ⚠ {novel.failed_chapters} chapters waiting to retry, {novel.dead_chapters} given up - see History for details
+                                            </p>
+                                        )}
                                     </div>
 
                                     <div className="flex flex-col items-end gap-2">
@@ -163,7 +313,11 @@ export default function NovelsList() {
                                             {novel.total_chapters > 0 && (
                                                 <div className="relative">
                                                     <button
-                                                        onClick={() => setShowCleanModal(showCleanModal === novel.id ? null : novel.id)}
+                                                        onClick={() => {
+                                                            // Start from the cleaner the novel's site usually needs
+                                                            setSelectedMethod(novel.cleaning_method ?? cleaningMethod.LotV);
+                                                            setShowCleanModal(showCleanModal === novel.id ? null : novel.id);
+                                                        }}
                                                         disabled={cleaningId === novel.id}
                                                         className="px-3 py-1 text-xs font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg transition-colors flex items-center gap-1"
                                                     >
@@ -197,6 +351,29 @@ export default function NovelsList() {
                                                 </div>
                                             )}
 
+                                            {/* HISTORY BUTTON */}
+                                            {novel.total_chapters > 0 && (
+                                                <button
+                                                    onClick={() => setHistoryNovel(novel)}
+                                                    className="px-3 py-1 text-xs font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg transition-colors"
+                                                >
+                                                    🕘 History
+                                                </button>
+                                            )}
+
+                                            {/* SETTINGS BUTTON */}
+                                            <div className="relative">
+                                                <button
+                                                    onClick={() => setSettingsId(settingsId === novel.id ? null : novel.id)}
+                                                    className="px-3 py-1 text-xs font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg transition-colors"
+                                                >
+                                                    ⚙ Settings
+                                                </button>
+                                                {settingsId === novel.id && (
+                                                    <NovelSettings novel={novel} onClose={() => setSettingsId(null)} onSaved={fetchNovels} />
+                                                )}
+                                            </div>
+
                                             {/* DOWNLOAD BUTTON */}
                                             {novel.status === 1 && novel.total_chapters > 0 && (
                                                 <button
@@ -214,6 +391,22 @@ export default function NovelsList() {
                                                     )}
                                                 </button>
                                             )}
+
+                                            {/* ARCHIVE / DELETE BUTTONS */}
+                                            <button
+                                                onClick={() => handleArchive(novel, !novel.archived_at)}
+                                                disabled={removingId === novel.id}
+                                                className="px-3 py-1 text-xs font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 disabled:opacity-50 rounded-lg transition-colors"
+                                            >
+                                                {novel.archived_at ? '📤 Unarchive' : '📦 Archive'}
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(novel)}
+                                                disabled={removingId === novel.id}
+                                                className="px-3 py-1 text-xs font-medium text-red-700 bg-red-50 hover:bg-red-100 dark:text-red-300 dark:bg-red-900/20 dark:hover:bg-red-900/40 disabled:opacity-50 rounded-lg transition-colors"
+                                            >
+                                                🗑 Delete
+                                            </button>
                                         </div>
                                     </div>
                                 </div>
@@ -222,6 +415,10 @@ export default function NovelsList() {
                     </div>
                 )}
             </div>
+
+            {historyNovel && (
+                <ChapterHistory novel={historyNovel} onClose={() => setHistoryNovel(null)} />
+            )}
         </div>
     );
 }
\ No newline at end of file
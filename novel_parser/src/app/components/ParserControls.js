@@ -0,0 +1,186 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+const STATE_LABELS = {
+    idle: { label: 'Idle', color: 'bg-zinc-100 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-300' },
+    running: { label: 'Running', color: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-300' },
+    paused: { label: 'Paused', color: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-300' },
+    cancelling: { label: 'Stopping...', color: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-300' }
+};
+
+// Events that change the run's status; the status is refetched when one arrives
+const STATUS_EVENTS = new Set(['run_started', 'run_finished', 'stage', 'paused', 'resumed', 'needs_human', 'human_resolved']);
+
+/**
+ * One line describing a parser event (see parser/events.js)
+ */
+function describeEvent({ type, data }) {
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    switch (type) {
+        case 'run_started': return 'Run started';
+        case 'run_finished': return `Run ${data.state}${data.error ? `: ${data.error}` : ''}`;
+        case 'stage': return `Working on ${data.total} ${data.stage === 'updates' ? 'update checks' : data.stage}`;
+        case 'paused': return 'Paused';
+        case 'resumed': return 'Resumed';
+        case 'budget_reached': return `Stopping: ${data.reason}`;
+        case 'novel_discovered': return `Found ${data.chapters} chapters of ${data.title || 'a novel'}`;
+        case 'novel_failed': return `Novel failed: ${data.error}`;
+        case 'novel_checked': return `${data.title || 'Novel'}: ${data.newChapters} new chapters`;
+        case 'chapter_started': return `Fetching chapter ${data.number ?? ''} ${data.title || ''}`;
+        case 'chapter_succeeded': return `Parsed ${data.title || `chapter ${data.number}`}`;
+        case 'chapter_failed': return `Failed ${data.title || 'chapter'}: ${data.error}`;
+        case 'page_recycled': return 'Recycling browser page';
+        case 'needs_human': return `${data.reason} on ${data.domain} - waiting for you`;
+        case 'human_resolved': return `${data.domain}: check ${data.state}`;
+        case 'waiting': return `Waiting ${seconds(data.ms)} (${data.reason}${data.domain ? `, ${data.domain}` : ''})`;
+        default: return type;
+    }
+}
+
+function formatMegabytes(bytes) {
+    return `${((bytes || 0) / 1024 / 1024).toFixed(1)} MB`;
+}
+
+const buttonClass = 'px-3 py-1 text-xs font-medium text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded-lg transition-colors disabled:opacity-50';
+
+/**
+ * Parser status with pause / resume / cancel buttons, and the pages waiting for someone to solve a CAPTCHA
+ */
+export default function ParserControls() {
+    const [status, setStatus] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const [activity, setActivity] = useState(null);
+
+    const fetchStatus = useCallback(async () => {
+        try {
+            const response = await fetch('/api/parser/status');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setStatus(data);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchStatus();
+        const interval = setInterval(fetchStatus, 30000);
+        return () => clearInterval(interval);
+    }, [fetchStatus]);
+
+    // Live activity line
+    useEffect(() => {
+        const source = new EventSource('/api/parser/events');
+        source.onmessage = (message) => {
+            const event = JSON.parse(message.data);
+            setActivity({ text: describeEvent(event), at: event.created_at });
+            if (STATUS_EVENTS.has(event.type)) fetchStatus();
+        };
+        return () => source.close();
+    }, [fetchStatus]);
+
+    const send = async (action) => {
+        if (action === 'cancel' && !confirm('Stop the parser? Pages being fetched right now are finished first.')) return;
+
+        setBusy(true);
+        try {
+            const response = await fetch(`/api/parser/${action}`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setStatus(data);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // A page stuck on a CAPTCHA (see parser/challenges.js): solved in the browser window, then continued here
+    const answer = async (challenge, action) => {
+        setBusy(true);
+        try {
+            const response = await fetch(`/api/parser/challenges/${challenge.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            await fetchStatus();
+            setBusy(false);
+        }
+    };
+
+    if (!status) {
+        return error ? <p className="text-center text-sm text-red-600 dark:text-red-400">{error}</p> : null;
+    }
+
+    const { label, color } = STATE_LABELS[status.state] || STATE_LABELS.idle;
+    const run = status.run;
+    const active = run && !run.finished_at;
+
+    return (
+        <div className="w-full max-w-4xl mx-auto px-6">
+            <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg px-8 py-4 flex flex-wrap justify-between items-center gap-4">
+                <div className="flex items-center gap-3">
+                    <span className="text-sm font-semibold text-zinc-900 dark:text-zinc-50">Parser</span>
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${color}`}>{label}</span>
+                    {active && run.stage && <span className="text-xs text-zinc-500 dark:text-zinc-400">{run.stage}</span>}
+                    {!active && run && (
+                        <span className="text-xs text-zinc-500 dark:text-zinc-400">
+                            last run {run.state} at {run.finished_at} UTC
+                            {run.stop_reason && ` (${run.stop_reason})`}
+                        </span>
+                    )}
+                    {run && (
+                        <span className="text-xs text-zinc-500 dark:text-zinc-400">
+                            {run.items_done} items · {formatMegabytes(run.bytes_downloaded)}
+                        </span>
+                    )}
+                </div>
+
+                <div className="flex gap-2">
+                    {status.paused ? (
+                        <button onClick={() => send('resume')} disabled={busy} className={buttonClass}>▶ Resume</button>
+                    ) : (
+                        <button onClick={() => send('pause')} disabled={busy} className={buttonClass}>⏸ Pause</button>
+                    )}
+                    {active && status.state !== 'cancelling' && (
+                        <button onClick={() => send('cancel')} disabled={busy} className={buttonClass}>⏹ Cancel run</button>
+                    )}
+                </div>
+
+                {status.challenges?.map(challenge => (
+                    <div key={challenge.id} className="w-full p-3 rounded-lg bg-yellow-50 border border-yellow-300 dark:bg-yellow-900/20 dark:border-yellow-700 flex flex-wrap justify-between items-center gap-3">
+                        <div className="text-sm text-yellow-900 dark:text-yellow-200 min-w-0">
+                            <p className="font-medium">🧩 {challenge.reason} on {challenge.domain} needs you</p>
+                            <p className="text-xs">
+                                Solve it in the parser&apos;s Chrome window, then press Continue:{' '}
+                                <a href={challenge.url} target="_blank" rel="noopener noreferrer" className="underline break-all">{challenge.url}</a>
+                            </p>
+                            <p className="text-xs opacity-75">Waiting since {new Date(challenge.created_at).toLocaleTimeString()}; other pages of this site wait too.</p>
+                        </div>
+                        <div className="flex gap-2 shrink-0">
+                            <button onClick={() => answer(challenge, 'continue')} disabled={busy} className="px-3 py-1 text-xs font-medium text-white bg-green-600 hover:bg-green-700 rounded-lg disabled:opacity-50">✓ Continue</button>
+                            <button onClick={() => answer(challenge, 'skip')} disabled={busy} className={buttonClass}>Skip</button>
+                        </div>
+                    </div>
+                ))}
+                {activity && (
+                    <p className="w-full text-xs text-zinc-500 dark:text-zinc-400 truncate" title={activity.text}>
+                        {new Date(activity.at).toLocaleTimeString()} · {activity.text}
+                    </p>
+                )}
+                {error && <p className="w-full text-xs text-red-600 dark:text-red-400">{error}</p>}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+
+export default function SearchLibrary() {
+    const [query, setQuery] = useState('');
+    const [novelId, setNovelId] = useState('');
+    const [novels, setNovels] = useState([]);
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Novel list for the filter dropdown
+    useEffect(() => {
+        fetch('/api/novels')
+            .then(res => res.json())
+            .then(data => data.success && setNovels(data.novels))
+            .catch(() => {});
+    }, []);
+
+    // Debounced search as the user types
+    useEffect(() => {
+        if (!query.trim()) {
+            setResults(null);
+            return;
+        }
+
+        const timeout = setTimeout(async () => {
+            setLoading(true);
+            try {
+                setError(null);
+                const params = new URLSearchParams({ q: query.trim() });
+                if (novelId) params.set('novelId', novelId);
+
+                const response = await fetch(`/api/search?${params}`);
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Search failed');
+                setResults(data);
+            } catch (e) {
+                setError(e.message);
+            } finally {
+                setLoading(false);
+            }
+        }, 300);
+
+        return () => clearTimeout(timeout);
+    }, [query, novelId]);
+
+    return (
+        <div className="w-full max-w-4xl mx-auto p-6">
+            <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8">
+                <h2 className="text-2xl font-bold mb-6 text-zinc-900 dark:text-zinc-50">Search Library</h2>
+
+                <div className="flex gap-2">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder='Search chapters, titles, authors... use "quotes" for phrases'
+                        className="flex-1 px-4 py-3 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-50 placeholder-zinc-400 dark:placeholder-zinc-500 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <select
+                        value={novelId}
+                        onChange={(e) => setNovelId(e.target.value)}
+                        className="px-4 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 text-zinc-900 dark:text-zinc-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All novels</option>
+                        {novels.map((n) => (
+                            <option key={n.id} value={n.id}>{n.title || n.url}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {loading && <p className="mt-4 text-sm text-zinc-500 dark:text-zinc-400">Searching...</p>}
+                {error && <p className="mt-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+                {results && !loading && (
+                    <div className="mt-6 space-y-4">
+                        {results.novels.length === 0 && results.chapters.length === 0 && (
+                            <p className="text-sm text-zinc-500 dark:text-zinc-400">No matches.</p>
+                        )}
+
+                        {results.novels.map((n) => (
+                            <div key={`novel-${n.id}`} className="border border-zinc-200 dark:border-zinc-700 rounded-lg p-3">
+                                <p className="text-xs uppercase text-zinc-500 dark:text-zinc-400 mb-1">Novel</p>
+                                <p className="font-semibold text-zinc-900 dark:text-zinc-50" dangerouslySetInnerHTML={{ __html: n.title_highlight }} />
+                                {n.snippet && <p className="text-sm text-zinc-600 dark:text-zinc-400" dangerouslySetInnerHTML={{ __html: n.snippet }} />}
+                            </div>
+                        ))}
+
+                        {results.chapters.map((c) => (
+                            <Link
+                                key={`chapter-${c.id}`}
+                                href={`/chapters/${c.id}?q=${encodeURIComponent(query.trim())}`}
+                                className="block border border-zinc-200 dark:border-zinc-700 rounded-lg p-3 hover:bg-zinc-50 dark:hover:bg-zinc-800 transition-colors"
+                            >
+                                <p className="text-xs text-zinc-500 dark:text-zinc-400 mb-1">{c.novel_title || 'Untitled'} · #{c.chapter_number}</p>
+                                <p className="font-semibold text-zinc-900 dark:text-zinc-50">{c.title || 'Untitled Chapter'}</p>
+                                <p className="text-sm text-zinc-600 dark:text-zinc-400" dangerouslySetInnerHTML={{ __html: c.snippet }} />
+                            </Link>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,185 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+// Fields edited as a list, one selector per line
+const LIST_FIELDS = new Set(['remove']);
+
+const inputClass = 'w-full px-2 py-1 text-sm font-mono border rounded dark:bg-zinc-900 dark:border-zinc-600';
+
+/**
+ * Per-site extraction rules: CSS selectors for the novel page and the chapter pages
+ */
+export default function SiteRules() {
+    const [sites, setSites] = useState([]);
+    const [fields, setFields] = useState({});
+    const [editing, setEditing] = useState(null); // { domain, ...form values }
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const response = await fetch('/api/site-rules');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setSites(data.sites);
+            setFields(data.fields);
+            setError(null);
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    const startEditing = (site) => {
+        const rules = site.rules || {};
+        setEditing({
+            domain: site.domain,
+            ...Object.fromEntries(Object.keys(fields).map(key => [
+                key,
+                LIST_FIELDS.has(key) ? (rules[key] || []).join('\n') : rules[key] || ''
+            ]))
+        });
+    };
+
+    const request = async (domain, options) => {
+        setBusy(true);
+        try {
+            const response = await fetch(`/api/site-rules/${encodeURIComponent(domain)}`, options);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            setEditing(null);
+            setError(null);
+            await fetchRules();
+        } catch (e) {
+            setError(e.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = () => {
+        const { domain, ...values } = editing;
+        const rules = Object.fromEntries(Object.keys(fields).map(key => [
+            key,
+            LIST_FIELDS.has(key)
+                ? values[key].split('\n').map(line => line.trim()).filter(Boolean)
+                : values[key].trim()
+        ]));
+        request(domain, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rules })
+        });
+    };
+
+    const handleRemove = (domain) => {
+        if (!confirm(`Remove the extraction rules of ${domain}?`)) return;
+        request(domain, { method: 'DELETE' });
+    };
+
+    return (
+        <div className="w-full max-w-4xl mx-auto p-6">
+            <div className="bg-white dark:bg-zinc-900 rounded-lg shadow-lg p-8">
+                <h2 className="text-2xl font-bold mb-2 text-zinc-900 dark:text-zinc-50">Extraction rules</h2>
+                <p className="text-sm text-zinc-600 dark:text-zinc-400 mb-6">
+                    Tell the parser where things are on a site, using CSS selectors such as <code>h1.title</code> or <code>#chapter-content</code>.
+                    Leave a field empty to let the parser find it by itself. New rules are used within a minute, for pages parsed from then on.
+                </p>
+
+                {error && <p className="mb-4 text-sm text-red-600 dark:text-red-400">{error}</p>}
+                {loading && <p className="text-sm text-zinc-500 dark:text-zinc-400">Loading...</p>}
+                {!loading && sites.length === 0 && (
+                    <p className="text-sm text-zinc-500 dark:text-zinc-400">No websites yet - add a novel first.</p>
+                )}
+
+                <div className="space-y-3">
+                    {sites.map(site => (
+                        <div key={site.domain} className="border border-zinc-200 dark:border-zinc-700 rounded-lg p-4">
+                            <div className="flex justify-between items-start gap-4">
+                                <div>
+                                    <p className="font-medium text-zinc-900 dark:text-zinc-50">
+                                        {site.domain}
+                                        {site.adapter !== 'generic' && <span className="ml-2 text-xs text-zinc-500">built-in: {site.adapter}</span>}
+                                    </p>
+                                    <p className="text-xs text-zinc-500 dark:text-zinc-400">
+                                        {site.rules
+                                            ? `Rules for ${Object.keys(site.rules).join(', ')} · saved ${site.updated_at} UTC`
+                                            : 'No rules'}
+                                    </p>
+                                </div>
+                                <div className="flex gap-2 shrink-0">
+                                    <button
+                                        onClick={() => startEditing(site)}
+                                        disabled={busy}
+                                        className="px-3 py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+                                    >
+                                        Edit
+                                    </button>
+                                    {site.rules && (
+                                        <button
+                                            onClick={() => handleRemove(site.domain)}
+                                            disabled={busy}
+                                            className="px-3 py-1 text-xs text-red-700 bg-red-50 hover:bg-red-100 dark:text-red-300 dark:bg-red-900/30 dark:hover:bg-red-900/50 rounded disabled:opacity-50"
+                                        >
+                                            Remove
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {editing?.domain === site.domain && (
+                                <div className="mt-4 space-y-3">
+                                    {Object.entries(fields).map(([key, label]) => (
+                                        <label key={key} className="block text-xs text-zinc-600 dark:text-zinc-400">
+                                            <span className="block mb-1">{label}</span>
+                                            {LIST_FIELDS.has(key) ? (
+                                                <textarea
+                                                    rows={3}
+                                                    value={editing[key]}
+                                                    placeholder="one selector per line"
+                                                    onChange={(e) => setEditing({ ...editing, [key]: e.target.value })}
+                                                    className={inputClass}
+                                                />
+                                            ) : (
+                                                <input
+                                                    type="text"
+                                                    value={editing[key]}
+                                                    placeholder="found automatically"
+                                                    onChange={(e) => setEditing({ ...editing, [key]: e.target.value })}
+                                                    className={inputClass}
+                                                />
+                                            )}
+                                        </label>
+                                    ))}
+                                    <div className="flex gap-2">
+                                        <button
+                                            onClick={handleSave}
+                                            disabled={busy}
+                                            className="px-4 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-blue-400"
+                                        >
+                                            Save
+                                        </button>
+                                        <button
+                                            onClick={() => setEditing(null)}
+                                            disabled={busy}
+                                            className="px-4 py-1 text-xs text-zinc-700 bg-zinc-100 hover:bg-zinc-200 dark:text-zinc-300 dark:bg-zinc-700 dark:hover:bg-zinc-600 rounded disabled:opacity-50"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -3,7 +3,9 @@
 import fs from 'fs';
 import path from 'path';
 import archiver from 'archiver';
-import { novelsDb, chaptersDb } from '../../../db/db_init.js';
+import { novelsDb, chaptersDb, volumesDb } from '../../../db/db_init.js';
+import { getEpubFilename } from '../../../db/novel_assets.js';
+import { detectCustomFonts, fontFileBaseName } from '../../../parser/textProcessing/font_families.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -32,41 +34,6 @@ function fixHtmlForXhtml(html) {
     return fixed;
 }
 
-/**
- * Detects custom fonts used in chapter content
- * Returns array of unique font families found
- */
-function detectCustomFonts(chapters) {
-    const fontFamilies = new Set();
-
-    // Updated regex to also capture from data-font-family attributes
-    const fontFamilyStyleRegex = /font-family:\s*['"]?([^;'"]+)['"]?/gi;
-    const fontFamilyDataRegex = /data-font-family=["']([^"']+)["']/gi;
-
-    chapters.forEach(chapter => {
-        if (!chapter.content) return;
-
-        // Check inline styles
-        let match;
-        while ((match = fontFamilyStyleRegex.exec(chapter.content)) !== null) {
-            const fontFamily = match[1].trim().replace(/['"]/g, '');
-            if (fontFamily && fontFamily !== 'serif' && fontFamily !== 'sans-serif' && fontFamily !== 'inherit') {
-                fontFamilies.add(fontFamily);
-            }
-        }
-
-        // Check data-font-family attributes
-        while ((match = fontFamilyDataRegex.exec(chapter.content)) !== null) {
-            const fontFamily = match[1].trim();
-            if (fontFamily) {
-                fontFamilies.add(fontFamily);
-            }
-        }
-    });
-
-    return Array.from(fontFamilies);
-}
-
 /**
  * Finds font files in public/fonts directory
  * Returns mapping of font family names to file paths
@@ -84,7 +51,7 @@ function findFontFiles(fontFamilies) {
 
     fontFamilies.forEach(fontFamily => {
         // Create a normalized version of the font family name for matching
-        const normalizedFamily = fontFamily.toLowerCase().replace(/[^a-z0-9]/g, '_');
+        const normalizedFamily = fontFileBaseName(fontFamily);
 
         // Find matching font files (woff2, woff, ttf, otf)
         const matchingFile = fontFiles.find(file => {
@@ -126,6 +93,8 @@ img { max-width: 100%; height: auto; display: block; margin: 0 auto; }
 .cover-img { max-height: 90vh; object-fit: contain; }
 .toc-list { list-style-type: none; padding: 0; }
 .toc-item { margin: 0.5em 0; }
+.toc-volume { margin: 1em 0 0.5em; font-weight: bold; }
+.toc-volume .toc-list { font-weight: normal; padding-left: 1em; }
 a { text-decoration: none; color: inherit; }
 `;
 }
@@ -140,6 +109,8 @@ export async function generateEpub(bookId) {
         const chapters = chaptersDb.getChaptersByNovelId.all(bookId);
         if (!chapters || chapters.length === 0) throw new Error('No chapters found.');
 
+        const sections = groupChaptersByVolume(chapters, volumesDb.getVolumesByNovelId.all(bookId));
+
         const detectedFonts = detectCustomFonts(chapters);
         const fontMap = findFontFiles(detectedFonts);
 
@@ -147,7 +118,7 @@ export async function generateEpub(bookId) {
         const epubsDir = path.join(publicDir, 'epubs');
         if (!fs.existsSync(epubsDir)) fs.mkdirSync(epubsDir, { recursive: true });
 
-        const outputFilename = `${sanitizeFilename(novel.title)}.epub`;
+        const outputFilename = getEpubFilename(novel);
         const outputPath = path.join(epubsDir, outputFilename);
 
         // --- FIX 1: USE A TEMPORARY FILE PATH ---
@@ -207,13 +178,13 @@ export async function generateEpub(bookId) {
             }
 
             archive.append(getTitlePageHtml(novel, !!novel.cover_image), { name: 'OEBPS/Text/title.xhtml' });
-            archive.append(getTocHtml(novel, chapters), { name: 'OEBPS/Text/toc.xhtml' });
+            archive.append(getTocHtml(novel, sections), { name: 'OEBPS/Text/toc.xhtml' });
 
             chapters.forEach((chapter, index) => {
                 archive.append(getChapterHtml(chapter), { name: `OEBPS/Text/chapter_${index + 1}.xhtml` });
             });
 
-            archive.append(getNcx(novel, chapters, !!novel.cover_image), { name: 'OEBPS/toc.ncx' });
+            archive.append(getNcx(novel, sections, !!novel.cover_image), { name: 'OEBPS/toc.ncx' });
             archive.append(getOpf(novel, chapters, !!novel.cover_image, fontMap), { name: 'OEBPS/content.opf' });
 
             archive.finalize();
@@ -245,8 +216,31 @@ async function downloadImage(url, destPath) {
     }
 }
 
-function sanitizeFilename(name) {
-    return name.replace(/[^a-z0-9\-_. ]/gi, '_').replace(/_{2,}/g, '_');
+/**
+ * Splits chapters (already in reading order) into consecutive runs sharing a volume.
+ * Chapters outside any volume form sections with volume = null.
+ * Each item keeps the chapter's index, which names its chapter_N.xhtml file.
+ */
+function groupChaptersByVolume(chapters, volumes) {
+    const volumesById = new Map(volumes.map(v => [v.id, v]));
+    const sections = [];
+
+    chapters.forEach((chapter, index) => {
+        const volume = volumesById.get(chapter.volume_id) || null;
+        const last = sections[sections.length - 1];
+
+        if (last && last.volume === volume) {
+            last.items.push({ chapter, index });
+        } else {
+            sections.push({ volume, items: [{ chapter, index }] });
+        }
+    });
+
+    return sections;
+}
+
+function chapterLabel(ch) {
+    return escapeXml(ch.title || `Chapter ${ch.chapter_number}`);
 }
 
 function escapeXml(unsafe) {
@@ -293,10 +287,21 @@ function getTitlePageHtml(novel, hasCover) {
 </html>`;
 }
 
-function getTocHtml(novel, chapters) {
-    const items = chapters.map((ch, i) =>
-        `<li class="toc-item"><a href="chapter_${i+1}.xhtml">${escapeXml(ch.title || `Chapter ${ch.chapter_number}`)}</a></li>`
-    ).join('\n');
+function getTocHtml(novel, sections) {
+    const chapterItem = ({ chapter, index }) =>
+        `<li class="toc-item"><a href="chapter_${index + 1}.xhtml">${chapterLabel(chapter)}</a></li>`;
+
+    const items = sections.map(section => {
+        const chapterItems = section.items.map(chapterItem).join('\n');
+        if (!section.volume) return chapterItems;
+
+        // Volume heading links to its first chapter, chapters nested below it
+        return `<li class="toc-volume"><a href="chapter_${section.items[0].index + 1}.xhtml">${escapeXml(section.volume.title)}</a>
+            <ul class="toc-list">
+            ${chapterItems}
+            </ul>
+        </li>`;
+    }).join('\n');
 
     return `<?xml version="1.0" encoding="utf-8"?>
 <!DOCTYPE html>
@@ -331,7 +336,7 @@ function getChapterHtml(chapter) {
 </html>`;
 }
 
-function getNcx(novel, chapters, hasCover) {
+function getNcx(novel, sections, hasCover) {
     let playOrder = 1;
     let navPoints = '';
 
@@ -349,20 +354,39 @@ function getNcx(novel, chapters, hasCover) {
     </navPoint>`;
     playOrder++;
 
-    chapters.forEach((ch, i) => {
-        navPoints += `
+    const chapterNavPoint = ({ chapter, index }) => {
+        const point = `
         <navPoint id="navPoint-${playOrder}" playOrder="${playOrder}">
-            <navLabel><text>${escapeXml(ch.title || `Chapter ${ch.chapter_number}`)}</text></navLabel>
-            <content src="Text/chapter_${i+1}.xhtml"/>
+            <navLabel><text>${chapterLabel(chapter)}</text></navLabel>
+            <content src="Text/chapter_${index + 1}.xhtml"/>
         </navPoint>`;
         playOrder++;
+        return point;
+    };
+
+    sections.forEach((section, sectionIndex) => {
+        if (!section.volume) {
+            section.items.forEach(item => { navPoints += chapterNavPoint(item); });
+            return;
+        }
+
+        // A volume points at its first chapter; NCX requires the same playOrder for the same target
+        const volumeOrder = playOrder;
+        const children = section.items.map(chapterNavPoint).join('');
+        navPoints += `
+        <navPoint id="navPoint-volume-${sectionIndex + 1}" playOrder="${volumeOrder}">
+            <navLabel><text>${escapeXml(section.volume.title)}</text></navLabel>
+            <content src="Text/chapter_${section.items[0].index + 1}.xhtml"/>${children}
+        </navPoint>`;
     });
 
+    const depth = sections.some(section => section.volume) ? 2 : 1;
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
     <head>
         <meta name="dtb:uid" content="urn:uuid:${novel.url}"/>
-        <meta name="dtb:depth" content="1"/>
+        <meta name="dtb:depth" content="${depth}"/>
         <meta name="dtb:totalPageCount" content="0"/>
         <meta name="dtb:maxPageNumber" content="0"/>
     </head>
@@ -1,5 +1,8 @@
+import Link from 'next/link';
 import AddNovel from '@/app/components/AddNovel';
 import NovelsList from '@/app/components/NovelsList';
+import ParserControls from '@/app/components/ParserControls';
+import SearchLibrary from '@/app/components/SearchLibrary';
 
 export default function Home() {
     return (
@@ -12,10 +15,13 @@ export default function Home() {
                     <p className="text-zinc-600 dark:text-zinc-400">
                         Add novels to automatically parse and store their content
                     </p>
+                    <Link href="/settings" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">Website settings</Link>
                 </header>
 
                 <div className="space-y-8">
+                    <ParserControls />
                     <AddNovel />
+                    <SearchLibrary />
                     <NovelsList />
                 </div>
             </div>
@@ -0,0 +1,23 @@
+import Link from 'next/link';
+import DomainProfiles from '@/app/components/DomainProfiles';
+import SiteRules from '@/app/components/SiteRules';
+
+export default function SettingsPage() {
+    return (
+        <div className="min-h-screen bg-zinc-50 dark:bg-black py-12 px-4">
+            <div className="max-w-6xl mx-auto">
+                <header className="text-center mb-12">
+                    <h1 className="text-4xl font-bold text-zinc-900 dark:text-zinc-50 mb-4">
+                        Settings
+                    </h1>
+                    <Link href="/" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">← Library</Link>
+                </header>
+
+                <div className="space-y-8">
+                    <DomainProfiles />
+                    <SiteRules />
+                </div>
+            </div>
+        </div>
+    );
+}